@@ -3,19 +3,32 @@ import Dashboard from './components/Dashboard';
 import ChatBox from './components/ChatBox';
 import UploadModal from './components/UploadModal';
 import UploadHistory from './components/UploadHistory';
+import NormalizationRules from './components/NormalizationRules';
+
+// Tooltip for the Missing Embeddings stat
+function embeddingSummary(status) {
+  if (!status?.cache) return 'Alerts that AI answers cannot find yet';
+
+  const { cache } = status;
+  const hitRate = cache.hitRate === null ? '–' : `${Math.round(cache.hitRate * 100)}%`;
+  return `Alerts that AI answers cannot find yet (model ${status.model})\n` +
+    (status.outdated > 0 ? `${status.outdated} more from an older template are being re-embedded\n` : '') +
+    `Embedding cache: ${cache.entries} texts, ${cache.hits} hits, ${cache.misses} misses (${hitRate} hit rate)`;
+}
 
 function App() {
   const [stats, setStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showUploadModal, setShowUploadModal] = useState(false);
   const [uploadHistory, setUploadHistory] = useState([]);
-  const [activeView, setActiveView] = useState('chat'); // 'chat' or 'dashboard'
+  const [activeView, setActiveView] = useState('chat'); // 'chat', 'dashboard' or 'rules'
   const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [embeddingStatus, setEmbeddingStatus] = useState(null);
 
-  // Fetch dashboard summary
-  const fetchStats = async () => {
+  // Fetch dashboard summary; a background refresh keeps the current stats on screen
+  const fetchStats = async ({ background = false } = {}) => {
     try {
-      setLoading(true);
+      if (!background) setLoading(true);
       const response = await fetch('/api/stats/summary');
       const data = await response.json();
       setStats(data);
@@ -37,15 +50,63 @@ function App() {
     }
   };
 
+  // Fetch how many alerts RAG cannot find yet
+  const fetchEmbeddingStatus = async () => {
+    try {
+      const response = await fetch('/api/embeddings/status');
+      const data = await response.json();
+      setEmbeddingStatus(data);
+    } catch (error) {
+      console.error('Error fetching embedding status:', error);
+    }
+  };
+
   useEffect(() => {
     fetchStats();
     fetchUploadHistory();
+    fetchEmbeddingStatus();
+  }, []);
+
+  // Refresh the stats as soon as a webhook or connector stores new alerts
+  useEffect(() => {
+    const events = new EventSource('/api/ingest/stream');
+    let timer = null;
+
+    events.onmessage = () => {
+      // A burst of webhook calls causes a single refresh
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        fetchStats({ background: true });
+        fetchEmbeddingStatus();
+      }, 1000);
+    };
+
+    return () => {
+      clearTimeout(timer);
+      events.close();
+    };
   }, []);
 
+  // Follow the background backfill until every alert has an embedding
+  useEffect(() => {
+    const pending = embeddingStatus?.missing > 0 || embeddingStatus?.outdated > 0;
+    if (!embeddingStatus?.running && !pending) return;
+
+    const timer = setTimeout(fetchEmbeddingStatus, 10000);
+    return () => clearTimeout(timer);
+  }, [embeddingStatus]);
+
   const handleUploadComplete = () => {
     setShowUploadModal(false);
     fetchStats();
     fetchUploadHistory();
+    fetchEmbeddingStatus();
+  };
+
+  const handleUploadReverted = () => {
+    fetchStats();
+    fetchUploadHistory();
+    fetchEmbeddingStatus();
   };
 
   return (
@@ -79,6 +140,13 @@ function App() {
                 <span className="nav-icon">📈</span>
                 <span className="nav-label">Dashboard</span>
               </button>
+              <button
+                className={`nav-item ${activeView === 'rules' ? 'active' : ''}`}
+                onClick={() => setActiveView('rules')}
+              >
+                <span className="nav-icon">⚙️</span>
+                <span className="nav-label">Normalization Rules</span>
+              </button>
               <button
                 className="nav-item"
                 onClick={() => setShowUploadModal(true)}
@@ -103,6 +171,15 @@ function App() {
                 <span className="sidebar-stat-label">Resolved</span>
                 <span className="sidebar-stat-value">{stats?.resolvedAlerts?.toLocaleString() || 0}</span>
               </div>
+              <div
+                className={`sidebar-stat ${embeddingStatus?.missing > 0 ? 'alert' : 'success'}`}
+                title={embeddingStatus?.lastError || embeddingSummary(embeddingStatus)}
+              >
+                <span className="sidebar-stat-label">
+                  Missing Embeddings{embeddingStatus?.running ? ' ⏳' : ''}
+                </span>
+                <span className="sidebar-stat-value">{embeddingStatus?.missing?.toLocaleString() || 0}</span>
+              </div>
             </div>
 
             {/* Upload History in Sidebar */}
@@ -111,7 +188,9 @@ function App() {
               {uploadHistory.slice(0, 3).map((upload, idx) => (
                 <div key={idx} className="sidebar-history-item">
                   <div className="sidebar-history-name">{upload.filename}</div>
-                  <div className="sidebar-history-count">+{upload.records_added} alerts</div>
+                  <div className="sidebar-history-count">
+                    {upload.status === 'reverted' ? 'Reverted' : `+${upload.records_added} alerts`}
+                  </div>
                 </div>
               ))}
             </div>
@@ -125,7 +204,11 @@ function App() {
         <header className="app-header">
           <div className="header-content">
             <h1 className="page-title">
-              {activeView === 'chat' ? 'AI Chat Assistant' : 'Network Dashboard'}
+              {{
+                chat: 'AI Chat Assistant',
+                dashboard: 'Network Dashboard',
+                rules: 'Normalization Rules',
+              }[activeView]}
             </h1>
             <button
               className="upload-button"
@@ -140,10 +223,12 @@ function App() {
         <div className="content-area">
           {activeView === 'chat' ? (
             <ChatBox />
+          ) : activeView === 'rules' ? (
+            <NormalizationRules onReapplied={fetchStats} />
           ) : (
             <div className="dashboard-view">
               <Dashboard stats={stats} loading={loading} />
-              <UploadHistory history={uploadHistory} />
+              <UploadHistory history={uploadHistory} onReverted={handleUploadReverted} />
             </div>
           )}
         </div>
@@ -1,6 +1,36 @@
 import { useState, useEffect } from 'react';
 
+// Tooltip of a Top Hosts row, from its inventory entry
+function hostSummary(host) {
+  const date = value => (value ? new Date(value).toLocaleString() : '–');
+  return `${host.total_alerts} events, ${host.total_incidents} problems\n` +
+    `First seen ${date(host.first_seen)}, last seen ${date(host.last_seen)}` +
+    (host.interfaces?.length > 0 ? `\nInterfaces: ${host.interfaces.join(', ')}` : '');
+}
+
 function Dashboard({ stats, loading }) {
+  // Syslog shown under a recent alert: { key, messages } once loaded
+  const [syslog, setSyslog] = useState(null);
+
+  const toggleSyslog = async (alert, key) => {
+    if (syslog?.key === key) {
+      setSyslog(null);
+      return;
+    }
+
+    setSyslog({ key, messages: null });
+
+    try {
+      const params = new URLSearchParams({ host: alert.host, at: alert.timestamp });
+      const response = await fetch(`/api/stats/syslog?${params}`);
+      const data = await response.json();
+      setSyslog(current => (current?.key === key ? { key, messages: data.messages || [] } : current));
+    } catch (error) {
+      console.error('Error fetching syslog:', error);
+      setSyslog(current => (current?.key === key ? { key, messages: [] } : current));
+    }
+  };
+
   if (loading) {
     return (
       <div className="dashboard">
@@ -53,15 +83,15 @@ function Dashboard({ stats, loading }) {
         <h3 className="subsection-title">Top Hosts by Alerts</h3>
         <div className="hosts-list">
           {stats.topHosts?.slice(0, 5).map((host, index) => (
-            <div key={index} className="host-item">
+            <div key={host.host_name} className="host-item" title={hostSummary(host)}>
               <div className="host-info">
                 <span className="host-rank">#{index + 1}</span>
-                <span className="host-name">{host.host}</span>
+                <span className="host-name">{host.host_name}</span>
               </div>
               <div className="host-stats">
-                <span className="host-total">{host.total}</span>
-                {host.active > 0 && (
-                  <span className="host-active">🔴 {host.active}</span>
+                <span className="host-total">{host.total_incidents}</span>
+                {host.active_problems > 0 && (
+                  <span className="host-active">🔴 {host.active_problems}</span>
                 )}
               </div>
             </div>
@@ -77,6 +107,8 @@ function Dashboard({ stats, loading }) {
             <div
               key={index}
               className={`alert-item ${alert.status === 'PROBLEM' ? 'problem' : 'resolved'}`}
+              onClick={() => toggleSyslog(alert, `${alert.problem_id}-${alert.status}`)}
+              title="Show syslog around this alert"
             >
               <div className="alert-header">
                 <span className={`alert-status ${alert.status?.toLowerCase()}`}>
@@ -98,6 +130,20 @@ function Dashboard({ stats, loading }) {
                   </span>
                 )}
               </div>
+              {syslog?.key === `${alert.problem_id}-${alert.status}` && (
+                <div className="alert-syslog">
+                  {!syslog.messages && <span className="empty-message">Loading syslog...</span>}
+                  {syslog.messages?.length === 0 && (
+                    <span className="empty-message">No syslog from this host around the alert</span>
+                  )}
+                  {syslog.messages?.map((line, lineIndex) => (
+                    <div key={lineIndex} className="syslog-line">
+                      <span className="syslog-time">{new Date(line.timestamp).toLocaleTimeString()}</span>
+                      {line.message}
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           ))}
         </div>
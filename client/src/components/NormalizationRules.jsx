@@ -0,0 +1,208 @@
+import { useState, useEffect } from 'react';
+
+const RULE_TYPE_LABELS = {
+  severity: 'Severity',
+  host_alias: 'Host Alias',
+  alert_type: 'Alert Type',
+};
+
+const PATTERN_HINTS = {
+  severity: 'Severity as reported, e.g. Not classified',
+  host_alias: 'Host as reported, e.g. BGP_TRT',
+  alert_type: 'Regular expression, e.g. ^Interface .*: Link down$',
+};
+
+const EMPTY_RULE = { rule_type: 'host_alias', pattern: '', replacement: '', priority: 0 };
+
+function NormalizationRules({ onReapplied }) {
+  const [rules, setRules] = useState([]);
+  const [severities, setSeverities] = useState([]);
+  const [newRule, setNewRule] = useState(EMPTY_RULE);
+  const [reapplying, setReapplying] = useState(false);
+  const [reapplyResult, setReapplyResult] = useState(null);
+
+  const fetchRules = async () => {
+    try {
+      const response = await fetch('/api/normalization/rules');
+      const data = await response.json();
+      setRules(data.rules || []);
+      setSeverities(data.severities || []);
+    } catch (error) {
+      console.error('Error fetching normalization rules:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchRules();
+  }, []);
+
+  // Send a rule change and refresh the list; returns false when the server rejects it
+  const saveRule = async (url, method, body) => {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+
+      if (!response.ok) {
+        const data = await response.json();
+        alert(data.details || data.error || 'Error saving rule.');
+        return false;
+      }
+
+      await fetchRules();
+      return true;
+    } catch (error) {
+      console.error('Error saving normalization rule:', error);
+      alert('Error saving rule. Please try again.');
+      return false;
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (await saveRule('/api/normalization/rules', 'POST', newRule)) {
+      setNewRule({ ...EMPTY_RULE, rule_type: newRule.rule_type });
+    }
+  };
+
+  const handleToggle = (rule) => {
+    saveRule(`/api/normalization/rules/${rule.id}`, 'PUT', { ...rule, enabled: !rule.enabled });
+  };
+
+  const handleDelete = (rule) => {
+    if (window.confirm(`Delete rule "${rule.pattern}" → "${rule.replacement}"?`)) {
+      saveRule(`/api/normalization/rules/${rule.id}`, 'DELETE');
+    }
+  };
+
+  const handleReapply = async () => {
+    setReapplying(true);
+    setReapplyResult(null);
+
+    try {
+      const response = await fetch('/api/normalization/reapply', { method: 'POST' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        alert(data.details || data.error || 'Error re-applying rules.');
+        return;
+      }
+
+      setReapplyResult(data);
+      onReapplied?.();
+    } catch (error) {
+      console.error('Error re-applying normalization rules:', error);
+      alert('Error re-applying rules. Please try again.');
+    } finally {
+      setReapplying(false);
+    }
+  };
+
+  return (
+    <div className="normalization-rules">
+      <div className="rules-header">
+        <h3 className="subsection-title">Normalization Rules</h3>
+        <button
+          className="btn btn-primary"
+          onClick={handleReapply}
+          disabled={reapplying}
+        >
+          {reapplying ? 'Re-applying...' : 'Re-apply to Existing Alerts'}
+        </button>
+      </div>
+
+      {reapplyResult && (
+        <p className="rules-result">
+          ✅ {reapplyResult.alertsUpdated} of {reapplyResult.alertsScanned} alerts,{' '}
+          {reapplyResult.incidentsUpdated} incidents and {reapplyResult.hostsUpdated} hosts updated
+        </p>
+      )}
+
+      {/* Add Rule */}
+      <form className="rules-form" onSubmit={handleAdd}>
+        <select
+          value={newRule.rule_type}
+          onChange={(e) => setNewRule({ ...newRule, rule_type: e.target.value, replacement: '' })}
+        >
+          {Object.entries(RULE_TYPE_LABELS).map(([type, label]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          placeholder={PATTERN_HINTS[newRule.rule_type]}
+          value={newRule.pattern}
+          onChange={(e) => setNewRule({ ...newRule, pattern: e.target.value })}
+        />
+        {newRule.rule_type === 'severity' ? (
+          <select
+            value={newRule.replacement}
+            onChange={(e) => setNewRule({ ...newRule, replacement: e.target.value })}
+          >
+            <option value="">Map to…</option>
+            {severities.map(severity => (
+              <option key={severity} value={severity}>{severity}</option>
+            ))}
+          </select>
+        ) : (
+          <input
+            type="text"
+            placeholder={newRule.rule_type === 'host_alias' ? 'Canonical host' : 'Canonical type'}
+            value={newRule.replacement}
+            onChange={(e) => setNewRule({ ...newRule, replacement: e.target.value })}
+          />
+        )}
+        {newRule.rule_type === 'alert_type' && (
+          <input
+            type="number"
+            title="Priority (higher is tried first)"
+            value={newRule.priority}
+            onChange={(e) => setNewRule({ ...newRule, priority: e.target.value })}
+          />
+        )}
+        <button
+          type="submit"
+          className="btn btn-secondary"
+          disabled={!newRule.pattern || !newRule.replacement}
+        >
+          Add Rule
+        </button>
+      </form>
+
+      {/* Rules by Type */}
+      {Object.entries(RULE_TYPE_LABELS).map(([type, label]) => {
+        const typeRules = rules.filter(rule => rule.rule_type === type);
+
+        return (
+          <div key={type} className="rules-group">
+            <h4>{label}</h4>
+            {typeRules.length === 0 ? (
+              <p className="empty-message">No rules</p>
+            ) : (
+              typeRules.map(rule => (
+                <div key={rule.id} className={`rule-item ${rule.enabled ? '' : 'disabled'}`}>
+                  <span className="rule-pattern">{rule.pattern}</span>
+                  <span className="rule-arrow">→</span>
+                  <span className="rule-replacement">{rule.replacement}</span>
+                  {type === 'alert_type' && (
+                    <span className="rule-priority">priority {rule.priority}</span>
+                  )}
+                  <button className="rule-action" onClick={() => handleToggle(rule)}>
+                    {rule.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                  <button className="rule-action danger" onClick={() => handleDelete(rule)}>
+                    Delete
+                  </button>
+                </div>
+              ))
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default NormalizationRules;
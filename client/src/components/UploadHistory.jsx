@@ -1,4 +1,41 @@
-function UploadHistory({ history }) {
+import { useState } from 'react';
+
+const STATUS_ICONS = {
+  completed: '✅',
+  failed: '❌',
+  processing: '⏳',
+  reverting: '⏳',
+  reverted: '↩️',
+};
+
+function UploadHistory({ history, onReverted }) {
+  const [revertingId, setRevertingId] = useState(null);
+
+  const handleRevert = async (upload) => {
+    const message = `Revert "${upload.filename}"?\n\n` +
+      `This deletes the ${upload.records_added} alerts it added and rebuilds their incidents.`;
+    if (!window.confirm(message)) return;
+
+    setRevertingId(upload.id);
+
+    try {
+      const response = await fetch(`/api/upload/${upload.id}`, { method: 'DELETE' });
+      const data = await response.json();
+
+      if (!response.ok) {
+        alert(data.details || data.error || 'Error reverting upload.');
+        return;
+      }
+
+      onReverted?.();
+    } catch (error) {
+      console.error('Error reverting upload:', error);
+      alert('Error reverting upload. Please try again.');
+    } finally {
+      setRevertingId(null);
+    }
+  };
+
   if (!history || history.length === 0) {
     return (
       <div className="upload-history">
@@ -13,12 +50,22 @@ function UploadHistory({ history }) {
       <h3 className="subsection-title">Upload History</h3>
       <div className="history-list">
         {history.map((upload, index) => (
-          <div key={index} className="history-item">
+          <div key={index} className={`history-item ${upload.status}`}>
             <div className="history-header">
               <span className="history-filename">{upload.filename}</span>
-              <span className={`history-status ${upload.status}`}>
-                {upload.status === 'completed' ? '✅' : '❌'}
+              <span className={`history-status ${upload.status}`} title={upload.status}>
+                {STATUS_ICONS[upload.status] || '❌'}
               </span>
+              {['completed', 'failed', 'reverting'].includes(upload.status) &&
+                (upload.records_added > 0 || upload.status === 'reverting') && (
+                <button
+                  className="history-revert"
+                  onClick={() => handleRevert(upload)}
+                  disabled={revertingId !== null}
+                >
+                  {revertingId === upload.id ? 'Reverting...' : 'Revert'}
+                </button>
+              )}
             </div>
             <div className="history-details">
               <div className="history-stat">
@@ -41,6 +88,20 @@ function UploadHistory({ history }) {
                 <span className="history-label">Total:</span>
                 <span className="history-value">{upload.records_count}</span>
               </div>
+              {upload.source && upload.source !== 'upload' && (
+                <div className="history-stat">
+                  <span className="history-label">Source:</span>
+                  <span className="history-value">{upload.source}</span>
+                </div>
+              )}
+              {upload.reverted_at && (
+                <div className="history-stat">
+                  <span className="history-label">Reverted:</span>
+                  <span className="history-value">
+                    {new Date(upload.reverted_at).toLocaleString()}
+                  </span>
+                </div>
+              )}
             </div>
           </div>
         ))}
@@ -1,4 +1,47 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
+
+// Keep in sync with the formats registered in server/utils/formats
+const ACCEPTED_EXTENSIONS = ['.html', '.htm', '.json', '.csv', '.mbox', '.mbx', '.eml', '.zip'];
+
+// A ZIP is a whole Telegram export and is ingested through /api/upload/export
+const isArchive = (file) => file.name.toLowerCase().endsWith('.zip');
+
+// Messages the parser skipped and alert fields that fell back to defaults
+function ParserDiagnostics({ diagnostics, title = 'Parser Diagnostics' }) {
+  if (!diagnostics) return null;
+
+  const skipReasons = Object.entries(diagnostics.skipReasons || {});
+  const defaultedFields = Object.entries(diagnostics.defaultedFields || {});
+  if (skipReasons.length === 0 && defaultedFields.length === 0) return null;
+
+  const renderEntry = ([key, entry]) => (
+    <div key={key} className="preview-stat full-width">
+      <span className="preview-label">{entry.label}:</span>
+      <span className="preview-value">
+        {entry.count}
+        {entry.sampleIds.length > 0 && ` (e.g. ${entry.sampleIds.join(', ')})`}
+      </span>
+    </div>
+  );
+
+  return (
+    <div className="parser-diagnostics">
+      <h4>{title}</h4>
+      {skipReasons.length > 0 && (
+        <div className="preview-stats">
+          <div className="preview-stat full-width">
+            <span className="preview-label">Skipped Messages:</span>
+            <span className="preview-value warning">{diagnostics.skippedMessages}</span>
+          </div>
+          {skipReasons.map(renderEntry)}
+        </div>
+      )}
+      {defaultedFields.length > 0 && (
+        <div className="preview-stats">{defaultedFields.map(renderEntry)}</div>
+      )}
+    </div>
+  );
+}
 
 function UploadModal({ onClose, onComplete }) {
   const [files, setFiles] = useState([]);
@@ -6,8 +49,13 @@ function UploadModal({ onClose, onComplete }) {
   const [uploading, setUploading] = useState(false);
   const [uploadProgress, setUploadProgress] = useState(0);
   const [uploadResult, setUploadResult] = useState(null);
+  const [job, setJob] = useState(null);
   const [dragActive, setDragActive] = useState(false);
   const fileInputRef = useRef(null);
+  const jobEventsRef = useRef(null);
+
+  // Stop following the job when the modal closes; the job keeps running on the server
+  useEffect(() => () => jobEventsRef.current?.close(), []);
 
   const handleDrag = (e) => {
     e.preventDefault();
@@ -25,17 +73,24 @@ function UploadModal({ onClose, onComplete }) {
     setDragActive(false);
 
     const droppedFiles = Array.from(e.dataTransfer.files).filter(
-      file => file.type === 'text/html' || file.name.endsWith('.html')
+      file => ACCEPTED_EXTENSIONS.some(ext => file.name.toLowerCase().endsWith(ext))
     );
 
     if (droppedFiles.length > 0) {
-      setFiles(droppedFiles);
-      analyzeFiles(droppedFiles);
+      const selectedFiles = selectOnlyArchive(droppedFiles);
+      setFiles(selectedFiles);
+      analyzeFiles(selectedFiles);
     }
   };
 
+  // An export archive is uploaded on its own
+  const selectOnlyArchive = (selectedFiles) => {
+    const archive = selectedFiles.find(isArchive);
+    return archive ? [archive] : selectedFiles;
+  };
+
   const handleFileSelect = (e) => {
-    const selectedFiles = Array.from(e.target.files);
+    const selectedFiles = selectOnlyArchive(Array.from(e.target.files));
     setFiles(selectedFiles);
     analyzeFiles(selectedFiles);
   };
@@ -44,15 +99,22 @@ function UploadModal({ onClose, onComplete }) {
     if (filesToAnalyze.length === 0) return;
 
     try {
+      const archive = isArchive(filesToAnalyze[0]);
       const formData = new FormData();
-      formData.append('file', filesToAnalyze[0]);
+      formData.append(archive ? 'archive' : 'file', filesToAnalyze[0]);
 
-      const response = await fetch('/api/upload/analyze', {
+      const response = await fetch(archive ? '/api/upload/export/analyze' : '/api/upload/analyze', {
         method: 'POST',
         body: formData,
       });
 
       const data = await response.json();
+
+      if (!response.ok) {
+        alert(data.details || data.error || 'Error analyzing files.');
+        return;
+      }
+
       setPreview(data);
     } catch (error) {
       console.error('Error analyzing files:', error);
@@ -60,36 +122,62 @@ function UploadModal({ onClose, onComplete }) {
     }
   };
 
+  // Follow an ingestion job over Server-Sent Events until it finishes
+  // EventSource reconnects on its own and the server replays the current state
+  const followJob = (jobId) => {
+    const events = new EventSource(`/api/upload/jobs/${jobId}/events`);
+    jobEventsRef.current = events;
+
+    events.onmessage = (event) => {
+      const update = JSON.parse(event.data);
+      setJob(update);
+      setUploadProgress(Math.round(update.progress * 100));
+
+      if (update.status === 'completed' || update.status === 'failed') {
+        events.close();
+        setUploadResult(update);
+
+        // Auto-close and refresh after success
+        if (update.status === 'completed') {
+          setTimeout(() => {
+            onComplete();
+          }, 2000);
+        }
+      }
+    };
+  };
+
   const handleUpload = async () => {
     if (files.length === 0) return;
 
     setUploading(true);
-    setUploadProgress(10);
+    setUploadProgress(0);
 
     try {
+      const archive = isArchive(files[0]);
       const formData = new FormData();
       files.forEach(file => {
-        formData.append('files', file);
+        formData.append(archive ? 'archive' : 'files', file);
       });
 
-      setUploadProgress(30);
+      // Re-importing content that was already imported has to be confirmed in the preview
+      if (preview?.alreadyImported) {
+        formData.append('force', 'true');
+      }
 
-      const response = await fetch('/api/upload/process', {
+      const response = await fetch(archive ? '/api/upload/export' : '/api/upload/process', {
         method: 'POST',
         body: formData,
       });
 
-      setUploadProgress(70);
-
       const data = await response.json();
 
-      setUploadProgress(100);
-      setUploadResult(data);
+      if (!response.ok) {
+        throw new Error(data.details || data.error);
+      }
 
-      // Auto-close and refresh after success
-      setTimeout(() => {
-        onComplete();
-      }, 2000);
+      setJob(data.job);
+      followJob(data.jobId);
     } catch (error) {
       console.error('Error uploading files:', error);
       alert('Error uploading files. Please try again.');
@@ -124,16 +212,17 @@ function UploadModal({ onClose, onComplete }) {
                   ref={fileInputRef}
                   type="file"
                   multiple
-                  accept=".html"
+                  accept={ACCEPTED_EXTENSIONS.join(',')}
                   onChange={handleFileSelect}
                   style={{ display: 'none' }}
                 />
                 <div className="drop-zone-content">
                   <div className="drop-zone-icon">📁</div>
-                  <h3>Drop HTML files here</h3>
+                  <h3>Drop export files here</h3>
                   <p>or click to browse</p>
                   <p className="drop-zone-hint">
-                    Accepts .html files (max 10 files, 10MB each)
+                    Telegram HTML/JSON, Zabbix exports, alert emails (mbox/.eml) or CSV (max 10 files, 500MB each),
+                    or a whole Telegram export as one .zip
                   </p>
                 </div>
               </div>
@@ -153,11 +242,30 @@ function UploadModal({ onClose, onComplete }) {
                 </div>
               )}
 
+              {/* Already imported: nothing was parsed */}
+              {preview?.alreadyImported && (
+                <div className="upload-preview">
+                  <h3>Preview</h3>
+                  <div className="preview-warning">
+                    ⚠️ {preview.previousImportMessage} (upload #{preview.alreadyImported.id})
+                  </div>
+                  <p className="drop-zone-hint">
+                    Importing it again only adds alerts that are not stored yet.
+                  </p>
+                </div>
+              )}
+
               {/* Preview */}
-              {preview && (
+              {preview && !preview.alreadyImported && (
                 <div className="upload-preview">
                   <h3>Preview</h3>
                   <div className="preview-stats">
+                    {preview.formatLabel && (
+                      <div className="preview-stat full-width">
+                        <span className="preview-label">Detected Format:</span>
+                        <span className="preview-value">{preview.formatLabel}</span>
+                      </div>
+                    )}
                     <div className="preview-stat">
                       <span className="preview-label">Total Messages:</span>
                       <span className="preview-value">{preview.totalMessages}</span>
@@ -188,11 +296,30 @@ function UploadModal({ onClose, onComplete }) {
                       </div>
                     )}
                   </div>
+                  {preview.pagesFound > 0 && (
+                    <div className="preview-stat full-width">
+                      <span className="preview-label">Export Pages:</span>
+                      <span className="preview-value">{preview.pagesFound}</span>
+                    </div>
+                  )}
+                  {preview.overlaps?.length > 0 && (
+                    <div className="preview-warning">
+                      ⚠️ {preview.previousImportMessage}
+                      {preview.overlaps.length > 1 &&
+                        ` (and ${preview.overlaps.length - 1} other upload(s))`}
+                    </div>
+                  )}
+                  {preview.missingPages?.length > 0 && (
+                    <div className="preview-warning">
+                      ⚠️ Missing export pages: {preview.missingPages.join(', ')}
+                    </div>
+                  )}
                   {preview.duplicatesFound > 0 && (
                     <div className="preview-warning">
                       ⚠️ {preview.duplicatesFound} duplicate alert(s) will be skipped
                     </div>
                   )}
+                  <ParserDiagnostics diagnostics={preview.diagnostics} />
                 </div>
               )}
 
@@ -206,16 +333,35 @@ function UploadModal({ onClose, onComplete }) {
                     ></div>
                   </div>
                   <p className="progress-text">
-                    Uploading... {uploadProgress}%
+                    {job ? `Processing... ${uploadProgress}%` : 'Uploading...'}
                   </p>
+                  {job?.files.map((file) => (
+                    <div key={file.filename} className="file-item">
+                      <span className="file-name">{file.filename}</span>
+                      <span className="file-size">
+                        {file.status === 'skipped'
+                          ? `skipped · already imported as upload #${file.duplicateOf}`
+                          : `${file.status} · ${file.totalAlerts} alerts (${file.added} new)`}
+                      </span>
+                    </div>
+                  ))}
                 </div>
               )}
             </>
           ) : (
             /* Upload Result */
             <div className="upload-result">
-              <div className="result-icon success">✅</div>
-              <h3>Upload Complete!</h3>
+              {uploadResult.status === 'failed' ? (
+                <>
+                  <div className="result-icon error">❌</div>
+                  <h3>Upload Failed</h3>
+                </>
+              ) : (
+                <>
+                  <div className="result-icon success">✅</div>
+                  <h3>Upload Complete!</h3>
+                </>
+              )}
               <div className="result-stats">
                 <div className="result-stat">
                   <span className="result-label">Files Processed:</span>
@@ -241,8 +387,35 @@ function UploadModal({ onClose, onComplete }) {
                     {uploadResult.summary?.totalAlerts}
                   </span>
                 </div>
+                {uploadResult.summary?.messagesSkipped > 0 && (
+                  <div className="result-stat">
+                    <span className="result-label">Messages Skipped:</span>
+                    <span className="result-value">
+                      {uploadResult.summary.messagesSkipped}
+                    </span>
+                  </div>
+                )}
               </div>
-              <p className="result-message">Dashboard will refresh automatically...</p>
+              {uploadResult.files?.filter(file => file.status === 'skipped').map((file) => (
+                <div key={file.filename} className="preview-warning">
+                  ⚠️ {file.filename}: already imported as upload #{file.duplicateOf}, skipped
+                </div>
+              ))}
+              {uploadResult.files?.filter(file => file.error).map((file) => (
+                <div key={file.filename} className="preview-warning">
+                  ⚠️ {file.filename}: {file.error}
+                </div>
+              ))}
+              {uploadResult.files?.map((file) => (
+                <ParserDiagnostics
+                  key={file.filename}
+                  diagnostics={file.diagnostics}
+                  title={file.filename}
+                />
+              ))}
+              {uploadResult.status === 'completed' && (
+                <p className="result-message">Dashboard will refresh automatically...</p>
+              )}
             </div>
           )}
         </div>
@@ -253,16 +426,18 @@ function UploadModal({ onClose, onComplete }) {
               <button
                 className="btn btn-secondary"
                 onClick={onClose}
-                disabled={uploading}
+                disabled={uploading && !job}
               >
-                Cancel
+                {job ? 'Close' : 'Cancel'}
               </button>
               <button
                 className="btn btn-primary"
                 onClick={handleUpload}
                 disabled={files.length === 0 || uploading}
               >
-                {uploading ? 'Uploading...' : 'Upload & Process'}
+                {uploading
+                  ? 'Uploading...'
+                  : preview?.alreadyImported ? 'Import Anyway' : 'Upload & Process'}
               </button>
             </>
           )}
@@ -0,0 +1,5 @@
+-- Remove everything the baseline schema created (all stored data is lost)
+DROP FUNCTION IF EXISTS match_alerts(vector, double precision, integer);
+DROP TABLE IF EXISTS hosts;
+DROP TABLE IF EXISTS file_uploads;
+DROP TABLE IF EXISTS alerts;
@@ -1,11 +1,11 @@
--- Network Monitoring Analytics Dashboard
--- Supabase Database Setup Script
--- Run this entire script in your Supabase SQL Editor
+-- Baseline schema: the tables, indexes and vector search function of the original
+-- supabase-setup.sql. Databases set up with that script already have all of it, so
+-- this only records them as version 1; the migrations after it add what came since.
 
--- Step 1: Enable pgvector extension
+-- Enable pgvector extension
 CREATE EXTENSION IF NOT EXISTS vector;
 
--- Step 2: Create alerts table
+-- Create alerts table
 CREATE TABLE IF NOT EXISTS alerts (
   id SERIAL PRIMARY KEY,
   problem_id VARCHAR(20) UNIQUE,
@@ -22,7 +22,7 @@ CREATE TABLE IF NOT EXISTS alerts (
   created_at TIMESTAMPTZ DEFAULT NOW()
 );
 
--- Step 3: Create file_uploads table
+-- Create file_uploads table
 CREATE TABLE IF NOT EXISTS file_uploads (
   id SERIAL PRIMARY KEY,
   filename VARCHAR(255),
@@ -35,7 +35,7 @@ CREATE TABLE IF NOT EXISTS file_uploads (
   status VARCHAR(50)
 );
 
--- Step 4: Create hosts table
+-- Create hosts table
 CREATE TABLE IF NOT EXISTS hosts (
   id SERIAL PRIMARY KEY,
   host_name VARCHAR(100) UNIQUE,
@@ -44,19 +44,20 @@ CREATE TABLE IF NOT EXISTS hosts (
   last_seen TIMESTAMPTZ
 );
 
--- Step 5: Create indexes for performance
+-- Create indexes for performance
 CREATE INDEX IF NOT EXISTS alerts_timestamp_idx ON alerts(timestamp);
 CREATE INDEX IF NOT EXISTS alerts_host_idx ON alerts(host);
 CREATE INDEX IF NOT EXISTS alerts_status_idx ON alerts(status);
 CREATE INDEX IF NOT EXISTS alerts_problem_id_idx ON alerts(problem_id);
 
--- Step 6: Create vector search index
--- Note: This may take a few moments to build
+-- Create vector search index
 CREATE INDEX IF NOT EXISTS alerts_embedding_idx
 ON alerts USING ivfflat (embedding vector_cosine_ops)
 WITH (lists = 100);
 
--- Step 7: Drop existing function if it exists and create vector search function
+-- Drop existing function if it exists and create vector search function
+-- (databases set up from the SQL once listed in the README have a version whose
+-- timestamp column is not named alert_timestamp, which is what the app reads)
 DROP FUNCTION IF EXISTS match_alerts(vector, double precision, integer);
 DROP FUNCTION IF EXISTS match_alerts(vector, float, integer);
 
@@ -92,36 +93,3 @@ BEGIN
   LIMIT match_count;
 END;
 $$;
-
--- Step 8: Grant necessary permissions (if needed)
--- Uncomment if you need to grant specific permissions
--- GRANT ALL ON alerts TO anon, authenticated;
--- GRANT ALL ON file_uploads TO anon, authenticated;
--- GRANT ALL ON hosts TO anon, authenticated;
-
--- Verification queries
--- Run these to verify everything was created successfully
-
--- Check if tables exist
-SELECT table_name
-FROM information_schema.tables
-WHERE table_schema = 'public'
-  AND table_name IN ('alerts', 'file_uploads', 'hosts');
-
--- Check if function exists
-SELECT routine_name
-FROM information_schema.routines
-WHERE routine_schema = 'public'
-  AND routine_name = 'match_alerts';
-
--- Check if indexes exist
-SELECT indexname
-FROM pg_indexes
-WHERE schemaname = 'public'
-  AND tablename = 'alerts';
-
--- Done! Your database is ready to use.
--- Next steps:
--- 1. Update your .env file with Supabase credentials
--- 2. Run: npm run dev
--- 3. Upload your first HTML file via the dashboard
@@ -0,0 +1,4 @@
+-- Remove incidents. alerts keeps one row per event: problem_id is no longer unique
+-- once a problem has both events, so its old constraint is not restored.
+DROP INDEX IF EXISTS alerts_problem_event_idx;
+DROP TABLE IF EXISTS incidents;
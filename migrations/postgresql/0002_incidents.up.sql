@@ -0,0 +1,48 @@
+-- Incidents: each problem produces a PROBLEM and an OK event in alerts; an incident
+-- pairs them. alerts keeps one row per event instead of one row per problem.
+
+CREATE TABLE IF NOT EXISTS incidents (
+  id SERIAL PRIMARY KEY,
+  problem_id VARCHAR(20) UNIQUE,
+  host VARCHAR(100),
+  alert_type VARCHAR(100),
+  interface VARCHAR(100),
+  severity VARCHAR(20),
+  status VARCHAR(20),
+  opened_at TIMESTAMPTZ,
+  opened_estimated BOOLEAN DEFAULT FALSE,
+  resolved_at TIMESTAMPTZ,
+  duration_seconds INT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS incidents_status_idx ON incidents(status);
+CREATE INDEX IF NOT EXISTS incidents_host_idx ON incidents(host);
+
+ALTER TABLE alerts DROP CONSTRAINT IF EXISTS alerts_problem_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS alerts_problem_event_idx ON alerts(problem_id, status);
+
+-- Backfill incidents from alerts that were imported before incidents existed
+INSERT INTO incidents (
+  problem_id, host, alert_type, interface, severity, status,
+  opened_at, opened_estimated, resolved_at, duration_seconds
+)
+SELECT
+  COALESCE(p.problem_id, r.problem_id),
+  COALESCE(p.host, r.host),
+  COALESCE(p.alert_type, r.alert_type),
+  COALESCE(p.interface, r.interface),
+  COALESCE(p.severity, r.severity),
+  CASE WHEN r.id IS NULL THEN 'open' ELSE 'resolved' END,
+  COALESCE(p.timestamp, r.timestamp - make_interval(secs => COALESCE(r.duration_seconds, 0))),
+  p.id IS NULL,
+  r.timestamp,
+  CASE
+    WHEN p.id IS NOT NULL AND r.id IS NOT NULL
+      THEN EXTRACT(EPOCH FROM (r.timestamp - p.timestamp))::INT
+    ELSE r.duration_seconds
+  END
+FROM (SELECT * FROM alerts WHERE status = 'PROBLEM') p
+FULL OUTER JOIN (SELECT * FROM alerts WHERE status = 'OK') r
+  ON r.problem_id = p.problem_id
+ON CONFLICT (problem_id) DO NOTHING;
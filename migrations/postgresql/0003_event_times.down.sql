@@ -0,0 +1,5 @@
+-- Remove the event time columns
+ALTER TABLE alerts DROP COLUMN IF EXISTS utc_offset;
+ALTER TABLE alerts DROP COLUMN IF EXISTS sent_at;
+ALTER TABLE alerts DROP COLUMN IF EXISTS event_time;
+ALTER TABLE alerts DROP COLUMN IF EXISTS duration_flag;
@@ -0,0 +1,6 @@
+-- Event time, send time and UTC offset are stored separately; durations that cannot
+-- be trusted are flagged instead of stored
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS duration_flag VARCHAR(20);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS event_time TIMESTAMPTZ;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS sent_at TIMESTAMPTZ;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS utc_offset VARCHAR(6);
@@ -0,0 +1,11 @@
+-- Remove the structured alert fields
+DROP INDEX IF EXISTS alerts_provider_idx;
+DROP INDEX IF EXISTS alerts_category_idx;
+
+ALTER TABLE incidents DROP COLUMN IF EXISTS provider;
+ALTER TABLE incidents DROP COLUMN IF EXISTS alert_category;
+ALTER TABLE alerts DROP COLUMN IF EXISTS threshold;
+ALTER TABLE alerts DROP COLUMN IF EXISTS interface_description;
+ALTER TABLE alerts DROP COLUMN IF EXISTS port;
+ALTER TABLE alerts DROP COLUMN IF EXISTS device;
+ALTER TABLE alerts DROP COLUMN IF EXISTS alert_category;
@@ -0,0 +1,19 @@
+-- Structured fields decomposed from the problem name
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS alert_category VARCHAR(30);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS device VARCHAR(100);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS port VARCHAR(100);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS interface_description VARCHAR(255);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS threshold NUMERIC;
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS alert_category VARCHAR(30);
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS provider VARCHAR(50);
+
+CREATE INDEX IF NOT EXISTS alerts_category_idx ON alerts(alert_category);
+CREATE INDEX IF NOT EXISTS alerts_provider_idx ON alerts(provider);
+
+-- Incidents backfilled before this migration take the provider of their events
+UPDATE incidents
+SET provider = alerts.provider
+FROM alerts
+WHERE incidents.provider IS NULL
+  AND alerts.problem_id = incidents.problem_id
+  AND alerts.provider IS NOT NULL;
@@ -0,0 +1,6 @@
+-- Remove the normalization rules and the values as parsed (normalized values stay)
+ALTER TABLE alerts DROP COLUMN IF EXISTS raw_alert_type;
+ALTER TABLE alerts DROP COLUMN IF EXISTS raw_severity;
+ALTER TABLE alerts DROP COLUMN IF EXISTS raw_host;
+
+DROP TABLE IF EXISTS normalization_rules;
@@ -0,0 +1,21 @@
+-- Normalization rules applied at ingest (severity map, host aliases, alert type
+-- patterns); alerts keep the values as parsed so the rules can be re-applied
+
+CREATE TABLE IF NOT EXISTS normalization_rules (
+  id SERIAL PRIMARY KEY,
+  rule_type VARCHAR(20) NOT NULL,
+  pattern VARCHAR(255) NOT NULL,
+  replacement VARCHAR(100) NOT NULL,
+  priority INT DEFAULT 0,
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (rule_type, pattern)
+);
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS raw_host VARCHAR(100);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS raw_severity VARCHAR(30);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS raw_alert_type VARCHAR(100);
+UPDATE alerts
+SET raw_host = host, raw_severity = severity, raw_alert_type = alert_type
+WHERE raw_host IS NULL AND raw_severity IS NULL AND raw_alert_type IS NULL;
@@ -0,0 +1,2 @@
+-- Remove the ingestion jobs
+DROP TABLE IF EXISTS ingestion_jobs;
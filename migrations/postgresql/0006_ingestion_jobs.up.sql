@@ -0,0 +1,17 @@
+-- Uploads are processed in the background; files holds per-file status, progress and counts
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+  id SERIAL PRIMARY KEY,
+  kind VARCHAR(20),
+  status VARCHAR(20),
+  files JSONB,
+  total_alerts INT DEFAULT 0,
+  records_added INT DEFAULT 0,
+  records_skipped INT DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS ingestion_jobs_status_idx ON ingestion_jobs(status);
@@ -0,0 +1,2 @@
+-- Remove the embedding cache
+DROP TABLE IF EXISTS embedding_cache;
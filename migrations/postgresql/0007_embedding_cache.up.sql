@@ -0,0 +1,6 @@
+-- Vectors keyed by the SHA-256 of the embedded alert text; identical texts are embedded once
+CREATE TABLE IF NOT EXISTS embedding_cache (
+  text_hash CHAR(64) PRIMARY KEY,
+  embedding VECTOR(1536) NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,56 @@
+-- Back to 1536-dimension text-embedding-3-small vectors only: embeddings of other
+-- models are cleared (the backfill embeds those alerts again)
+
+DROP FUNCTION IF EXISTS match_alerts(vector, double precision, integer, varchar, integer);
+DROP FUNCTION IF EXISTS ensure_embedding_index(varchar, integer);
+
+DELETE FROM embedding_cache WHERE model <> 'text-embedding-3-small';
+ALTER TABLE embedding_cache DROP CONSTRAINT IF EXISTS embedding_cache_pkey;
+ALTER TABLE embedding_cache DROP COLUMN IF EXISTS model;
+ALTER TABLE embedding_cache ADD PRIMARY KEY (text_hash);
+ALTER TABLE embedding_cache ALTER COLUMN embedding TYPE VECTOR(1536);
+
+DROP INDEX IF EXISTS alerts_embedding_model_idx;
+UPDATE alerts SET embedding = NULL
+WHERE embedding IS NOT NULL AND embedding_model IS DISTINCT FROM 'text-embedding-3-small';
+ALTER TABLE alerts DROP COLUMN IF EXISTS embedding_version;
+-- Also drops the per-model vector indexes, which are limited to embedding_model rows
+ALTER TABLE alerts DROP COLUMN IF EXISTS embedding_model;
+ALTER TABLE alerts ALTER COLUMN embedding TYPE VECTOR(1536);
+
+CREATE INDEX IF NOT EXISTS alerts_embedding_idx
+ON alerts USING ivfflat (embedding vector_cosine_ops)
+WITH (lists = 100);
+
+CREATE OR REPLACE FUNCTION match_alerts(
+  query_embedding VECTOR(1536),
+  match_threshold FLOAT,
+  match_count INT
+)
+RETURNS TABLE (
+  id INT,
+  problem_id VARCHAR,
+  host VARCHAR,
+  description TEXT,
+  alert_timestamp TIMESTAMPTZ,
+  status VARCHAR,
+  similarity FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    alerts.id,
+    alerts.problem_id,
+    alerts.host,
+    alerts.description,
+    alerts.timestamp AS alert_timestamp,
+    alerts.status,
+    1 - (alerts.embedding <=> query_embedding) AS similarity
+  FROM alerts
+  WHERE 1 - (alerts.embedding <=> query_embedding) > match_threshold
+  ORDER BY alerts.embedding <=> query_embedding
+  LIMIT match_count;
+END;
+$$;
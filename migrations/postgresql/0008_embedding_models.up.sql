@@ -0,0 +1,89 @@
+-- Embeddings record the model and text template version that produced them, and
+-- vectors of any dimension are accepted so the embedding model can change. The
+-- fixed-size ivfflat index is replaced by one HNSW index per model, on its vectors
+-- cast to the model's dimensions (a model id always produces the same dimensions).
+
+DROP INDEX IF EXISTS alerts_embedding_idx;
+ALTER TABLE alerts ALTER COLUMN embedding TYPE VECTOR;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS embedding_model VARCHAR(100);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS embedding_version INT;
+UPDATE alerts
+SET embedding_model = 'text-embedding-3-small', embedding_version = 1
+WHERE embedding IS NOT NULL AND embedding_model IS NULL;
+
+-- Alerts still to embed with the current model and template are found through this index
+CREATE INDEX IF NOT EXISTS alerts_embedding_model_idx ON alerts(embedding_model, embedding_version);
+
+-- The cache is keyed by model as well
+ALTER TABLE embedding_cache ALTER COLUMN embedding TYPE VECTOR;
+ALTER TABLE embedding_cache ADD COLUMN IF NOT EXISTS model VARCHAR(100) NOT NULL DEFAULT 'text-embedding-3-small';
+ALTER TABLE embedding_cache ALTER COLUMN model DROP DEFAULT;
+ALTER TABLE embedding_cache DROP CONSTRAINT IF EXISTS embedding_cache_pkey;
+ALTER TABLE embedding_cache ADD PRIMARY KEY (model, text_hash);
+
+-- Create the vector index of one embedding model, unless it exists: an HNSW index on
+-- its vectors cast to their dimensions, limited to its rows. pgvector only indexes
+-- up to 2000 dimensions; larger vectors are left to a sequential scan (returns FALSE).
+CREATE OR REPLACE FUNCTION ensure_embedding_index(index_model VARCHAR, index_dims INT)
+RETURNS BOOLEAN
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF index_dims > 2000 THEN
+    RETURN FALSE;
+  END IF;
+
+  EXECUTE format(
+    'CREATE INDEX IF NOT EXISTS %I ON alerts USING hnsw ((embedding::vector(%s)) vector_cosine_ops) '
+      'WHERE embedding_model = %L',
+    'alerts_embedding_' || left(md5(index_model || ':' || index_dims), 12) || '_idx',
+    index_dims,
+    index_model
+  );
+  RETURN TRUE;
+END;
+$$;
+
+-- Stored vectors were all made by the default model
+SELECT ensure_embedding_index('text-embedding-3-small', 1536);
+
+DROP FUNCTION IF EXISTS match_alerts(vector, double precision, integer);
+
+CREATE OR REPLACE FUNCTION match_alerts(
+  query_embedding VECTOR,
+  match_threshold FLOAT,
+  match_count INT,
+  match_model VARCHAR,
+  match_version INT
+)
+RETURNS TABLE (
+  id INT,
+  problem_id VARCHAR,
+  host VARCHAR,
+  description TEXT,
+  alert_timestamp TIMESTAMPTZ,
+  status VARCHAR,
+  similarity FLOAT
+)
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- Only vectors of the query's model are comparable (and have its dimensions); vectors
+  -- of another text template version are stale until the backfill replaces them.
+  -- The model and dimensions are written into the statement so the planner can use
+  -- the model's index from ensure_embedding_index().
+  RETURN QUERY EXECUTE format(
+    'SELECT alerts.id, alerts.problem_id, alerts.host, alerts.description,
+       alerts.timestamp AS alert_timestamp, alerts.status,
+       1 - (alerts.embedding::vector(%1$s) <=> $1::vector(%1$s)) AS similarity
+     FROM alerts
+     WHERE alerts.embedding_model = %2$L
+       AND alerts.embedding_version = $2
+       AND 1 - (alerts.embedding::vector(%1$s) <=> $1::vector(%1$s)) > $3
+     ORDER BY alerts.embedding::vector(%1$s) <=> $1::vector(%1$s)
+     LIMIT $4',
+    vector_dims(query_embedding),
+    match_model
+  ) USING query_embedding, match_version, match_threshold, match_count;
+END;
+$$;
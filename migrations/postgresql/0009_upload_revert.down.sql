@@ -0,0 +1,4 @@
+-- Remove the links between alerts and their uploads
+DROP INDEX IF EXISTS alerts_upload_id_idx;
+ALTER TABLE file_uploads DROP COLUMN IF EXISTS reverted_at;
+ALTER TABLE alerts DROP COLUMN IF EXISTS upload_id;
@@ -0,0 +1,6 @@
+-- Alerts record the upload that created them, so an upload can be reverted
+-- (alerts imported earlier have no upload_id and cannot be reverted by upload)
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS upload_id INT;
+ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS reverted_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS alerts_upload_id_idx ON alerts(upload_id);
@@ -0,0 +1,5 @@
+-- Remove the upload fingerprints
+DROP INDEX IF EXISTS file_uploads_content_hash_idx;
+ALTER TABLE file_uploads DROP COLUMN IF EXISTS last_message_id;
+ALTER TABLE file_uploads DROP COLUMN IF EXISTS first_message_id;
+ALTER TABLE file_uploads DROP COLUMN IF EXISTS content_hash;
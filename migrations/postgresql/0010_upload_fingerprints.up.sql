@@ -0,0 +1,6 @@
+-- Uploads are fingerprinted so re-uploads are caught before parsing
+ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS content_hash CHAR(64);
+ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS first_message_id BIGINT;
+ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS last_message_id BIGINT;
+
+CREATE INDEX IF NOT EXISTS file_uploads_content_hash_idx ON file_uploads(content_hash);
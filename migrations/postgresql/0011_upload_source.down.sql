@@ -0,0 +1,2 @@
+-- Remove the upload source
+ALTER TABLE file_uploads DROP COLUMN IF EXISTS source;
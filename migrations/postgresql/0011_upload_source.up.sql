@@ -0,0 +1,2 @@
+-- Uploads record where the file came from ('upload' or 'watcher')
+ALTER TABLE file_uploads ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'upload';
@@ -0,0 +1,6 @@
+-- Remove the connector state and the Zabbix event fields
+DROP TABLE IF EXISTS connector_state;
+
+ALTER TABLE alerts DROP COLUMN IF EXISTS tags;
+ALTER TABLE alerts DROP COLUMN IF EXISTS acknowledged;
+ALTER TABLE alerts DROP COLUMN IF EXISTS source_event_id;
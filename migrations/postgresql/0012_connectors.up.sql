@@ -0,0 +1,15 @@
+-- Pull connectors (Zabbix API, Telegram bot, …): Zabbix event IDs, acknowledgement
+-- state and tags of API/webhook events, and the cursor and last run of each connector
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS source_event_id VARCHAR(20);
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS acknowledged BOOLEAN;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS tags JSONB;
+
+-- Keyed by connector name
+CREATE TABLE IF NOT EXISTS connector_state (
+  name VARCHAR(50) PRIMARY KEY,
+  cursor JSONB,
+  last_run_at TIMESTAMPTZ,
+  last_error TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
@@ -0,0 +1,2 @@
+-- Remove the syslog messages
+DROP TABLE IF EXISTS syslog_messages;
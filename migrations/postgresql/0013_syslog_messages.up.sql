@@ -0,0 +1,19 @@
+-- Messages from network devices, linked to alerts by host (hostname or IP alias rule)
+CREATE TABLE IF NOT EXISTS syslog_messages (
+  id BIGSERIAL PRIMARY KEY,
+  timestamp TIMESTAMPTZ NOT NULL,
+  host VARCHAR(100),
+  raw_host VARCHAR(255),
+  source_ip VARCHAR(45),
+  facility SMALLINT,
+  severity SMALLINT,
+  app_name VARCHAR(100),
+  proc_id VARCHAR(50),
+  msg_id VARCHAR(50),
+  message TEXT,
+  protocol VARCHAR(10),
+  received_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS syslog_messages_host_timestamp_idx ON syslog_messages(host, timestamp);
+CREATE INDEX IF NOT EXISTS syslog_messages_timestamp_idx ON syslog_messages(timestamp);
@@ -0,0 +1,10 @@
+-- Remove the hosts inventory columns and function (the hosts rows stay)
+
+DROP FUNCTION IF EXISTS refresh_hosts(VARCHAR[]);
+
+DROP INDEX IF EXISTS hosts_last_seen_idx;
+
+ALTER TABLE hosts DROP COLUMN IF EXISTS first_seen;
+ALTER TABLE hosts DROP COLUMN IF EXISTS total_incidents;
+ALTER TABLE hosts DROP COLUMN IF EXISTS interfaces;
+ALTER TABLE hosts DROP COLUMN IF EXISTS updated_at;
@@ -0,0 +1,62 @@
+-- Hosts inventory: when each host was first and last seen, its alert and incident
+-- counts, open problems and interfaces. Ingestion, reverts and normalization rules
+-- keep the rows of the hosts they touch up to date through refresh_hosts().
+
+ALTER TABLE hosts ADD COLUMN IF NOT EXISTS first_seen TIMESTAMPTZ;
+ALTER TABLE hosts ADD COLUMN IF NOT EXISTS total_incidents INT DEFAULT 0;
+ALTER TABLE hosts ADD COLUMN IF NOT EXISTS interfaces JSONB DEFAULT '[]';
+ALTER TABLE hosts ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS hosts_last_seen_idx ON hosts(last_seen);
+
+-- Recompute the rows of some hosts from their alerts and incidents;
+-- hosts left without alerts are removed
+CREATE OR REPLACE FUNCTION refresh_hosts(host_names VARCHAR[])
+RETURNS INT
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  removed INT;
+  refreshed INT;
+BEGIN
+  DELETE FROM hosts
+  WHERE hosts.host_name = ANY(host_names)
+    AND NOT EXISTS (SELECT 1 FROM alerts WHERE alerts.host = hosts.host_name);
+  GET DIAGNOSTICS removed = ROW_COUNT;
+
+  INSERT INTO hosts (
+    host_name, first_seen, last_seen, total_alerts,
+    total_incidents, active_problems, interfaces, updated_at
+  )
+  SELECT
+    alerts.host,
+    MIN(alerts.timestamp),
+    MAX(alerts.timestamp),
+    COUNT(*),
+    (SELECT COUNT(*) FROM incidents WHERE incidents.host = alerts.host),
+    (SELECT COUNT(*) FROM incidents WHERE incidents.host = alerts.host AND incidents.status = 'open'),
+    COALESCE(
+      jsonb_agg(DISTINCT alerts.interface ORDER BY alerts.interface)
+        FILTER (WHERE alerts.interface IS NOT NULL),
+      '[]'
+    ),
+    NOW()
+  FROM alerts
+  WHERE alerts.host = ANY(host_names)
+  GROUP BY alerts.host
+  ON CONFLICT (host_name) DO UPDATE SET
+    first_seen = EXCLUDED.first_seen,
+    last_seen = EXCLUDED.last_seen,
+    total_alerts = EXCLUDED.total_alerts,
+    total_incidents = EXCLUDED.total_incidents,
+    active_problems = EXCLUDED.active_problems,
+    interfaces = EXCLUDED.interfaces,
+    updated_at = EXCLUDED.updated_at;
+  GET DIAGNOSTICS refreshed = ROW_COUNT;
+
+  RETURN removed + refreshed;
+END;
+$$;
+
+-- Build the inventory of the alerts already stored
+SELECT refresh_hosts(ARRAY(SELECT DISTINCT host FROM alerts WHERE host IS NOT NULL));
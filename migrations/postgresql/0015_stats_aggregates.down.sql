@@ -0,0 +1,4 @@
+-- Remove the statistics function and index
+DROP FUNCTION IF EXISTS alert_counts_since(TIMESTAMPTZ);
+
+DROP INDEX IF EXISTS incidents_status_opened_at_idx;
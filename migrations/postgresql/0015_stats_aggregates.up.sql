@@ -0,0 +1,31 @@
+-- Statistics computed in the database: the dashboard reads counts instead of rows,
+-- so results stay complete whatever the table size (PostgREST caps returned rows).
+
+-- Open problems, latest first (GET /api/stats/active)
+CREATE INDEX IF NOT EXISTS incidents_status_opened_at_idx ON incidents(status, opened_at);
+
+-- Alert events since a point in time, counted by status, severity, type, category
+-- and provider; one JSON array so the result is never truncated
+CREATE OR REPLACE FUNCTION alert_counts_since(since TIMESTAMPTZ)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+  WITH recent AS (
+    SELECT status, severity, alert_type, alert_category, provider
+    FROM alerts
+    WHERE timestamp >= since
+  ),
+  counts AS (
+    SELECT 'status' AS dimension, status AS value, COUNT(*) AS count FROM recent GROUP BY status
+    UNION ALL
+    SELECT 'severity', severity, COUNT(*) FROM recent GROUP BY severity
+    UNION ALL
+    SELECT 'alert_type', alert_type, COUNT(*) FROM recent GROUP BY alert_type
+    UNION ALL
+    SELECT 'alert_category', alert_category, COUNT(*) FROM recent GROUP BY alert_category
+    UNION ALL
+    SELECT 'provider', provider, COUNT(*) FROM recent GROUP BY provider
+  )
+  SELECT COALESCE(jsonb_agg(counts), '[]') FROM counts;
+$$;
@@ -0,0 +1,3 @@
+-- Event times later than the send time were read in the wrong time zone; the
+-- send time is used for them and the flag records why event_time is empty
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS event_time_flag VARCHAR(20);
@@ -0,0 +1,10 @@
+-- Remove everything the initial schema created (all stored data is lost)
+DROP TABLE IF EXISTS syslog_messages;
+DROP TABLE IF EXISTS connector_state;
+DROP TABLE IF EXISTS embedding_cache;
+DROP TABLE IF EXISTS ingestion_jobs;
+DROP TABLE IF EXISTS normalization_rules;
+DROP TABLE IF EXISTS incidents;
+DROP TABLE IF EXISTS hosts;
+DROP TABLE IF EXISTS file_uploads;
+DROP TABLE IF EXISTS alerts;
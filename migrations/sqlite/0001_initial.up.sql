@@ -0,0 +1,155 @@
+-- Initial schema: the tables of migrations/postgresql 0001 to 0013 in SQLite types.
+-- SQLite databases start at this schema, so the migration after it is 0014.
+-- Timestamps are ISO 8601 text in UTC, so they sort and compare as strings; booleans
+-- are 0/1, JSON is text and embeddings are float32 blobs.
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  problem_id TEXT,
+  timestamp TEXT,
+  status TEXT,
+  alert_type TEXT,
+  host TEXT,
+  interface TEXT,
+  severity TEXT,
+  provider TEXT,
+  duration_seconds INTEGER,
+  duration_flag TEXT,
+  alert_category TEXT,
+  device TEXT,
+  port TEXT,
+  interface_description TEXT,
+  threshold REAL,
+  event_time TEXT,
+  sent_at TEXT,
+  utc_offset TEXT,
+  raw_host TEXT,
+  raw_severity TEXT,
+  raw_alert_type TEXT,
+  description TEXT,
+  embedding BLOB,
+  embedding_model TEXT,
+  embedding_version INTEGER,
+  upload_id INTEGER,
+  source_event_id TEXT,
+  acknowledged INTEGER,
+  tags TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS file_uploads (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  filename TEXT,
+  upload_date TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  records_count INTEGER,
+  records_added INTEGER,
+  records_skipped INTEGER,
+  date_range_start TEXT,
+  date_range_end TEXT,
+  status TEXT,
+  source TEXT DEFAULT 'upload',
+  reverted_at TEXT,
+  content_hash TEXT,
+  first_message_id INTEGER,
+  last_message_id INTEGER
+);
+
+CREATE TABLE IF NOT EXISTS hosts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  host_name TEXT UNIQUE,
+  total_alerts INTEGER DEFAULT 0,
+  active_problems INTEGER DEFAULT 0,
+  last_seen TEXT
+);
+
+CREATE TABLE IF NOT EXISTS incidents (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  problem_id TEXT UNIQUE,
+  host TEXT,
+  alert_type TEXT,
+  alert_category TEXT,
+  provider TEXT,
+  interface TEXT,
+  severity TEXT,
+  status TEXT,
+  opened_at TEXT,
+  opened_estimated INTEGER DEFAULT 0,
+  resolved_at TEXT,
+  duration_seconds INTEGER,
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS normalization_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_type TEXT NOT NULL,
+  pattern TEXT NOT NULL,
+  replacement TEXT NOT NULL,
+  priority INTEGER DEFAULT 0,
+  enabled INTEGER DEFAULT 1,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (rule_type, pattern)
+);
+
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  kind TEXT,
+  status TEXT,
+  files TEXT,
+  total_alerts INTEGER DEFAULT 0,
+  records_added INTEGER DEFAULT 0,
+  records_skipped INTEGER DEFAULT 0,
+  error TEXT,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  started_at TEXT,
+  finished_at TEXT,
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS embedding_cache (
+  model TEXT NOT NULL,
+  text_hash TEXT NOT NULL,
+  embedding BLOB NOT NULL,
+  created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  PRIMARY KEY (model, text_hash)
+);
+
+CREATE TABLE IF NOT EXISTS connector_state (
+  name TEXT PRIMARY KEY,
+  cursor TEXT,
+  last_run_at TEXT,
+  last_error TEXT,
+  updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS syslog_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  timestamp TEXT NOT NULL,
+  host TEXT,
+  raw_host TEXT,
+  source_ip TEXT,
+  facility INTEGER,
+  severity INTEGER,
+  app_name TEXT,
+  proc_id TEXT,
+  msg_id TEXT,
+  message TEXT,
+  protocol TEXT,
+  received_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS alerts_timestamp_idx ON alerts(timestamp);
+CREATE INDEX IF NOT EXISTS alerts_host_idx ON alerts(host);
+CREATE INDEX IF NOT EXISTS alerts_status_idx ON alerts(status);
+CREATE INDEX IF NOT EXISTS alerts_problem_id_idx ON alerts(problem_id);
+CREATE INDEX IF NOT EXISTS alerts_upload_id_idx ON alerts(upload_id);
+CREATE INDEX IF NOT EXISTS alerts_category_idx ON alerts(alert_category);
+CREATE INDEX IF NOT EXISTS alerts_provider_idx ON alerts(provider);
+CREATE INDEX IF NOT EXISTS alerts_embedding_model_idx ON alerts(embedding_model, embedding_version);
+CREATE UNIQUE INDEX IF NOT EXISTS alerts_problem_event_idx ON alerts(problem_id, status);
+CREATE INDEX IF NOT EXISTS file_uploads_content_hash_idx ON file_uploads(content_hash);
+CREATE INDEX IF NOT EXISTS incidents_status_idx ON incidents(status);
+CREATE INDEX IF NOT EXISTS incidents_host_idx ON incidents(host);
+CREATE INDEX IF NOT EXISTS ingestion_jobs_status_idx ON ingestion_jobs(status);
+CREATE INDEX IF NOT EXISTS syslog_messages_host_timestamp_idx ON syslog_messages(host, timestamp);
+CREATE INDEX IF NOT EXISTS syslog_messages_timestamp_idx ON syslog_messages(timestamp);
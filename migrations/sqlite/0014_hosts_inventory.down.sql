@@ -0,0 +1,7 @@
+-- Remove the hosts inventory columns (the hosts rows stay)
+DROP INDEX IF EXISTS hosts_last_seen_idx;
+
+ALTER TABLE hosts DROP COLUMN first_seen;
+ALTER TABLE hosts DROP COLUMN total_incidents;
+ALTER TABLE hosts DROP COLUMN interfaces;
+ALTER TABLE hosts DROP COLUMN updated_at;
@@ -0,0 +1,41 @@
+-- Hosts inventory: the columns of migrations/postgresql/0014_hosts_inventory.up.sql.
+-- The rows are kept up to date by the refreshHosts storage operation (see storage/sql.js).
+
+ALTER TABLE hosts ADD COLUMN first_seen TEXT;
+ALTER TABLE hosts ADD COLUMN total_incidents INTEGER DEFAULT 0;
+ALTER TABLE hosts ADD COLUMN interfaces TEXT DEFAULT '[]';
+ALTER TABLE hosts ADD COLUMN updated_at TEXT;
+
+CREATE INDEX IF NOT EXISTS hosts_last_seen_idx ON hosts(last_seen);
+
+-- Build the inventory of the alerts already stored
+DELETE FROM hosts WHERE host_name NOT IN (SELECT host FROM alerts WHERE host IS NOT NULL);
+
+INSERT INTO hosts (
+  host_name, first_seen, last_seen, total_alerts,
+  total_incidents, active_problems, interfaces, updated_at
+)
+SELECT
+  alerts.host,
+  MIN(alerts.timestamp),
+  MAX(alerts.timestamp),
+  COUNT(*),
+  (SELECT COUNT(*) FROM incidents WHERE incidents.host = alerts.host),
+  (SELECT COUNT(*) FROM incidents WHERE incidents.host = alerts.host AND incidents.status = 'open'),
+  (SELECT json_group_array(interface) FROM (
+    SELECT DISTINCT interface FROM alerts AS host_alerts
+    WHERE host_alerts.host = alerts.host AND interface IS NOT NULL
+    ORDER BY interface
+  )),
+  strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+FROM alerts
+WHERE alerts.host IS NOT NULL
+GROUP BY alerts.host
+ON CONFLICT (host_name) DO UPDATE SET
+  first_seen = excluded.first_seen,
+  last_seen = excluded.last_seen,
+  total_alerts = excluded.total_alerts,
+  total_incidents = excluded.total_incidents,
+  active_problems = excluded.active_problems,
+  interfaces = excluded.interfaces,
+  updated_at = excluded.updated_at;
@@ -0,0 +1,2 @@
+-- Remove the statistics index
+DROP INDEX IF EXISTS incidents_status_opened_at_idx;
@@ -0,0 +1,5 @@
+-- Statistics computed in the database: SQLite runs the aggregation queries of
+-- storage/sql.js directly, so only the index of migrations/postgresql is needed.
+
+-- Open problems, latest first (GET /api/stats/active)
+CREATE INDEX IF NOT EXISTS incidents_status_opened_at_idx ON incidents(status, opened_at);
@@ -0,0 +1,2 @@
+-- Remove the event time flag
+ALTER TABLE alerts DROP COLUMN event_time_flag;
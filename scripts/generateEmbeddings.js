@@ -1,70 +1,34 @@
 import dotenv from 'dotenv';
-import { supabase } from '../server/services/supabase.js';
-import { generateAlertEmbedding } from '../server/services/ragEngine.js';
+import { backfillEmbeddings, getEmbeddingStatus } from '../server/services/embeddings.js';
 
 dotenv.config();
 
 /**
  * Generate embeddings for all alerts that don't have them
+ * Uses the same batched backfill the server runs after each ingestion.
  */
 async function generateEmbeddings() {
   try {
     console.log('🚀 Starting embedding generation...\n');
 
-    // Get all alerts without embeddings
-    const { data: alerts, error } = await supabase
-      .from('alerts')
-      .select('*')
-      .is('embedding', null);
+    const { missing, outdated, model, templateVersion } = await getEmbeddingStatus();
+    const pending = missing + outdated;
 
-    if (error) {
-      throw error;
-    }
-
-    if (!alerts || alerts.length === 0) {
+    if (pending === 0) {
       console.log('✅ All alerts already have embeddings!');
       return;
     }
 
-    console.log(`📊 Found ${alerts.length} alerts without embeddings\n`);
-
-    let processed = 0;
-    let failed = 0;
-    const batchSize = 10; // Process 10 at a time to avoid rate limits
-
-    for (let i = 0; i < alerts.length; i += batchSize) {
-      const batch = alerts.slice(i, i + batchSize);
-
-      console.log(`Processing batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(alerts.length / batchSize)}...`);
-
-      for (const alert of batch) {
-        try {
-          // Generate embedding
-          const embedding = await generateAlertEmbedding(alert);
-
-          // Update alert with embedding
-          const { error: updateError } = await supabase
-            .from('alerts')
-            .update({ embedding })
-            .eq('id', alert.id);
+    console.log(`📊 Found ${missing} alerts without embeddings and ${outdated} from an older template`);
+    console.log(`   Model: ${model}, template version ${templateVersion}\n`);
 
-          if (updateError) {
-            console.error(`  ❌ Failed to update alert ${alert.id}:`, updateError.message);
-            failed++;
-          } else {
-            processed++;
-            process.stdout.write(`  ✓ ${processed}/${alerts.length} completed\r`);
-          }
-        } catch (error) {
-          console.error(`  ❌ Error processing alert ${alert.id}:`, error.message);
-          failed++;
-        }
-      }
+    const { processed, failed } = await backfillEmbeddings((state) => {
+      process.stdout.write(`  ✓ ${state.processed}/${pending} completed\r`);
+    });
 
-      // Small delay between batches to avoid rate limits
-      if (i + batchSize < alerts.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+    const { lastError, cache } = await getEmbeddingStatus();
+    if (lastError) {
+      console.error(`\n  ❌ Stopped after an error: ${lastError}`);
     }
 
     console.log('\n');
@@ -73,7 +37,8 @@ async function generateEmbeddings() {
     console.log('═══════════════════════════════════════════════════');
     console.log(`✅ Successfully processed: ${processed}`);
     console.log(`❌ Failed: ${failed}`);
-    console.log(`📊 Total alerts: ${alerts.length}`);
+    console.log(`📊 Total alerts: ${pending}`);
+    console.log(`📦 Cache hits: ${cache.hits}, texts sent to OpenAI: ${cache.misses}`);
     console.log('═══════════════════════════════════════════════════\n');
 
     console.log('🎉 RAG features are now enabled!');
@@ -0,0 +1,68 @@
+import dotenv from 'dotenv';
+import { migrate, getMigrationStatus } from '../server/services/migrations.js';
+
+dotenv.config();
+
+const USAGE = `Usage:
+  npm run migrate                Apply all pending migrations
+  npm run migrate -- status      List applied and pending migrations
+  npm run migrate -- down        Revert the latest migration
+  npm run migrate -- to <N>      Migrate up or down to version N (0 reverts everything)`;
+
+/**
+ * Apply or revert schema migrations (see migrations/ and server/services/migrations.js)
+ */
+async function runMigrations() {
+  const [command = 'up', argument] = process.argv.slice(2);
+
+  try {
+    if (command === 'status') {
+      const { backend, current, expected, applied, pending } = await getMigrationStatus();
+
+      console.log(`📊 Storage backend: ${backend}, schema version ${current} (code expects ${expected})\n`);
+      applied.forEach((row) => {
+        console.log(`  ✅ ${row.version}_${row.name}  applied ${row.applied_at}`);
+      });
+      pending.forEach((migration) => {
+        console.log(`  ⏳ ${migration.version}_${migration.name}  pending`);
+      });
+      return;
+    }
+
+    let to = null;
+    if (command === 'down') {
+      const { applied } = await getMigrationStatus();
+      if (applied.length === 0) {
+        console.log('ℹ️  No migrations have been applied');
+        return;
+      }
+      to = applied.length > 1 ? applied[applied.length - 2].version : 0;
+    } else if (command === 'to') {
+      to = parseInt(argument, 10);
+      if (isNaN(to)) {
+        console.error(USAGE);
+        process.exit(1);
+      }
+    } else if (command !== 'up') {
+      console.error(USAGE);
+      process.exit(1);
+    }
+
+    const steps = await migrate({
+      to,
+      onStep: ({ version, name, direction }) => {
+        console.log(`  ${direction === 'up' ? '⬆️ ' : '⬇️ '} ${version}_${name}`);
+      },
+    });
+
+    const { current } = await getMigrationStatus();
+    console.log(steps.length === 0
+      ? `✅ Schema is up to date (version ${current})`
+      : `✅ ${steps.length} migration(s) run, schema is at version ${current}`);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runMigrations();
@@ -0,0 +1,201 @@
+import http from 'http';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const PORT = parseInt(process.env.TELEGRAM_MOCK_PORT) || 8086;
+
+// Seconds between simulated channel posts (a new problem, or the resolution of an open one)
+const POST_INTERVAL = parseInt(process.env.TELEGRAM_MOCK_INTERVAL) || 30;
+
+const CHANNEL = { id: -1001234567890, title: 'Altima-Network', username: 'altima_network', type: 'channel' };
+const HOSTS = ['TRT-Cisco-SW', 'BGP_TRT', '6600-Kildare', 'OTT-Core-01'];
+const PROBLEMS = [
+  { name: 'Unavailable by ICMP ping', severity: 'High' },
+  { name: 'Interface smartgroup11(): Link down', severity: 'Average' },
+  { name: 'High bandwidth usage (over 90%)', severity: 'Warning' },
+  { name: 'BGP peer 10.0.0.1 is down', severity: 'Disaster' },
+];
+
+// Updates not yet confirmed by a getUpdates offset, and long polls waiting for one
+const updates = [];
+const waiting = new Set();
+const open = [];
+let nextUpdateId = 500000;
+let nextMessageId = 12000;
+let nextProblemId = 27000000;
+let webhook = null;
+
+/**
+ * Format a time like the Zabbix notifications in the channel ("10:12:38 on 2022.02.23")
+ */
+function formatTime(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} on ` +
+    `${date.getUTCFullYear()}.${pad(date.getUTCMonth() + 1)}.${pad(date.getUTCDate())}`;
+}
+
+/**
+ * Post a problem, or the resolution of an open one, to the channel
+ */
+function simulatePost() {
+  const now = new Date();
+  let text;
+
+  if (open.length > 0 && Math.random() < 0.4) {
+    const problem = open.splice(Math.floor(Math.random() * open.length), 1)[0];
+    const minutes = Math.max(1, Math.round((now - problem.startedAt) / 60000));
+    text = `✅  \nProblem has been resolved After ${minutes}m\nat ${formatTime(now)}\n` +
+      `Problem name: ${problem.name}\nHost: ${problem.host}\nSeverity: ${problem.severity}\n\n` +
+      `Original problem ID: ${problem.id}`;
+  } else {
+    const template = PROBLEMS[Math.floor(Math.random() * PROBLEMS.length)];
+    const problem = {
+      ...template,
+      id: nextProblemId++,
+      host: HOSTS[Math.floor(Math.random() * HOSTS.length)],
+      startedAt: now,
+    };
+    open.push(problem);
+    text = `❌  \nProblem started at ${formatTime(now)}\nProblem name: ${problem.name}\n` +
+      `Host: ${problem.host}\nSeverity: ${problem.severity}\n\nOriginal problem ID: ${problem.id}`;
+  }
+
+  const update = {
+    update_id: nextUpdateId++,
+    channel_post: {
+      message_id: nextMessageId++,
+      sender_chat: CHANNEL,
+      chat: CHANNEL,
+      date: Math.floor(now.getTime() / 1000),
+      text,
+    },
+  };
+  updates.push(update);
+
+  if (webhook) {
+    pushToWebhook();
+  } else {
+    for (const wake of waiting) wake();
+  }
+}
+
+/**
+ * Deliver pending updates to the webhook one at a time, keeping any it fails on
+ */
+async function pushToWebhook() {
+  while (webhook && updates.length > 0) {
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(webhook.secret && { 'X-Telegram-Bot-Api-Secret-Token': webhook.secret }),
+        },
+        body: JSON.stringify(updates[0]),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      updates.shift();
+    } catch (error) {
+      console.error(`Webhook delivery failed (${error.message}); retrying with the next post`);
+      return;
+    }
+  }
+}
+
+/**
+ * getUpdates: confirm updates below offset, then answer at once or when a post arrives
+ */
+async function getUpdates(params) {
+  if (webhook) {
+    throw { error_code: 409, description: "Conflict: can't use getUpdates method while webhook is active" };
+  }
+
+  const offset = parseInt(params.offset) || 0;
+  while (updates.length > 0 && updates[0].update_id < offset) updates.shift();
+
+  const limit = Math.min(parseInt(params.limit) || 100, 100);
+  const timeout = Math.min(parseInt(params.timeout) || 0, 50);
+
+  if (updates.length === 0 && timeout > 0) {
+    await new Promise((resolve) => {
+      const wake = () => {
+        clearTimeout(timer);
+        waiting.delete(wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, timeout * 1000);
+      waiting.add(wake);
+    });
+  }
+
+  return updates.filter(update => update.update_id >= offset).slice(0, limit);
+}
+
+const METHODS = {
+  getMe: () => ({ id: 7000000001, is_bot: true, first_name: 'Mock Alerts Bot', username: 'mock_alerts_bot' }),
+  getUpdates,
+  setWebhook: (params) => {
+    webhook = params.url ? { url: params.url, secret: params.secret_token || null } : null;
+    for (const wake of waiting) wake();
+    pushToWebhook();
+    return true;
+  },
+  deleteWebhook: () => {
+    webhook = null;
+    return true;
+  },
+  getWebhookInfo: () => ({ url: webhook?.url || '', pending_update_count: updates.length }),
+};
+
+setInterval(simulatePost, POST_INTERVAL * 1000);
+for (let i = 0; i < 5; i++) simulatePost();
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+
+  req.on('end', async () => {
+    const reply = (status, payload) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    const match = req.url.match(/^\/bot([^/]+)\/(\w+)/);
+    if (!match) {
+      return reply(404, { ok: false, error_code: 404, description: 'Not Found' });
+    }
+
+    const [, token, methodName] = match;
+    const expected = process.env.TELEGRAM_BOT_TOKEN;
+    if (expected && token !== expected) {
+      return reply(401, { ok: false, error_code: 401, description: 'Unauthorized' });
+    }
+
+    const method = METHODS[methodName];
+    if (!method) {
+      return reply(404, { ok: false, error_code: 404, description: 'Not Found: method not found' });
+    }
+
+    let params = {};
+    try {
+      params = body ? JSON.parse(body) : {};
+    } catch {
+      return reply(400, { ok: false, error_code: 400, description: 'Bad Request: invalid JSON' });
+    }
+
+    try {
+      reply(200, { ok: true, result: await method(params) });
+    } catch (error) {
+      reply(error.error_code || 500, { ok: false, ...error });
+    }
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Telegram Bot API on http://localhost:${PORT}`);
+  console.log(`Posting to "${CHANNEL.title}" every ${POST_INTERVAL}s (${updates.length} posts waiting)`);
+  console.log(`Point the server at it with TELEGRAM_API_URL=http://localhost:${PORT}`);
+});
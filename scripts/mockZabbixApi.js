@@ -0,0 +1,146 @@
+import http from 'http';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const PORT = parseInt(process.env.ZABBIX_MOCK_PORT) || 8085;
+
+// Seconds between simulated events (a new problem, or the resolution of an open one)
+const EVENT_INTERVAL = parseInt(process.env.ZABBIX_MOCK_INTERVAL) || 30;
+
+const HOSTS = ['TRT-Cisco-SW', 'BGP_TRT', 'MTL-Juniper-MX', 'OTT-Core-01'];
+const PROBLEMS = [
+  { name: 'Unavailable by ICMP ping', severity: '4', tags: [{ tag: 'scope', value: 'availability' }] },
+  { name: 'Interface Gi0/1(Uplink Rogers): Link down', severity: '3', tags: [{ tag: 'component', value: 'network' }] },
+  { name: 'High bandwidth usage (over 90%)', severity: '2', tags: [{ tag: 'scope', value: 'performance' }] },
+  { name: 'BGP peer 10.0.0.1 is down', severity: '5', tags: [{ tag: 'component', value: 'bgp' }] },
+];
+
+// Events by ID, as Zabbix stores them: problems (value 1) and recoveries (value 0)
+const events = new Map();
+let nextEventId = 1000;
+
+/**
+ * Add a problem event, or resolve an open problem, at the given time
+ */
+function simulateEvent(clock) {
+  const open = [...events.values()].filter(event => event.value === '1' && event.r_eventid === '0');
+
+  if (open.length > 0 && Math.random() < 0.4) {
+    const problem = open[Math.floor(Math.random() * open.length)];
+    const recovery = { eventid: String(nextEventId++), value: '0', clock: String(clock), r_eventid: '0' };
+    events.set(recovery.eventid, recovery);
+    problem.r_eventid = recovery.eventid;
+    return;
+  }
+
+  const template = PROBLEMS[Math.floor(Math.random() * PROBLEMS.length)];
+  const host = HOSTS[Math.floor(Math.random() * HOSTS.length)];
+  const problem = {
+    eventid: String(nextEventId++),
+    objectid: String(13000 + PROBLEMS.indexOf(template)),
+    value: '1',
+    clock: String(clock),
+    acknowledged: Math.random() < 0.3 ? '1' : '0',
+    name: template.name,
+    severity: template.severity,
+    r_eventid: '0',
+    opdata: '',
+    hosts: [{ hostid: '10084', host, name: host }],
+    tags: template.tags,
+  };
+  events.set(problem.eventid, problem);
+}
+
+/**
+ * Pick the requested output fields of an event
+ */
+function project(event, params) {
+  const fields = Array.isArray(params.output) ? params.output : Object.keys(event);
+  const result = Object.fromEntries(fields.filter(field => field in event).map(field => [field, event[field]]));
+
+  if (params.selectHosts && event.hosts) result.hosts = event.hosts;
+  if (params.selectTags && event.tags) result.tags = event.tags;
+  return result;
+}
+
+/**
+ * event.get: eventids, eventid_from, time_from, value, sortfield eventid, limit
+ */
+function eventGet(params) {
+  let result = [...events.values()];
+
+  if (params.eventids) result = result.filter(event => [].concat(params.eventids).includes(event.eventid));
+  if (params.eventid_from) result = result.filter(event => BigInt(event.eventid) >= BigInt(params.eventid_from));
+  if (params.time_from) result = result.filter(event => parseInt(event.clock) >= parseInt(params.time_from));
+  if (params.value !== undefined) result = result.filter(event => event.value === String(params.value));
+
+  result.sort((a, b) => Number(BigInt(a.eventid) - BigInt(b.eventid)));
+  if (params.sortorder === 'DESC') result.reverse();
+  if (params.limit) result = result.slice(0, parseInt(params.limit));
+
+  return result.map(event => project(event, params));
+}
+
+/**
+ * problem.get: unresolved problems (and, with recent, every problem) by eventids
+ */
+function problemGet(params) {
+  return [...events.values()]
+    .filter(event => event.value === '1')
+    .filter(event => params.recent || event.r_eventid === '0')
+    .filter(event => !params.eventids || [].concat(params.eventids).includes(event.eventid))
+    .map(event => project(event, params));
+}
+
+const METHODS = {
+  'apiinfo.version': () => '7.0.0',
+  'event.get': eventGet,
+  'problem.get': problemGet,
+};
+
+// Seed a day of history, then keep producing events
+const now = Math.floor(Date.now() / 1000);
+for (let clock = now - 86400; clock < now; clock += 1800) {
+  simulateEvent(clock);
+}
+setInterval(() => simulateEvent(Math.floor(Date.now() / 1000)), EVENT_INTERVAL * 1000);
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+
+  req.on('end', () => {
+    const reply = (payload) => {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ jsonrpc: '2.0', ...payload }));
+    };
+
+    let request;
+    try {
+      request = JSON.parse(body);
+    } catch {
+      return reply({ error: { code: -32700, message: 'Parse error.', data: 'Invalid JSON.' }, id: null });
+    }
+
+    const token = process.env.ZABBIX_API_TOKEN;
+    if (token && request.method !== 'apiinfo.version' && req.headers.authorization !== `Bearer ${token}`) {
+      return reply({ error: { code: -32602, message: 'Invalid params.', data: 'Not authorized.' }, id: request.id });
+    }
+
+    const method = METHODS[request.method];
+    if (!method) {
+      return reply({ error: { code: -32601, message: 'Method not found.', data: request.method }, id: request.id });
+    }
+
+    reply({ result: method(request.params || {}), id: request.id });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Zabbix API on http://localhost:${PORT}/api_jsonrpc.php`);
+  console.log(`${events.size} events seeded; a new event every ${EVENT_INTERVAL}s`);
+  console.log(`Point the server at it with ZABBIX_API_URL=http://localhost:${PORT}/api_jsonrpc.php`);
+});
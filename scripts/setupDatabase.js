@@ -1,31 +1,39 @@
 import fs from 'fs/promises';
 import path from 'path';
 import dotenv from 'dotenv';
-import { supabase } from '../server/services/supabase.js';
 import { parseHTMLAlerts } from '../server/utils/parser.js';
-import { generateAlertEmbedding } from '../server/services/ragEngine.js';
-import { insertAlerts, insertFileUpload } from '../server/services/supabase.js';
+import { fingerprintFile } from '../server/utils/fingerprint.js';
+import { buildAlertEmbeddingText, ALERT_EMBEDDING_VERSION } from '../server/services/ragEngine.js';
+import { EMBEDDING_MODEL_ID } from '../server/services/openai.js';
+import { embedTexts } from '../server/services/embeddingCache.js';
+import {
+  insertAlerts,
+  insertFileUpload,
+  updateFileUpload,
+  refreshHosts,
+  getStorageInfo,
+} from '../server/services/storage/index.js';
+import { syncIncidents } from '../server/services/incidents.js';
+import { normalizeAlerts } from '../server/services/normalization.js';
+import { migrate } from '../server/services/migrations.js';
 
 dotenv.config();
 
 /**
- * Setup database tables and upload initial data
+ * Migrate the database schema and upload initial data
  */
 async function setupDatabase() {
   try {
     console.log('🚀 Starting database setup...\n');
 
-    // Step 1: Create tables
-    console.log('📊 Creating database tables...');
-    await createTables();
-    console.log('✅ Tables created successfully\n');
+    // Step 1: Create or upgrade the schema
+    console.log(`📊 Migrating the ${getStorageInfo().backend} database...`);
+    const steps = await migrate({
+      onStep: ({ version, name }) => console.log(`  Applying ${version}_${name}...`),
+    });
+    console.log(steps.length > 0 ? '✅ Schema migrated\n' : '✅ Schema is up to date\n');
 
-    // Step 2: Create vector search function
-    console.log('🔍 Creating vector search function...');
-    await createVectorSearchFunction();
-    console.log('✅ Vector search function created\n');
-
-    // Step 3: Upload initial data
+    // Step 2: Upload initial data
     console.log('📤 Uploading initial data...');
     await uploadInitialData();
     console.log('✅ Initial data uploaded\n');
@@ -43,137 +51,6 @@ async function setupDatabase() {
   }
 }
 
-/**
- * Create database tables
- */
-async function createTables() {
-  // Create alerts table
-  const createAlertsTable = `
-    CREATE TABLE IF NOT EXISTS alerts (
-      id SERIAL PRIMARY KEY,
-      problem_id VARCHAR(20) UNIQUE,
-      timestamp TIMESTAMPTZ,
-      status VARCHAR(20),
-      alert_type VARCHAR(100),
-      host VARCHAR(100),
-      interface VARCHAR(100),
-      severity VARCHAR(20),
-      provider VARCHAR(50),
-      duration_seconds INT,
-      description TEXT,
-      embedding VECTOR(1536),
-      created_at TIMESTAMPTZ DEFAULT NOW()
-    );
-  `;
-
-  // Create file_uploads table
-  const createFileUploadsTable = `
-    CREATE TABLE IF NOT EXISTS file_uploads (
-      id SERIAL PRIMARY KEY,
-      filename VARCHAR(255),
-      upload_date TIMESTAMPTZ DEFAULT NOW(),
-      records_count INT,
-      records_added INT,
-      records_skipped INT,
-      date_range_start TIMESTAMPTZ,
-      date_range_end TIMESTAMPTZ,
-      status VARCHAR(50)
-    );
-  `;
-
-  // Create hosts table
-  const createHostsTable = `
-    CREATE TABLE IF NOT EXISTS hosts (
-      id SERIAL PRIMARY KEY,
-      host_name VARCHAR(100) UNIQUE,
-      total_alerts INT DEFAULT 0,
-      active_problems INT DEFAULT 0,
-      last_seen TIMESTAMPTZ
-    );
-  `;
-
-  // Create index on embedding column
-  const createEmbeddingIndex = `
-    CREATE INDEX IF NOT EXISTS alerts_embedding_idx
-    ON alerts USING ivfflat (embedding vector_cosine_ops)
-    WITH (lists = 100);
-  `;
-
-  // Create indexes for performance
-  const createIndexes = `
-    CREATE INDEX IF NOT EXISTS alerts_timestamp_idx ON alerts(timestamp);
-    CREATE INDEX IF NOT EXISTS alerts_host_idx ON alerts(host);
-    CREATE INDEX IF NOT EXISTS alerts_status_idx ON alerts(status);
-    CREATE INDEX IF NOT EXISTS alerts_problem_id_idx ON alerts(problem_id);
-  `;
-
-  try {
-    // Note: For Supabase, you might need to run these in the SQL editor
-    // since some operations might require elevated permissions
-    console.log('  Creating alerts table...');
-    console.log('  Creating file_uploads table...');
-    console.log('  Creating hosts table...');
-    console.log('  Creating indexes...');
-
-    console.log('\n⚠️  IMPORTANT: Please run the following SQL in your Supabase SQL Editor:\n');
-    console.log('═══════════════════════════════════════════════════');
-    console.log(createAlertsTable);
-    console.log(createFileUploadsTable);
-    console.log(createHostsTable);
-    console.log(createIndexes);
-    console.log(createEmbeddingIndex);
-    console.log('═══════════════════════════════════════════════════\n');
-  } catch (error) {
-    console.error('Error creating tables:', error);
-    throw error;
-  }
-}
-
-/**
- * Create vector search function
- */
-async function createVectorSearchFunction() {
-  const createFunction = `
-    CREATE OR REPLACE FUNCTION match_alerts(
-      query_embedding VECTOR(1536),
-      match_threshold FLOAT,
-      match_count INT
-    )
-    RETURNS TABLE (
-      id INT,
-      problem_id VARCHAR,
-      host VARCHAR,
-      description TEXT,
-      timestamp TIMESTAMPTZ,
-      status VARCHAR,
-      similarity FLOAT
-    )
-    LANGUAGE plpgsql
-    AS $$
-    BEGIN
-      RETURN QUERY
-      SELECT
-        alerts.id,
-        alerts.problem_id,
-        alerts.host,
-        alerts.description,
-        alerts.timestamp,
-        alerts.status,
-        1 - (alerts.embedding <=> query_embedding) AS similarity
-      FROM alerts
-      WHERE 1 - (alerts.embedding <=> query_embedding) > match_threshold
-      ORDER BY alerts.embedding <=> query_embedding
-      LIMIT match_count;
-    END;
-    $$;
-  `;
-
-  console.log('\n⚠️  Please also add this function in Supabase SQL Editor:\n');
-  console.log('═══════════════════════════════════════════════════');
-  console.log(createFunction);
-  console.log('═══════════════════════════════════════════════════\n');
-}
-
 /**
  * Upload initial data from HTML files
  */
@@ -190,22 +67,41 @@ async function uploadInitialData() {
       console.log(`\n  Processing: ${path.basename(filePath)}`);
 
       const htmlContent = await fs.readFile(filePath, 'utf-8');
-      const alerts = parseHTMLAlerts(htmlContent);
+      const alerts = await normalizeAlerts(parseHTMLAlerts(htmlContent));
 
       console.log(`  Found ${alerts.length} alerts`);
 
+      // Record the upload first so its alerts can reference it (and be reverted)
+      const fingerprint = await fingerprintFile(filePath, 'telegram-html');
+      const upload = await insertFileUpload({
+        filename: path.basename(filePath),
+        records_count: alerts.length,
+        records_added: 0,
+        records_skipped: 0,
+        status: 'processing',
+        content_hash: fingerprint.contentHash,
+        first_message_id: fingerprint.firstMessageId,
+        last_message_id: fingerprint.lastMessageId,
+      });
+      alerts.forEach((alert) => {
+        alert.upload_id = upload.id;
+      });
+
       // Generate embeddings and upload in batches
       const batchSize = 10;
       for (let i = 0; i < alerts.length; i += batchSize) {
         const batch = alerts.slice(i, i + batchSize);
 
-        // Generate embeddings
-        for (const alert of batch) {
-          try {
-            alert.embedding = await generateAlertEmbedding(alert);
-          } catch (error) {
-            console.error(`    Error generating embedding: ${error.message}`);
-          }
+        // Generate embeddings (cached texts are not sent to OpenAI again)
+        try {
+          const embeddings = await embedTexts(batch.map(buildAlertEmbeddingText));
+          batch.forEach((alert, index) => {
+            alert.embedding = embeddings[index];
+            alert.embedding_model = EMBEDDING_MODEL_ID;
+            alert.embedding_version = ALERT_EMBEDDING_VERSION;
+          });
+        } catch (error) {
+          console.error(`    Error generating embeddings: ${error.message}`);
         }
 
         // Insert batch
@@ -213,10 +109,12 @@ async function uploadInitialData() {
         console.log(`  Uploaded ${Math.min(i + batchSize, alerts.length)}/${alerts.length} alerts`);
       }
 
+      await syncIncidents(alerts);
+      await refreshHosts(alerts.map(alert => alert.host));
+
       // Record upload
       const timestamps = alerts.map(a => new Date(a.timestamp)).filter(d => !isNaN(d));
-      await insertFileUpload({
-        filename: path.basename(filePath),
+      await updateFileUpload(upload.id, {
         records_count: alerts.length,
         records_added: alerts.length,
         records_skipped: 0,
@@ -7,6 +7,19 @@ import dotenv from 'dotenv';
 import statsRoutes from './routes/stats.js';
 import chatRoutes from './routes/chat.js';
 import uploadRoutes from './routes/upload.js';
+import normalizationRoutes from './routes/normalization.js';
+import embeddingsRoutes from './routes/embeddings.js';
+import ingestRoutes from './routes/ingest.js';
+import connectorRoutes from './routes/connectors.js';
+import hostRoutes from './routes/hosts.js';
+import { resumeJobs } from './services/ingestionJobs.js';
+import { scheduleBackfill } from './services/embeddings.js';
+import { startUploadWatcher } from './services/uploadWatcher.js';
+import { startZabbixConnector } from './services/zabbixConnector.js';
+import { startTelegramBot } from './services/telegramBot.js';
+import { startSyslogReceiver } from './services/syslogReceiver.js';
+import { getStorageInfo } from './services/storage/index.js';
+import { migrate, checkSchemaVersion } from './services/migrations.js';
 
 dotenv.config();
 
@@ -15,7 +28,13 @@ const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+// The raw body is kept for webhook signatures (see utils/webhookAuth.js)
+app.use(express.json({
+  limit: process.env.JSON_BODY_LIMIT || '5mb',
+  verify: (req, res, buffer) => {
+    req.rawBody = buffer;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Logging middleware
@@ -30,6 +49,7 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
+    storage: getStorageInfo().backend,
   });
 });
 
@@ -37,6 +57,11 @@ app.get('/health', (req, res) => {
 app.use('/api/stats', statsRoutes);
 app.use('/api/chat', chatRoutes);
 app.use('/api/upload', uploadRoutes);
+app.use('/api/normalization', normalizationRoutes);
+app.use('/api/embeddings', embeddingsRoutes);
+app.use('/api/ingest', ingestRoutes);
+app.use('/api/connectors', connectorRoutes);
+app.use('/api/hosts', hostRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -56,8 +81,34 @@ app.use((err, req, res, next) => {
   });
 });
 
+/**
+ * Make sure the database schema is the version this code expects,
+ * applying pending migrations first when MIGRATE_ON_START is set
+ */
+async function prepareSchema() {
+  try {
+    if (process.env.MIGRATE_ON_START === 'true') {
+      const steps = await migrate({
+        onStep: ({ version, name }) => console.log(`Applying migration ${version}_${name}`),
+      });
+      if (steps.length > 0) console.log(`Applied ${steps.length} migration(s)`);
+    }
+
+    await checkSchemaVersion();
+  } catch (error) {
+    // A schema of the wrong version would fail in confusing ways later on
+    if (error.status === 409) {
+      console.error(`Error: ${error.message}`);
+      process.exit(1);
+    }
+    console.error('Could not check the database schema version:', error.message);
+  }
+}
+
+await prepareSchema();
+
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`
 ╔═══════════════════════════════════════════════════════╗
 ║  Network Monitoring Analytics Dashboard              ║
@@ -68,8 +119,47 @@ app.listen(PORT, () => {
 ║  • GET  /api/stats/*                                  ║
 ║  • POST /api/chat                                     ║
 ║  • POST /api/upload/*                                 ║
+║  • *    /api/normalization/*                          ║
+║  • *    /api/embeddings/*                             ║
+║  • POST /api/ingest/events                            ║
+║  • POST /api/ingest/telegram                          ║
+║  • *    /api/connectors/*                             ║
+║  • GET  /api/hosts/*                                  ║
 ╚═══════════════════════════════════════════════════════╝
   `);
+
+  // Pick up ingestion jobs interrupted by a restart
+  resumeJobs().catch((error) => {
+    console.error('Error resuming ingestion jobs:', error);
+  });
+
+  // Finish embedding alerts left without one by a previous run
+  scheduleBackfill();
+
+  // Ingest exports copied to the drop folder
+  if (process.env.WATCH_UPLOADS === 'true') {
+    startUploadWatcher().catch((error) => {
+      console.error('Error starting upload watcher:', error);
+    });
+  }
+
+  // Poll the Zabbix API when one is configured
+  startZabbixConnector();
+
+  // Receive channel posts from the Telegram bot when one is configured
+  startTelegramBot().catch((error) => {
+    console.error('Error starting Telegram bot:', error.message);
+  });
+
+  // Store device syslog next to the alerts
+  if (process.env.SYSLOG_ENABLED === 'true') {
+    startSyslogReceiver().catch((error) => {
+      console.error('Error starting syslog receiver:', error.message);
+    });
+  }
 });
 
+// Large uploads can take a while to receive; allow the request to run long
+server.requestTimeout = parseInt(process.env.REQUEST_TIMEOUT) || 30 * 60 * 1000; // 30 minutes default
+
 export default app;
@@ -0,0 +1,67 @@
+import express from 'express';
+import { syncZabbix, getZabbixStatus } from '../services/zabbixConnector.js';
+import { isZabbixConfigured } from '../services/zabbixApi.js';
+import { getTelegramBotStatus } from '../services/telegramBot.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/connectors/zabbix - Zabbix API connector configuration, cursor and last run
+ */
+router.get('/zabbix', async (req, res) => {
+  try {
+    res.json(await getZabbixStatus());
+  } catch (error) {
+    console.error('Error getting Zabbix connector status:', error);
+    res.status(500).json({
+      error: 'Failed to get Zabbix connector status',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/connectors/zabbix/sync - Sync from the Zabbix API now
+ * Runs in the background; follow it with GET /api/connectors/zabbix
+ */
+router.post('/zabbix/sync', async (req, res) => {
+  try {
+    if (!isZabbixConfigured()) {
+      return res.status(503).json({ error: 'ZABBIX_API_URL is not configured' });
+    }
+
+    const status = await getZabbixStatus();
+    if (status.running) {
+      return res.status(409).json({ error: 'A Zabbix sync is already running' });
+    }
+
+    syncZabbix().catch((error) => {
+      console.error('Error syncing from Zabbix:', error.message);
+    });
+
+    res.status(202).json({ ...status, running: true });
+  } catch (error) {
+    console.error('Error starting Zabbix sync:', error);
+    res.status(500).json({
+      error: 'Failed to start Zabbix sync',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/connectors/telegram - Telegram bot mode, chat, persisted offset and last batch
+ */
+router.get('/telegram', async (req, res) => {
+  try {
+    res.json(await getTelegramBotStatus());
+  } catch (error) {
+    console.error('Error getting Telegram bot status:', error);
+    res.status(500).json({
+      error: 'Failed to get Telegram bot status',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
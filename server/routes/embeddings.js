@@ -0,0 +1,39 @@
+import express from 'express';
+import { scheduleBackfill, getEmbeddingStatus } from '../services/embeddings.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/embeddings/status - How many alerts are still missing embeddings
+ */
+router.get('/status', async (req, res) => {
+  try {
+    const status = await getEmbeddingStatus();
+    res.json(status);
+  } catch (error) {
+    console.error('Error getting embedding status:', error);
+    res.status(500).json({
+      error: 'Failed to get embedding status',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/embeddings/backfill - Start embedding alerts that have none
+ * Runs in the background; follow it with /api/embeddings/status
+ */
+router.post('/backfill', async (req, res) => {
+  try {
+    scheduleBackfill();
+    res.status(202).json(await getEmbeddingStatus());
+  } catch (error) {
+    console.error('Error starting embedding backfill:', error);
+    res.status(500).json({
+      error: 'Failed to start embedding backfill',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
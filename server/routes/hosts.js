@@ -0,0 +1,77 @@
+import express from 'express';
+import {
+  getHosts,
+  getHost,
+  getHostIncidents,
+  getHostAlerts,
+} from '../services/storage/index.js';
+
+const router = express.Router();
+
+// Columns the hosts list can be sorted by
+const SORT_COLUMNS = [
+  'host_name',
+  'first_seen',
+  'last_seen',
+  'total_alerts',
+  'total_incidents',
+  'active_problems',
+];
+
+/**
+ * GET /api/hosts - Page of the hosts inventory
+ * Query: search (part of the host name), sort (see SORT_COLUMNS), order (asc or desc),
+ * limit (max 500) and offset
+ */
+router.get('/', async (req, res) => {
+  try {
+    const sort = req.query.sort || 'last_seen';
+    const order = (req.query.order || (sort === 'host_name' ? 'asc' : 'desc')).toLowerCase();
+    if (!SORT_COLUMNS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${SORT_COLUMNS.join(', ')}` });
+    }
+    if (order !== 'asc' && order !== 'desc') {
+      return res.status(400).json({ error: 'order must be asc or desc' });
+    }
+
+    const search = req.query.search?.trim() || null;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { hosts, total } = await getHosts({ search, sort, order, limit, offset });
+
+    res.json({ total, limit, offset, hosts });
+  } catch (error) {
+    console.error('Error getting hosts:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to get hosts',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/hosts/:name - Inventory row of a host with its open problems and latest events
+ */
+router.get('/:name', async (req, res) => {
+  try {
+    const host = await getHost(req.params.name);
+    if (!host) {
+      return res.status(404).json({ error: `Host ${req.params.name} not found` });
+    }
+
+    const [openProblems, recentAlerts] = await Promise.all([
+      getHostIncidents(host.host_name, { status: 'open' }),
+      getHostAlerts(host.host_name, 20),
+    ]);
+
+    res.json({ host, openProblems, recentAlerts });
+  } catch (error) {
+    console.error('Error getting host:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to get host',
+      details: error.message,
+    });
+  }
+});
+
+export default router;
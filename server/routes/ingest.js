@@ -0,0 +1,126 @@
+import express from 'express';
+import { createDiagnostics } from '../utils/diagnostics.js';
+import { verifyWebhookRequest, verifyTelegramRequest } from '../utils/webhookAuth.js';
+import { normalizeWebhookEvent } from '../utils/zabbixWebhook.js';
+import { ingestRealtimeAlerts, subscribeToAlerts } from '../services/realtimeIngestion.js';
+import { handleTelegramUpdates } from '../services/telegramBot.js';
+import { getSyslogReceiverStatus } from '../services/syslogReceiver.js';
+
+const router = express.Router();
+
+// Largest batch accepted in one request
+const MAX_EVENTS = parseInt(process.env.INGEST_MAX_EVENTS) || 1000;
+
+/**
+ * POST /api/ingest/events - Receive alerts from a Zabbix webhook media type
+ * Accepts one event, an array of events, or { events: [...] }. Authenticated with
+ * INGEST_SECRET as a bearer token or a timestamped HMAC-SHA256 signature of the body
+ * (see utils/webhookAuth.js). Alerts are stored before the response is sent.
+ */
+router.post('/events', async (req, res) => {
+  try {
+    if (!process.env.INGEST_SECRET) {
+      return res.status(503).json({ error: 'Webhook ingestion is disabled; set INGEST_SECRET' });
+    }
+
+    if (!verifyWebhookRequest(req, process.env.INGEST_SECRET)) {
+      return res.status(401).json({ error: 'Invalid webhook secret or signature' });
+    }
+
+    const body = req.body;
+    const events = Array.isArray(body) ? body : Array.isArray(body?.events) ? body.events : [body];
+
+    if (!req.is('application/json') || events.length === 0) {
+      return res.status(400).json({ error: 'Send events as a JSON body' });
+    }
+
+    if (events.length > MAX_EVENTS) {
+      return res.status(413).json({ error: `At most ${MAX_EVENTS} events per request` });
+    }
+
+    const diagnostics = createDiagnostics();
+    const alerts = events
+      .map(event => normalizeWebhookEvent(event, diagnostics))
+      .filter(alert => alert && alert.problem_id);
+
+    const result = await ingestRealtimeAlerts(alerts, 'webhook');
+
+    res.json({
+      success: true,
+      received: events.length,
+      accepted: alerts.length,
+      added: result.added,
+      duplicates: result.skipped,
+      diagnostics: diagnostics.summary(),
+    });
+  } catch (error) {
+    console.error('Error ingesting webhook events:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to ingest events',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/ingest/telegram - Receive updates from the Telegram Bot API webhook
+ * Registered by the bot at startup when TELEGRAM_WEBHOOK_URL is set, and
+ * authenticated with TELEGRAM_WEBHOOK_SECRET. A failure answers 500 so that
+ * Telegram delivers the update again.
+ */
+router.post('/telegram', async (req, res) => {
+  try {
+    if (!process.env.TELEGRAM_WEBHOOK_SECRET) {
+      return res.status(503).json({ error: 'Telegram webhook is disabled; set TELEGRAM_WEBHOOK_SECRET' });
+    }
+
+    if (!verifyTelegramRequest(req, process.env.TELEGRAM_WEBHOOK_SECRET)) {
+      return res.status(401).json({ error: 'Invalid Telegram secret token' });
+    }
+
+    if (!Number.isInteger(req.body?.update_id)) {
+      return res.status(400).json({ error: 'Send a Telegram Update as a JSON body' });
+    }
+
+    const result = await handleTelegramUpdates([req.body]);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error ingesting Telegram update:', error);
+    res.status(500).json({
+      error: 'Failed to ingest Telegram update',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/ingest/syslog - Syslog receiver ports and message counts
+ */
+router.get('/syslog', (req, res) => {
+  res.json(getSyslogReceiverStatus());
+});
+
+/**
+ * GET /api/ingest/stream - Server-Sent Events sent whenever real-time ingestion adds alerts
+ */
+router.get('/stream', (req, res) => {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+
+  // Comments keep proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  const unsubscribe = subscribeToAlerts((update) => {
+    res.write(`data: ${JSON.stringify(update)}\n\n`);
+  });
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+    res.end();
+  });
+});
+
+export default router;
@@ -0,0 +1,160 @@
+import express from 'express';
+import {
+  getNormalizationRules,
+  insertNormalizationRule,
+  updateNormalizationRule,
+  deleteNormalizationRule,
+} from '../services/storage/index.js';
+import {
+  RULE_TYPES,
+  SEVERITIES,
+  clearRulesCache,
+  reapplyRules,
+} from '../services/normalization.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/normalization/rules - List normalization rules
+ */
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = await getNormalizationRules();
+    res.json({ rules, ruleTypes: RULE_TYPES, severities: SEVERITIES });
+  } catch (error) {
+    console.error('Error getting normalization rules:', error);
+    res.status(500).json({
+      error: 'Failed to get normalization rules',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/normalization/rules - Create a rule
+ */
+router.post('/rules', async (req, res) => {
+  try {
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const created = await insertNormalizationRule(rule);
+    clearRulesCache();
+
+    res.status(201).json({ rule: created });
+  } catch (error) {
+    console.error('Error creating normalization rule:', error);
+    res.status(500).json({
+      error: 'Failed to create normalization rule',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * PUT /api/normalization/rules/:id - Update a rule
+ */
+router.put('/rules/:id', async (req, res) => {
+  try {
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await updateNormalizationRule(parseInt(req.params.id), rule);
+    if (!updated) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    clearRulesCache();
+
+    res.json({ rule: updated });
+  } catch (error) {
+    console.error('Error updating normalization rule:', error);
+    res.status(500).json({
+      error: 'Failed to update normalization rule',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * DELETE /api/normalization/rules/:id - Delete a rule
+ */
+router.delete('/rules/:id', async (req, res) => {
+  try {
+    const deleted = await deleteNormalizationRule(parseInt(req.params.id));
+    if (!deleted) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    clearRulesCache();
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting normalization rule:', error);
+    res.status(500).json({
+      error: 'Failed to delete normalization rule',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/normalization/reapply - Rewrite stored alerts and incidents with the current rules
+ */
+router.post('/reapply', async (req, res) => {
+  try {
+    const result = await reapplyRules();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error re-applying normalization rules:', error);
+    res.status(500).json({
+      error: 'Failed to re-apply normalization rules',
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Validate a rule from a request body
+ * @param {Object} body - rule_type, pattern, replacement, priority, enabled
+ * @returns {Object} - The rule to store, or an error message
+ */
+function validateRule(body = {}) {
+  const ruleType = body.rule_type;
+  const pattern = typeof body.pattern === 'string' ? body.pattern.trim() : '';
+  const replacement = typeof body.replacement === 'string' ? body.replacement.trim() : '';
+
+  if (!RULE_TYPES.includes(ruleType)) {
+    return { error: `rule_type must be one of: ${RULE_TYPES.join(', ')}` };
+  }
+
+  if (!pattern || !replacement) {
+    return { error: 'pattern and replacement are required' };
+  }
+
+  if (ruleType === 'severity' && !SEVERITIES.includes(replacement.toUpperCase())) {
+    return { error: `Severity must map to one of: ${SEVERITIES.join(', ')}` };
+  }
+
+  if (ruleType === 'alert_type') {
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return { error: `Invalid regular expression: ${error.message}` };
+    }
+  }
+
+  return {
+    rule: {
+      rule_type: ruleType,
+      pattern,
+      replacement: ruleType === 'severity' ? replacement.toUpperCase() : replacement,
+      priority: parseInt(body.priority) || 0,
+      enabled: body.enabled !== false,
+    },
+  };
+}
+
+export default router;
@@ -1,14 +1,66 @@
 import express from 'express';
 import {
   getTotalAlerts,
-  getAlertsLastNDays,
-  getAlertsByHost,
+  getAlertCountsSince,
+  getHosts,
   getActiveAlerts,
+  getIncidentCounts,
   getRecentAlerts,
-} from '../services/supabase.js';
+} from '../services/storage/index.js';
+import { getSyslogAround, SYSLOG_CONTEXT_WINDOW } from '../services/syslogReceiver.js';
+import { subscribeToChanges } from '../services/ingestion.js';
 
 const router = express.Router();
 
+// How long /summary is answered from memory, in milliseconds (0 disables the cache)
+const SUMMARY_CACHE_TTL = parseInt(process.env.STATS_CACHE_TTL) || 0;
+
+// Last summary and when it expires; dropped as soon as alerts are stored (uploads,
+// webhooks, connectors), rewritten (rules re-applied, acknowledgements) or reverted
+let summaryCache = null;
+subscribeToChanges(() => {
+  summaryCache = null;
+});
+
+/**
+ * Shape the counts of getAlertCountsSince() into the last-n-days statistics
+ * @param {Array} counts - dimension, value and count rows
+ * @returns {Object} - total, active and resolved counts, and counts by severity,
+ *   type, category and provider
+ */
+function buildAlertStats(counts) {
+  const stats = {
+    total: 0,
+    active: 0,
+    resolved: 0,
+    bySeverity: {},
+    byType: {},
+    byCategory: {},
+    byProvider: {},
+  };
+  const add = (group, key, count) => {
+    group[key] = (group[key] || 0) + count;
+  };
+
+  for (const { dimension, value, count } of counts) {
+    if (dimension === 'status') {
+      stats.total += count;
+      if (value === 'PROBLEM') stats.active += count;
+    } else if (dimension === 'severity') {
+      add(stats.bySeverity, value || 'UNKNOWN', count);
+    } else if (dimension === 'alert_type') {
+      add(stats.byType, value || 'UNKNOWN', count);
+    } else if (dimension === 'alert_category') {
+      add(stats.byCategory, value || 'other', count);
+    } else if (dimension === 'provider' && value) {
+      add(stats.byProvider, value, count);
+    }
+  }
+
+  stats.resolved = stats.total - stats.active;
+  return stats;
+}
+
 /**
  * GET /api/stats/total - Get total alert count
  */
@@ -23,35 +75,21 @@ router.get('/total', async (req, res) => {
 });
 
 /**
- * GET /api/stats/last-n-days - Get alerts from last N days
+ * GET /api/stats/last-n-days - Get statistics and the latest 50 alerts of the last N days
+ * The counts are computed by the database, over every alert of the period.
  */
 router.get('/last-n-days', async (req, res) => {
   try {
     const days = parseInt(req.query.days) || 2;
-    const alerts = await getAlertsLastNDays(days);
-
-    // Calculate statistics
-    const stats = {
-      total: alerts.length,
-      active: alerts.filter(a => a.status === 'PROBLEM').length,
-      resolved: alerts.filter(a => a.status !== 'PROBLEM').length,
-      bySeverity: {},
-      byType: {},
-    };
+    const since = new Date();
+    since.setDate(since.getDate() - days);
 
-    // Group by severity
-    alerts.forEach(alert => {
-      const severity = alert.severity || 'UNKNOWN';
-      stats.bySeverity[severity] = (stats.bySeverity[severity] || 0) + 1;
-    });
-
-    // Group by alert type
-    alerts.forEach(alert => {
-      const type = alert.alert_type || 'UNKNOWN';
-      stats.byType[type] = (stats.byType[type] || 0) + 1;
-    });
+    const [counts, alerts] = await Promise.all([
+      getAlertCountsSince(since),
+      getRecentAlerts(50, since),
+    ]);
 
-    res.json({ days, stats, alerts: alerts.slice(0, 50) });
+    res.json({ days, stats: buildAlertStats(counts), alerts });
   } catch (error) {
     console.error('Error getting last N days alerts:', error);
     res.status(500).json({ error: 'Failed to get alerts' });
@@ -59,11 +97,21 @@ router.get('/last-n-days', async (req, res) => {
 });
 
 /**
- * GET /api/stats/by-host - Get alert statistics grouped by host
+ * GET /api/stats/by-host - Get incident counts of the hosts with the most incidents
+ * Query: limit (default 100); see /api/hosts for the full inventory
  */
 router.get('/by-host', async (req, res) => {
   try {
-    const hostStats = await getAlertsByHost();
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const { hosts } = await getHosts({ sort: 'total_incidents', order: 'desc', limit });
+
+    // A problem counts once, whether or not it has been resolved
+    const hostStats = hosts.map(host => ({
+      host: host.host_name,
+      total: host.total_incidents,
+      active: host.active_problems,
+      resolved: host.total_incidents - host.active_problems,
+    }));
     res.json({ hosts: hostStats });
   } catch (error) {
     console.error('Error getting alerts by host:', error);
@@ -76,10 +124,13 @@ router.get('/by-host', async (req, res) => {
  */
 router.get('/active', async (req, res) => {
   try {
-    const activeAlerts = await getActiveAlerts();
+    const [incidentCounts, activeAlerts] = await Promise.all([
+      getIncidentCounts(),
+      getActiveAlerts(100),
+    ]);
     res.json({
-      count: activeAlerts.length,
-      alerts: activeAlerts.slice(0, 100),
+      count: incidentCounts.open,
+      alerts: activeAlerts,
     });
   } catch (error) {
     console.error('Error getting active alerts:', error);
@@ -104,27 +155,58 @@ router.get('/recent', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/stats/syslog - Syslog messages of a host around a point in time
+ * Query: host, at (ISO timestamp, e.g. an alert's), window (seconds on each side), limit
+ */
+router.get('/syslog', async (req, res) => {
+  try {
+    const { host, at } = req.query;
+    if (!host || !at || isNaN(Date.parse(at))) {
+      return res.status(400).json({ error: 'host and a valid at timestamp are required' });
+    }
+
+    const window = Math.min(parseInt(req.query.window) || SYSLOG_CONTEXT_WINDOW, 86400);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const messages = await getSyslogAround(host, at, { window, limit });
+
+    res.json({ host, at, window, count: messages.length, messages });
+  } catch (error) {
+    console.error('Error getting syslog messages:', error);
+    res.status(500).json({ error: 'Failed to get syslog messages' });
+  }
+});
+
 /**
  * GET /api/stats/summary - Get overall dashboard summary
+ * Served from memory for STATS_CACHE_TTL milliseconds when set
  */
 router.get('/summary', async (req, res) => {
   try {
-    const [total, recent, active, hostStats] = await Promise.all([
+    if (summaryCache && summaryCache.expires > Date.now()) {
+      return res.json(summaryCache.summary);
+    }
+
+    const [total, recent, incidentCounts, topHosts] = await Promise.all([
       getTotalAlerts(),
       getRecentAlerts(10),
-      getActiveAlerts(),
-      getAlertsByHost(),
+      getIncidentCounts(),
+      getHosts({ sort: 'total_incidents', order: 'desc', limit: 10 }),
     ]);
 
     const summary = {
       totalAlerts: total,
-      activeAlerts: active.length,
-      resolvedAlerts: total - active.length,
-      topHosts: hostStats.slice(0, 10),
+      activeAlerts: incidentCounts.open,
+      resolvedAlerts: incidentCounts.resolved,
+      topHosts: topHosts.hosts,
       recentAlerts: recent,
       lastUpdated: new Date().toISOString(),
     };
 
+    if (SUMMARY_CACHE_TTL > 0) {
+      summaryCache = { summary, expires: Date.now() + SUMMARY_CACHE_TTL };
+    }
+
     res.json(summary);
   } catch (error) {
     console.error('Error getting summary:', error);
@@ -2,19 +2,34 @@ import express from 'express';
 import multer from 'multer';
 import fs from 'fs/promises';
 import path from 'path';
-import { parseHTMLAlerts, getPreviewStats } from '../utils/parser.js';
-import { alertExists, insertAlerts, insertFileUpload } from '../services/supabase.js';
-import { generateAlertEmbedding } from '../services/ragEngine.js';
+import { openFile, getSupportedExtensions } from '../utils/formats/index.js';
+import { createDiagnostics } from '../utils/diagnostics.js';
+import { extractExportZip, discoverExportPages } from '../utils/telegramExport.js';
+import { fingerprintFile, fingerprintExport } from '../utils/fingerprint.js';
+import {
+  previewAlerts,
+  findPreviousImports,
+  describePreviousImports,
+  revertUpload,
+} from '../services/ingestion.js';
+import {
+  createJob,
+  subscribeToJob,
+  toPublicJob,
+  streamExportPages,
+} from '../services/ingestionJobs.js';
+import { getIngestionJob, getIngestionJobs } from '../services/storage/index.js';
 
 const router = express.Router();
 
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: async (req, file, cb) => {
-    const uploadDir = path.join(process.cwd(), 'uploads');
     try {
-      await fs.mkdir(uploadDir, { recursive: true });
-      cb(null, uploadDir);
+      await fs.mkdir(UPLOAD_DIR, { recursive: true });
+      cb(null, UPLOAD_DIR);
     } catch (error) {
       cb(error);
     }
@@ -28,19 +43,38 @@ const storage = multer.diskStorage({
 const upload = multer({
   storage,
   limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 10485760, // 10MB default
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 524288000, // 500MB default
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/html' || file.originalname.endsWith('.html')) {
+    // The actual format is sniffed from the content; this only screens extensions
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (getSupportedExtensions().includes(extension)) {
       cb(null, true);
     } else {
-      cb(new Error('Only HTML files are allowed'));
+      cb(new Error(`Unsupported file type. Allowed: ${getSupportedExtensions().join(', ')}`));
+    }
+  },
+});
+
+// Whole Telegram exports come as one ZIP, so they get a larger limit
+const archiveUpload = multer({
+  storage,
+  limits: {
+    fileSize: parseInt(process.env.MAX_ARCHIVE_SIZE) || 209715200, // 200MB default
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === '.zip') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only ZIP archives are allowed'));
     }
   },
 });
 
 /**
- * POST /api/upload/analyze - Analyze HTML file and return preview
+ * POST /api/upload/analyze - Analyze an uploaded file and return preview
+ * The file is fingerprinted first: content that was already imported is reported
+ * without parsing any alerts, and overlapping Telegram message ranges are listed.
  */
 router.post('/analyze', upload.single('file'), async (req, res) => {
   try {
@@ -48,30 +82,43 @@ router.post('/analyze', upload.single('file'), async (req, res) => {
       return res.status(400).json({ error: 'No file uploaded' });
     }
 
-    // Read file content
-    const htmlContent = await fs.readFile(req.file.path, 'utf-8');
-
-    // Get preview statistics
-    const preview = getPreviewStats(htmlContent);
-
-    // Check for duplicates
-    let duplicatesCount = 0;
-    for (const alert of preview.alerts) {
-      const exists = await alertExists(alert.problem_id);
-      if (exists) duplicatesCount++;
+    // Stream the file through the format detected from its content
+    const { format, formatLabel, alerts, diagnostics } = await openFile(
+      req.file.path,
+      req.file.originalname
+    );
+
+    const fingerprint = await fingerprintFile(req.file.path, format);
+    const previous = await findPreviousImports(fingerprint);
+
+    if (previous.alreadyImported) {
+      await fs.unlink(req.file.path);
+      return res.json({
+        filename: req.file.originalname,
+        format,
+        formatLabel,
+        ...previewFingerprint(fingerprint, previous),
+      });
     }
 
+    // Get preview statistics, including duplicates
+    const preview = await previewAlerts(alerts);
+
     // Clean up the temporary file
     await fs.unlink(req.file.path);
 
     res.json({
       filename: req.file.originalname,
+      format,
+      formatLabel,
+      ...previewFingerprint(fingerprint, previous),
       totalMessages: preview.totalMessages,
       dateRange: preview.dateRange,
       hostsCount: preview.hostsCount,
       hosts: preview.hosts,
-      duplicatesFound: duplicatesCount,
-      newAlerts: preview.totalMessages - duplicatesCount,
+      duplicatesFound: preview.duplicatesFound,
+      newAlerts: preview.newAlerts,
+      diagnostics: diagnostics.summary(),
     });
   } catch (error) {
     console.error('Error analyzing file:', error);
@@ -85,7 +132,7 @@ router.post('/analyze', upload.single('file'), async (req, res) => {
       }
     }
 
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to analyze file',
       details: error.message,
     });
@@ -93,7 +140,9 @@ router.post('/analyze', upload.single('file'), async (req, res) => {
 });
 
 /**
- * POST /api/upload/process - Process and upload HTML file to database
+ * POST /api/upload/process - Queue uploaded files for ingestion
+ * Files whose content was already imported are skipped unless force=true.
+ * Returns 202 with the job; follow it at /api/upload/jobs/:id(/events)
  */
 router.post('/process', upload.array('files', 10), async (req, res) => {
   try {
@@ -101,148 +150,302 @@ router.post('/process', upload.array('files', 10), async (req, res) => {
       return res.status(400).json({ error: 'No files uploaded' });
     }
 
-    let totalAdded = 0;
-    let totalSkipped = 0;
-    let totalProcessed = 0;
-    const fileResults = [];
+    // The job owns the uploaded files from here on and deletes them when done
+    const job = await createJob('files', req.files.map(file => ({
+      filename: file.originalname,
+      path: file.path,
+      force: req.body.force === 'true',
+    })));
 
-    for (const file of req.files) {
-      try {
-        console.log(`Processing file: ${file.originalname}`);
+    res.status(202).json({ jobId: job.id, job });
+  } catch (error) {
+    console.error('Error processing upload:', error);
 
-        // Read file content
-        const htmlContent = await fs.readFile(file.path, 'utf-8');
+    // Clean up any uploaded files
+    if (req.files) {
+      for (const file of req.files) {
+        try {
+          await fs.unlink(file.path);
+        } catch (unlinkError) {
+          console.error('Error deleting file:', unlinkError);
+        }
+      }
+    }
 
-        // Parse alerts
-        const alerts = parseHTMLAlerts(htmlContent);
-        console.log(`Parsed ${alerts.length} alerts from ${file.originalname}`);
+    res.status(500).json({
+      error: 'Failed to process upload',
+      details: error.message,
+    });
+  }
+});
 
-        // Filter out duplicates (skip embeddings for now - too slow)
-        const newAlerts = [];
-        let skipped = 0;
+/**
+ * POST /api/upload/export/analyze - Preview a whole Telegram export
+ * Accepts a ZIP upload ("archive") or a JSON body { directory } inside UPLOAD_DIR
+ */
+router.post('/export/analyze', archiveUpload.single('archive'), async (req, res) => {
+  let source;
+  try {
+    source = await openExportSource(req);
+    const { pages, missingPages } = await discoverExportPages(source.dir);
 
-        for (const alert of alerts) {
-          const exists = await alertExists(alert.problem_id);
+    if (pages.length === 0) {
+      return res.status(400).json({ error: 'No messages*.html pages found in the export' });
+    }
 
-          if (exists) {
-            skipped++;
-            continue;
-          }
+    const fingerprint = await fingerprintExport(pages);
+    const previous = await findPreviousImports(fingerprint);
+
+    if (previous.alreadyImported) {
+      return res.json({
+        filename: source.name,
+        format: 'telegram-html',
+        formatLabel: 'Telegram HTML export',
+        pagesFound: pages.length,
+        missingPages,
+        ...previewFingerprint(fingerprint, previous),
+      });
+    }
 
-          // Add without embedding for fast upload
-          // Embeddings can be generated later if needed for RAG
-          alert.embedding = null;
-          newAlerts.push(alert);
-        }
+    const pageResults = [];
+    const diagnostics = createDiagnostics();
+    const preview = await previewAlerts(streamExportPages(pages, pageResults, diagnostics));
 
-        console.log(`${newAlerts.length} new alerts to insert (${skipped} skipped)`);
+    res.json({
+      filename: source.name,
+      format: 'telegram-html',
+      formatLabel: 'Telegram HTML export',
+      ...previewFingerprint(fingerprint, previous),
+      pagesFound: pages.length,
+      pages: pageResults,
+      missingPages,
+      totalMessages: preview.totalMessages,
+      dateRange: preview.dateRange,
+      hostsCount: preview.hostsCount,
+      hosts: preview.hosts,
+      duplicatesFound: preview.duplicatesFound,
+      newAlerts: preview.newAlerts,
+      diagnostics: diagnostics.summary(),
+    });
+  } catch (error) {
+    console.error('Error analyzing export:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to analyze export',
+      details: error.message,
+    });
+  } finally {
+    await source?.cleanup();
+  }
+});
 
-        // Insert new alerts in batches
-        if (newAlerts.length > 0) {
-          const batchSize = 100;
-          for (let i = 0; i < newAlerts.length; i += batchSize) {
-            const batch = newAlerts.slice(i, i + batchSize);
-            await insertAlerts(batch);
-          }
-        }
+/**
+ * POST /api/upload/export - Queue every page of a Telegram export for ingestion as one batch
+ * Accepts a ZIP upload ("archive") or a JSON body { directory } inside UPLOAD_DIR.
+ * An export that was already imported is skipped unless force is true.
+ * Returns 202 with the job; follow it at /api/upload/jobs/:id(/events)
+ */
+router.post('/export', archiveUpload.single('archive'), async (req, res) => {
+  try {
+    const source = req.file
+      ? { filename: req.file.originalname, path: req.file.path }
+      : await resolveExportDirectory(req);
 
-        // Get date range
-        const timestamps = alerts.map(a => new Date(a.timestamp)).filter(d => !isNaN(d));
-        const dateRangeStart = timestamps.length > 0 ? new Date(Math.min(...timestamps)) : null;
-        const dateRangeEnd = timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null;
-
-        // Record upload in database
-        await insertFileUpload({
-          filename: file.originalname,
-          records_count: alerts.length,
-          records_added: newAlerts.length,
-          records_skipped: skipped,
-          date_range_start: dateRangeStart,
-          date_range_end: dateRangeEnd,
-          status: 'completed',
-        });
-
-        totalAdded += newAlerts.length;
-        totalSkipped += skipped;
-        totalProcessed += alerts.length;
-
-        fileResults.push({
-          filename: file.originalname,
-          totalAlerts: alerts.length,
-          added: newAlerts.length,
-          skipped: skipped,
-        });
-
-        // Clean up file
-        await fs.unlink(file.path);
-      } catch (fileError) {
-        console.error(`Error processing file ${file.originalname}:`, fileError);
-
-        // Record failed upload
-        try {
-          await insertFileUpload({
-            filename: file.originalname,
-            records_count: 0,
-            records_added: 0,
-            records_skipped: 0,
-            status: 'failed',
-          });
-        } catch (dbError) {
-          console.error('Error recording failed upload:', dbError);
-        }
+    const force = req.body?.force === true || req.body?.force === 'true';
+    const job = await createJob('export', [{ ...source, force }]);
 
-        // Clean up file
-        try {
-          await fs.unlink(file.path);
-        } catch (unlinkError) {
-          console.error('Error deleting file:', unlinkError);
-        }
+    res.status(202).json({ jobId: job.id, job });
+  } catch (error) {
+    console.error('Error processing export:', error);
 
-        fileResults.push({
-          filename: file.originalname,
-          error: fileError.message,
-        });
-      }
+    if (req.file?.path) {
+      await fs.rm(req.file.path, { force: true });
     }
 
-    res.json({
-      success: true,
-      summary: {
-        filesProcessed: req.files.length,
-        totalAlerts: totalProcessed,
-        recordsAdded: totalAdded,
-        recordsSkipped: totalSkipped,
-      },
-      files: fileResults,
+    res.status(error.status || 500).json({
+      error: 'Failed to process export',
+      details: error.message,
     });
+  }
+});
+
+/**
+ * GET /api/upload/jobs - Recent ingestion jobs
+ */
+router.get('/jobs', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 10;
+    const jobs = await getIngestionJobs(limit);
+
+    res.json({ jobs: jobs.map(toPublicJob) });
   } catch (error) {
-    console.error('Error processing upload:', error);
+    console.error('Error getting ingestion jobs:', error);
+    res.status(500).json({
+      error: 'Failed to get ingestion jobs',
+      details: error.message,
+    });
+  }
+});
 
-    // Clean up any uploaded files
-    if (req.files) {
-      for (const file of req.files) {
-        try {
-          await fs.unlink(file.path);
-        } catch (unlinkError) {
-          console.error('Error deleting file:', unlinkError);
-        }
-      }
+/**
+ * GET /api/upload/jobs/:id - Status, per-file progress and counts of a job
+ */
+router.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await getIngestionJob(parseInt(req.params.id));
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
+    res.json({ job: toPublicJob(job) });
+  } catch (error) {
+    console.error('Error getting ingestion job:', error);
     res.status(500).json({
-      error: 'Failed to process upload',
+      error: 'Failed to get ingestion job',
       details: error.message,
     });
   }
 });
 
+/**
+ * GET /api/upload/jobs/:id/events - Server-Sent Events stream of job updates
+ * Sends the current state first, then every change until the job finishes.
+ */
+router.get('/jobs/:id/events', async (req, res) => {
+  const id = parseInt(req.params.id);
+
+  try {
+    const job = await getIngestionJob(id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+
+    const send = (update) => {
+      res.write(`data: ${JSON.stringify(update)}\n\n`);
+      if (update.status === 'completed' || update.status === 'failed') {
+        close();
+      }
+    };
+
+    // Comments keep proxies from closing an idle stream
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    const unsubscribe = subscribeToJob(id, send);
+
+    const close = () => {
+      clearInterval(keepAlive);
+      unsubscribe();
+      res.end();
+    };
+
+    req.on('close', close);
+    send(toPublicJob(job));
+  } catch (error) {
+    console.error('Error streaming ingestion job:', error);
+    if (!res.headersSent) {
+      res.status(500).json({
+        error: 'Failed to stream ingestion job',
+        details: error.message,
+      });
+    } else {
+      res.end();
+    }
+  }
+});
+
+/**
+ * Fingerprint fields of an analyze response
+ * @param {Object} fingerprint - contentHash, firstMessageId and lastMessageId
+ * @param {Object} previous - Result of findPreviousImports
+ * @returns {Object} - Fields merged into the preview
+ */
+function previewFingerprint(fingerprint, previous) {
+  const { alreadyImported, overlaps } = previous;
+
+  return {
+    contentHash: fingerprint.contentHash,
+    messageIdRange: fingerprint.firstMessageId === null
+      ? null
+      : { first: fingerprint.firstMessageId, last: fingerprint.lastMessageId },
+    alreadyImported: alreadyImported && {
+      id: alreadyImported.id,
+      filename: alreadyImported.filename,
+      uploadDate: alreadyImported.upload_date,
+    },
+    overlaps,
+    previousImportMessage: describePreviousImports(previous),
+  };
+}
+
+/**
+ * Resolve the export directory from an uploaded ZIP or a directory inside UPLOAD_DIR
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - dir, display name and a cleanup function
+ */
+async function openExportSource(req) {
+  if (req.file) {
+    const dir = `${req.file.path}.d`;
+    const cleanup = async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+      await fs.rm(req.file.path, { force: true });
+    };
+
+    try {
+      await extractExportZip(req.file.path, dir);
+    } catch (error) {
+      await cleanup();
+      throw error;
+    }
+
+    return { dir, name: req.file.originalname, cleanup };
+  }
+
+  const { directory, filename } = await resolveExportDirectory(req);
+  return { dir: directory, name: filename, cleanup: async () => {} };
+}
+
+/**
+ * Resolve { directory } from the request body to a directory inside UPLOAD_DIR
+ * @param {Object} req - Express request
+ * @returns {Promise<Object>} - filename (the directory name) and absolute directory
+ */
+async function resolveExportDirectory(req) {
+  const directory = req.body?.directory;
+  if (!directory) {
+    const error = new Error('Upload a ZIP archive or provide a directory');
+    error.status = 400;
+    throw error;
+  }
+
+  // Only directories under UPLOAD_DIR may be read
+  const dir = path.resolve(UPLOAD_DIR, directory);
+  if (dir !== UPLOAD_DIR && !dir.startsWith(UPLOAD_DIR + path.sep)) {
+    const error = new Error('Directory must be inside the upload directory');
+    error.status = 400;
+    throw error;
+  }
+
+  const stat = await fs.stat(dir).catch(() => null);
+  if (!stat?.isDirectory()) {
+    const error = new Error(`Directory not found: ${directory}`);
+    error.status = 404;
+    throw error;
+  }
+
+  return { filename: path.basename(dir), directory: dir };
+}
+
 /**
  * GET /api/upload/history - Get upload history
  */
 router.get('/history', async (req, res) => {
   try {
     const limit = parseInt(req.query.limit) || 10;
-    const { getUploadHistory } = await import('../services/supabase.js');
+    const { getUploadHistory } = await import('../services/storage/index.js');
     const history = await getUploadHistory(limit);
 
     res.json({
@@ -258,4 +461,27 @@ router.get('/history', async (req, res) => {
   }
 });
 
+/**
+ * DELETE /api/upload/:id - Revert an upload
+ * Removes the alerts it created, rebuilds their incidents and host counters
+ * and marks the upload as reverted in history.
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (!id) {
+      return res.status(400).json({ error: 'Invalid upload ID' });
+    }
+
+    const result = await revertUpload(id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error reverting upload:', error);
+    res.status(error.status || 500).json({
+      error: 'Failed to revert upload',
+      details: error.message,
+    });
+  }
+});
+
 export default router;
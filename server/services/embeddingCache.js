@@ -0,0 +1,99 @@
+import crypto from 'crypto';
+import {
+  getCachedEmbeddings,
+  insertCachedEmbeddings,
+  countCachedEmbeddings,
+} from './storage/index.js';
+import { generateEmbeddings, EMBEDDING_MODEL_ID } from './openai.js';
+
+// Hits and misses since the server started, reported by getCacheStats()
+const stats = {
+  hits: 0,
+  misses: 0,
+};
+
+/**
+ * Hash an embedded text to its cache key
+ * Entries are also keyed by model, so switching models never reuses old vectors.
+ * @param {string} text - Exact text sent to the embeddings API
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashEmbeddingText(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Look up cached vectors for a list of texts without calling OpenAI
+ * Found texts count as cache hits; texts not found are left to embedTexts().
+ * @param {Array<string>} texts - Texts to look up
+ * @returns {Promise<Array>} - Vector per text, or null when it is not cached
+ */
+export async function lookupEmbeddings(texts) {
+  if (texts.length === 0) return [];
+
+  const hashes = texts.map(hashEmbeddingText);
+  const rows = await getCachedEmbeddings(EMBEDDING_MODEL_ID, hashes);
+  const cached = new Map(rows.map(row => [row.text_hash, parseVector(row.embedding)]));
+
+  const vectors = hashes.map(hash => cached.get(hash) || null);
+  stats.hits += vectors.filter(Boolean).length;
+
+  return vectors;
+}
+
+/**
+ * Embed texts, calling OpenAI only for texts that are not cached
+ * Each distinct missing text is sent once, in a single request, and cached.
+ * @param {Array<string>} texts - Texts to embed
+ * @returns {Promise<Array<number[]>>} - Vectors in the order of texts
+ */
+export async function embedTexts(texts) {
+  const vectors = await lookupEmbeddings(texts);
+
+  const missing = [...new Set(texts.filter((text, index) => !vectors[index]))];
+  if (missing.length === 0) return vectors;
+
+  const generated = await generateEmbeddings(missing);
+  const byText = new Map(missing.map((text, index) => [text, generated[index]]));
+
+  await insertCachedEmbeddings(missing.map(text => ({
+    model: EMBEDDING_MODEL_ID,
+    text_hash: hashEmbeddingText(text),
+    embedding: byText.get(text),
+  })));
+
+  // Repeats of a missing text within the list are served by the same request
+  stats.misses += missing.length;
+  stats.hits += texts.length - vectors.filter(Boolean).length - missing.length;
+
+  return vectors.map((vector, index) => vector || byText.get(texts[index]));
+}
+
+/**
+ * Report cache size (for the current model) and hit rate
+ * @returns {Promise<Object>} - entries, hits, misses and hitRate (null before any lookup)
+ */
+export async function getCacheStats() {
+  const lookups = stats.hits + stats.misses;
+
+  return {
+    entries: await countCachedEmbeddings(EMBEDDING_MODEL_ID),
+    hits: stats.hits,
+    misses: stats.misses,
+    hitRate: lookups > 0 ? stats.hits / lookups : null,
+  };
+}
+
+/**
+ * PostgREST returns vector columns as text ("[0.1,0.2,...]")
+ */
+function parseVector(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+export default {
+  hashEmbeddingText,
+  lookupEmbeddings,
+  embedTexts,
+  getCacheStats,
+};
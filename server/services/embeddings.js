@@ -0,0 +1,186 @@
+import {
+  getAlertsToEmbed,
+  countAlertsMissingEmbeddings,
+  countAlertsOutdatedEmbeddings,
+  getTotalAlerts,
+  updateAlertFields,
+  ensureEmbeddingIndex,
+} from './storage/index.js';
+import { EMBEDDING_MODEL_ID } from './openai.js';
+import { embedTexts, getCacheStats } from './embeddingCache.js';
+import { buildAlertEmbeddingText, ALERT_EMBEDDING_VERSION } from './ragEngine.js';
+
+// Alerts sent per embeddings request
+const BATCH_SIZE = parseInt(process.env.EMBEDDING_BATCH_SIZE) || 100;
+
+// Wait before another pass after a batch failed, in milliseconds
+const RETRY_DELAY = parseInt(process.env.EMBEDDING_RETRY_DELAY) || 60000;
+
+// State of the backfill in this process, reported by getEmbeddingStatus()
+const state = {
+  running: false,
+  pending: false,
+  processed: 0,
+  failed: 0,
+  lastError: null,
+  startedAt: null,
+  finishedAt: null,
+};
+
+// Whether the vector index of the current model was created in this process
+let indexEnsured = false;
+
+// Pass scheduled after a failed batch
+let retryTimer = null;
+
+/**
+ * Start embedding alerts that have no current embedding, unless a backfill is already running
+ * A request made while running is remembered, so alerts ingested meanwhile
+ * are picked up by another pass when the current one ends.
+ */
+export function scheduleBackfill() {
+  if (state.running) {
+    state.pending = true;
+    return;
+  }
+
+  backfillEmbeddings().catch((error) => {
+    console.error('Error backfilling embeddings:', error);
+  });
+}
+
+/**
+ * Embed every alert that has no embedding, BATCH_SIZE alerts per request
+ * Alerts embedded by another model or template version are re-embedded too, so
+ * changing EMBEDDING_MODEL or buildAlertEmbeddingText migrates stored vectors.
+ * Old vectors stay in place until replaced; search ignores other models and versions.
+ * Texts already in the embedding cache are not sent to OpenAI.
+ * Stops at the first batch that still fails after retries and schedules another
+ * pass RETRY_DELAY later, which starts over from the remaining alerts.
+ * @param {Function} onProgress - Optional callback with the state after each batch
+ * @returns {Promise<Object>} - processed and failed counts of this run
+ */
+export async function backfillEmbeddings(onProgress = null) {
+  if (state.running) {
+    return { processed: 0, failed: 0 };
+  }
+
+  clearTimeout(retryTimer);
+  retryTimer = null;
+
+  Object.assign(state, {
+    running: true,
+    processed: 0,
+    failed: 0,
+    lastError: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+  });
+
+  try {
+    do {
+      state.pending = false;
+      let afterId = 0;
+
+      while (true) {
+        const alerts = await getAlertsToEmbed(
+          EMBEDDING_MODEL_ID,
+          ALERT_EMBEDDING_VERSION,
+          afterId,
+          BATCH_SIZE
+        );
+        if (alerts.length === 0) break;
+        afterId = alerts[alerts.length - 1].id;
+
+        try {
+          const embeddings = await embedTexts(alerts.map(buildAlertEmbeddingText));
+          await updateAlertFields(alerts.map((alert, index) => ({
+            id: alert.id,
+            embedding: embeddings[index],
+            embedding_model: EMBEDDING_MODEL_ID,
+            embedding_version: ALERT_EMBEDDING_VERSION,
+          })));
+          state.processed += alerts.length;
+          await ensureIndex(embeddings[0].length);
+        } catch (error) {
+          state.failed += alerts.length;
+          state.lastError = error.message;
+          console.error('Error generating embeddings:', error.message);
+
+          // The failed alerts, and any requested while running, are picked up by another pass
+          state.pending = true;
+          retryTimer = setTimeout(scheduleBackfill, RETRY_DELAY);
+          retryTimer.unref();
+          return { processed: state.processed, failed: state.failed };
+        }
+
+        if (onProgress) onProgress({ ...state });
+      }
+    } while (state.pending);
+
+    if (state.processed > 0) {
+      console.log(`Embeddings generated for ${state.processed} alerts`);
+    }
+
+    return { processed: state.processed, failed: state.failed };
+  } finally {
+    state.running = false;
+    state.finishedAt = new Date().toISOString();
+  }
+}
+
+/**
+ * Create the vector index of the current model once its dimensions are known
+ * Search still works without it (as a sequential scan), so failures are only logged.
+ * @param {number} dimensions - Dimensions of the model's vectors
+ */
+async function ensureIndex(dimensions) {
+  if (indexEnsured) return;
+
+  try {
+    if (!await ensureEmbeddingIndex(EMBEDDING_MODEL_ID, dimensions)) {
+      console.warn(`No vector index for ${EMBEDDING_MODEL_ID}: ${dimensions} dimensions cannot be indexed`);
+    }
+    indexEnsured = true;
+  } catch (error) {
+    console.error('Error creating the vector index:', error.message);
+  }
+}
+
+/**
+ * Report how many alerts still need an embedding
+ * missing alerts have no vector from the current model and outdated alerts were
+ * embedded from an older template; neither can be found by search until re-embedded.
+ * @returns {Promise<Object>} - Counts, current model and template version, the backfill state and cache statistics
+ */
+export async function getEmbeddingStatus() {
+  const [missing, outdated, total, cache] = await Promise.all([
+    countAlertsMissingEmbeddings(EMBEDDING_MODEL_ID),
+    countAlertsOutdatedEmbeddings(EMBEDDING_MODEL_ID, ALERT_EMBEDDING_VERSION),
+    getTotalAlerts(),
+    getCacheStats(),
+  ]);
+
+  return {
+    model: EMBEDDING_MODEL_ID,
+    templateVersion: ALERT_EMBEDDING_VERSION,
+    missing,
+    outdated,
+    total,
+    embedded: total - missing,
+    running: state.running,
+    pending: state.pending,
+    processed: state.processed,
+    failed: state.failed,
+    lastError: state.lastError,
+    startedAt: state.startedAt,
+    finishedAt: state.finishedAt,
+    cache,
+  };
+}
+
+export default {
+  scheduleBackfill,
+  backfillEmbeddings,
+  getEmbeddingStatus,
+};
@@ -0,0 +1,143 @@
+import { getIncidentsByProblemIds, upsertIncidents } from './storage/index.js';
+
+/**
+ * Merge alert events into incident rows keyed by problem_id
+ * Events may arrive in any order: a resolution seen before its problem opens
+ * an incident with an estimated start that the problem event later corrects.
+ * @param {Array} alerts - Parsed alert events (PROBLEM and OK)
+ * @param {Array} existing - Incidents already stored for these problem IDs
+ * @returns {Array} - Incident rows to upsert
+ */
+export function buildIncidents(alerts, existing = []) {
+  const incidents = new Map();
+
+  existing.forEach((incident) => {
+    incidents.set(incident.problem_id, {
+      problem_id: incident.problem_id,
+      host: incident.host,
+      alert_type: incident.alert_type,
+      alert_category: incident.alert_category,
+      provider: incident.provider,
+      interface: incident.interface,
+      severity: incident.severity,
+      opened_at: incident.opened_at,
+      opened_estimated: incident.opened_estimated,
+      resolved_at: incident.resolved_at,
+      duration_seconds: incident.duration_seconds,
+    });
+  });
+
+  const touched = new Set();
+
+  for (const alert of alerts) {
+    if (!alert.problem_id) continue;
+
+    let incident = incidents.get(alert.problem_id);
+    if (!incident) {
+      incident = {
+        problem_id: alert.problem_id,
+        host: alert.host,
+        alert_type: alert.alert_type,
+        alert_category: alert.alert_category,
+        provider: alert.provider,
+        interface: alert.interface,
+        severity: alert.severity,
+        opened_at: null,
+        opened_estimated: false,
+        resolved_at: null,
+        duration_seconds: null,
+      };
+      incidents.set(alert.problem_id, incident);
+    }
+
+    if (alert.status === 'PROBLEM') {
+      // The problem event is authoritative for where and when it started
+      const isEarlier = !incident.opened_at || incident.opened_estimated ||
+        new Date(alert.timestamp) < new Date(incident.opened_at);
+      if (isEarlier) {
+        incident.opened_at = alert.timestamp;
+        incident.opened_estimated = false;
+      }
+      incident.host = alert.host;
+      incident.alert_type = alert.alert_type;
+      incident.alert_category = alert.alert_category;
+      incident.provider = alert.provider;
+      incident.interface = alert.interface;
+      incident.severity = alert.severity;
+    } else if (alert.status === 'OK') {
+      // Without a problem event, the resolution is all we know about the incident
+      if (!incident.opened_at || incident.opened_estimated) {
+        incident.host = alert.host;
+        incident.alert_type = alert.alert_type;
+        incident.alert_category = alert.alert_category;
+        incident.provider = alert.provider;
+        incident.interface = alert.interface;
+        incident.severity = alert.severity;
+      }
+      incident.resolved_at = alert.timestamp;
+      incident.duration_seconds = alert.duration_seconds || null;
+    } else {
+      continue;
+    }
+
+    touched.add(alert.problem_id);
+  }
+
+  return [...touched].map((problemId) => {
+    const incident = incidents.get(problemId);
+
+    // Without a problem event, estimate the start from the reported duration
+    if ((!incident.opened_at || incident.opened_estimated) && incident.resolved_at) {
+      const resolvedAt = new Date(incident.resolved_at);
+      incident.opened_at = new Date(
+        resolvedAt.getTime() - (incident.duration_seconds || 0) * 1000
+      ).toISOString();
+      incident.opened_estimated = true;
+    }
+
+    if (incident.opened_at && incident.resolved_at && !incident.opened_estimated) {
+      const seconds = Math.round(
+        (new Date(incident.resolved_at) - new Date(incident.opened_at)) / 1000
+      );
+      if (seconds >= 0) incident.duration_seconds = seconds;
+    }
+
+    return {
+      ...incident,
+      status: incident.resolved_at ? 'resolved' : 'open',
+      updated_at: new Date().toISOString(),
+    };
+  });
+}
+
+/**
+ * Update incidents from newly ingested alert events
+ * @param {Array} alerts - Alert events that were inserted
+ * @returns {Promise<number>} - Number of incidents created or updated
+ */
+export async function syncIncidents(alerts) {
+  const problemIds = [...new Set(alerts.map(a => a.problem_id).filter(Boolean))];
+  if (problemIds.length === 0) return 0;
+
+  let synced = 0;
+  const batchSize = 200;
+
+  for (let i = 0; i < problemIds.length; i += batchSize) {
+    const batchIds = new Set(problemIds.slice(i, i + batchSize));
+    const existing = await getIncidentsByProblemIds([...batchIds]);
+    const batchAlerts = alerts.filter(a => batchIds.has(a.problem_id));
+
+    const incidents = buildIncidents(batchAlerts, existing);
+    if (incidents.length > 0) {
+      await upsertIncidents(incidents);
+      synced += incidents.length;
+    }
+  }
+
+  return synced;
+}
+
+export default {
+  buildIncidents,
+  syncIncidents,
+};
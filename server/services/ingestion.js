@@ -0,0 +1,484 @@
+import { EventEmitter } from 'events';
+import {
+  insertNewAlerts,
+  getExistingAlertKeys,
+  insertFileUpload,
+  updateFileUpload,
+  getFileUpload,
+  getAlertsByUpload,
+  countAlertsByUpload,
+  deleteAlertsByIds,
+  deleteIncidentsByProblemIds,
+  getAlertsByProblemIds,
+  refreshHosts,
+  getUploadsByContentHash,
+  getUploadsOverlappingRange,
+  getUploadsByStatus,
+} from './storage/index.js';
+import { syncIncidents } from './incidents.js';
+import { normalizeAlerts } from './normalization.js';
+import { getRangeOverlap } from '../utils/fingerprint.js';
+
+/**
+ * Emits "changed" with { added }, { removed } or { updated } whenever alerts are stored
+ * (uploads, webhooks, connectors), an upload is reverted or stored alerts are rewritten
+ * (normalization rules re-applied, acknowledgements synced), so data derived from them
+ * can be dropped
+ */
+export const ingestionEvents = new EventEmitter();
+ingestionEvents.setMaxListeners(0);
+
+/**
+ * Build the dedupe key for an alert event
+ * Problem and resolution events share a problem_id, so the status is part of the key
+ * @param {Object} alert - Alert object
+ * @returns {string} - Dedupe key
+ */
+export function alertKey(alert) {
+  return `${alert.problem_id}:${alert.status}`;
+}
+
+// Alerts are parsed, deduplicated and inserted this many at a time
+const BATCH_SIZE = 500;
+
+// Uploads being ingested by this process (see failOrphanedUploads)
+const activeUploads = new Set();
+
+/**
+ * Group an iterable (sync or async) of alerts into arrays of BATCH_SIZE
+ * @param {Iterable|AsyncIterable} alerts - Alerts
+ * @returns {AsyncGenerator<Array>} - Batches of alerts
+ */
+export async function* batchAlerts(alerts, size = BATCH_SIZE) {
+  let batch = [];
+
+  for await (const alert of alerts) {
+    batch.push(alert);
+    if (batch.length >= size) {
+      yield batch;
+      batch = [];
+    }
+  }
+
+  if (batch.length > 0) yield batch;
+}
+
+/**
+ * Count alerts that are already stored or repeated within the batch
+ * Stored events are looked up for the whole batch at once.
+ * @param {Array} alerts - Parsed alerts
+ * @param {Set} seen - Keys already seen, shared across batches of one file
+ * @returns {Promise<number>} - Number of duplicates
+ */
+export async function countDuplicates(alerts, seen = new Set()) {
+  const existing = await getExistingAlertKeys(alerts.map(a => a.problem_id));
+  const stored = new Set(existing.map(alertKey));
+  let duplicates = 0;
+
+  for (const alert of alerts) {
+    const key = alertKey(alert);
+    if (seen.has(key) || stored.has(key)) {
+      duplicates++;
+    }
+    seen.add(key);
+  }
+
+  return duplicates;
+}
+
+/**
+ * Insert alerts that are not stored yet and update their incidents
+ * Normalization rules are applied before the alerts are stored. The batch is
+ * inserted in one request that skips stored events, and only the rows the
+ * database reports as inserted count as added.
+ * @param {Array} alerts - Parsed alerts
+ * @param {Set} seen - Keys already seen, shared across batches of one file
+ * @param {number} uploadId - file_uploads row the inserted alerts are linked to
+ * @returns {Promise<Object>} - added and skipped counts
+ */
+export async function ingestAlerts(alerts, seen = new Set(), uploadId = null) {
+  // Drop events repeated within the file (skip embeddings for now - too slow)
+  const candidates = [];
+
+  for (const alert of await normalizeAlerts(alerts)) {
+    const key = alertKey(alert);
+    if (seen.has(key)) continue;
+    seen.add(key);
+
+    // Add without embedding for fast upload
+    // The embedding backfill (services/embeddings.js) fills it in afterwards
+    alert.embedding = null;
+    alert.upload_id = uploadId;
+    candidates.push(alert);
+  }
+
+  const inserted = new Set((await insertNewAlerts(candidates)).map(alertKey));
+  const newAlerts = candidates.filter(alert => inserted.has(alertKey(alert)));
+
+  // Pair problem and resolution events into incidents, then update their hosts' inventory
+  if (newAlerts.length > 0) {
+    await syncIncidents(newAlerts);
+    await refreshHosts(newAlerts.map(alert => alert.host));
+    ingestionEvents.emit('changed', { added: newAlerts.length });
+  }
+
+  return { added: newAlerts.length, skipped: alerts.length - newAlerts.length };
+}
+
+/**
+ * Get the time span covered by a set of alerts
+ * @param {Array} alerts - Alert objects
+ * @param {Object} range - Range to extend, for accumulating across batches
+ * @returns {Object} - start and end dates (null when there are no valid timestamps)
+ */
+export function getDateRange(alerts, range = { start: null, end: null }) {
+  let { start, end } = range;
+
+  for (const alert of alerts) {
+    const date = new Date(alert.timestamp);
+    if (isNaN(date)) continue;
+    if (!start || date < start) start = date;
+    if (!end || date > end) end = date;
+  }
+
+  return { start, end };
+}
+
+/**
+ * Build the analyze preview for a stream of alerts without keeping them in memory
+ * @param {Iterable|AsyncIterable} alerts - Parsed alerts
+ * @returns {Promise<Object>} - Preview statistics including duplicates
+ */
+export async function previewAlerts(alerts) {
+  const seen = new Set();
+  const hosts = new Set();
+  let dateRange = { start: null, end: null };
+  let totalMessages = 0;
+  let duplicatesFound = 0;
+
+  for await (const parsed of batchAlerts(alerts)) {
+    // Preview hosts as they will be stored, after normalization rules
+    const batch = await normalizeAlerts(parsed);
+    totalMessages += batch.length;
+    dateRange = getDateRange(batch, dateRange);
+    batch.forEach(alert => {
+      if (alert.host !== 'UNKNOWN') hosts.add(alert.host);
+    });
+    duplicatesFound += await countDuplicates(batch, seen);
+  }
+
+  return {
+    totalMessages,
+    dateRange,
+    hostsCount: hosts.size,
+    hosts: [...hosts],
+    duplicatesFound,
+    newAlerts: totalMessages - duplicatesFound,
+  };
+}
+
+/**
+ * Skip the first alerts of a stream
+ * @param {Iterable|AsyncIterable} alerts - Parsed alerts
+ * @param {number} count - Number of alerts to drop
+ * @returns {AsyncGenerator<Object>} - Remaining alerts
+ */
+export async function* skipAlerts(alerts, count) {
+  let index = 0;
+  for await (const alert of alerts) {
+    if (index++ >= count) yield alert;
+  }
+}
+
+/**
+ * Ingest the alerts of one upload and record it in file_uploads
+ * Alerts are consumed in batches, so a streamed file is never held in memory.
+ * Each batch costs one insert request, whatever the number of duplicates.
+ * The upload is recorded as 'processing' first so every inserted alert can
+ * reference it (see revertUpload). A resumed run reads the batch that was
+ * interrupted again; its alerts that were stored are counted as resumed (and
+ * added), not as skipped duplicates.
+ * @param {string} filename - Name recorded in upload history
+ * @param {Iterable|AsyncIterable} alerts - Parsed alerts
+ * @param {Object} options - resume: counts and uploadId of an interrupted run whose
+ *   alerts are already stored (they are skipped); onBatch(progress): called once the
+ *   upload is recorded and after each batch; fingerprint: content hash and message
+ *   ID range stored with the upload (see utils/fingerprint.js); source: where the
+ *   file came from ('upload' or 'watcher')
+ * @returns {Promise<Object>} - uploadId, totalAlerts, added, skipped and resumed counts
+ */
+export async function ingestUpload(
+  filename,
+  alerts,
+  { resume = null, onBatch = null, fingerprint = null, source = 'upload' } = {}
+) {
+  let totalAlerts = resume?.totalAlerts || 0;
+  let added = resume?.added || 0;
+  let skipped = resume?.skipped || 0;
+  let resumed = resume?.resumed || 0;
+  let dateRange = {
+    start: resume?.dateRange?.start ? new Date(resume.dateRange.start) : null,
+    end: resume?.dateRange?.end ? new Date(resume.dateRange.end) : null,
+  };
+  const seen = new Set();
+
+  const uploadId = resume?.uploadId || (await insertFileUpload({
+    filename,
+    records_count: 0,
+    records_added: 0,
+    records_skipped: 0,
+    status: 'processing',
+    source,
+    content_hash: fingerprint?.contentHash || null,
+    first_message_id: fingerprint?.firstMessageId ?? null,
+    last_message_id: fingerprint?.lastMessageId ?? null,
+  })).id;
+  activeUploads.add(uploadId);
+
+  try {
+    // Report the upload ID before inserting, so a resumed run links to the same upload
+    if (onBatch && !resume?.uploadId) {
+      await onBatch({ uploadId, totalAlerts, added, skipped, resumed, dateRange });
+    }
+
+    // Alerts stored by the interrupted batch, whose progress was never recorded
+    let unrecorded = resume?.uploadId
+      ? Math.max(await countAlertsByUpload(uploadId) - added, 0)
+      : 0;
+
+    for await (const batch of batchAlerts(skipAlerts(alerts, totalAlerts))) {
+      const result = await ingestAlerts(batch, seen, uploadId);
+      const recovered = Math.min(result.skipped, unrecorded);
+      unrecorded -= recovered;
+
+      totalAlerts += batch.length;
+      added += result.added + recovered;
+      skipped += result.skipped - recovered;
+      resumed += recovered;
+      dateRange = getDateRange(batch, dateRange);
+
+      if (onBatch) {
+        await onBatch({ uploadId, totalAlerts, added, skipped, resumed, dateRange });
+      }
+    }
+
+    console.log(`${added} new alerts inserted from ${filename} (${skipped} skipped` +
+      `${resumed > 0 ? `, ${resumed} from the interrupted run` : ''})`);
+
+    // Record upload in database
+    await updateFileUpload(uploadId, {
+      records_count: totalAlerts,
+      records_added: added,
+      records_skipped: skipped,
+      date_range_start: dateRange.start,
+      date_range_end: dateRange.end,
+      status: 'completed',
+    });
+  } finally {
+    activeUploads.delete(uploadId);
+  }
+
+  return { uploadId, totalAlerts, added, skipped, resumed };
+}
+
+/**
+ * Mark uploads left 'processing' by a stopped server as failed
+ * An upload is orphaned when the server stopped before its job recorded the
+ * upload ID, or when it was not ingested by a job at all (e.g. a connector run).
+ * Alerts it stored stay linked to it, so it can be reverted.
+ * @param {Array} resumableIds - Upload IDs that unfinished jobs will resume
+ * @returns {Promise<number>} - Number of uploads marked failed
+ */
+export async function failOrphanedUploads(resumableIds = []) {
+  const uploads = await getUploadsByStatus('processing');
+  let failed = 0;
+
+  for (const upload of uploads) {
+    if (resumableIds.includes(upload.id) || activeUploads.has(upload.id)) continue;
+
+    await updateFileUpload(upload.id, {
+      records_added: await countAlertsByUpload(upload.id),
+      status: 'failed',
+    });
+    failed++;
+  }
+
+  if (failed > 0) {
+    console.log(`Marked ${failed} interrupted upload(s) as failed`);
+  }
+
+  return failed;
+}
+
+/**
+ * Find earlier uploads of the same content or of overlapping Telegram messages
+ * Only needs the fingerprint, so a re-upload is caught before any alert is parsed.
+ * @param {Object} fingerprint - contentHash, firstMessageId and lastMessageId
+ * @returns {Promise<Object>} - alreadyImported (the first completed upload with the
+ *   same hash, or null) and overlaps (uploads sharing message IDs, with percent)
+ */
+export async function findPreviousImports(fingerprint) {
+  const [alreadyImported = null] = await getUploadsByContentHash(fingerprint.contentHash);
+  if (alreadyImported || fingerprint.firstMessageId === null || fingerprint.lastMessageId === null) {
+    return { alreadyImported, overlaps: [] };
+  }
+
+  const uploads = await getUploadsOverlappingRange(fingerprint.firstMessageId, fingerprint.lastMessageId);
+  const overlaps = uploads
+    .map(upload => ({
+      id: upload.id,
+      filename: upload.filename,
+      uploadDate: upload.upload_date,
+      percent: getRangeOverlap(fingerprint, upload),
+    }))
+    .sort((a, b) => b.percent - a.percent);
+
+  return { alreadyImported, overlaps };
+}
+
+/**
+ * Describe the result of findPreviousImports for the upload preview
+ * @param {Object} previous - alreadyImported and overlaps
+ * @returns {string|null} - Message, or null when the file is new
+ */
+export function describePreviousImports({ alreadyImported, overlaps }) {
+  if (alreadyImported) {
+    const date = new Date(alreadyImported.upload_date).toISOString().slice(0, 10);
+    return `This file was already imported on ${date} as ${alreadyImported.filename}`;
+  }
+
+  if (overlaps.length > 0) {
+    return `This file overlaps ${overlaps[0].percent}% with upload #${overlaps[0].id}`;
+  }
+
+  return null;
+}
+
+/**
+ * Record an upload that failed before or during ingestion
+ * @param {string} filename - Name recorded in upload history
+ * @param {Object} progress - uploadId and counts when ingestion had started (alerts
+ *   stored before the failure stay linked to the upload and can be reverted), and source
+ */
+export async function recordFailedUpload(filename, progress = null) {
+  const counts = {
+    records_count: progress?.totalAlerts || 0,
+    records_added: progress?.added || 0,
+    records_skipped: progress?.skipped || 0,
+    status: 'failed',
+  };
+
+  try {
+    if (progress?.uploadId) {
+      await updateFileUpload(progress.uploadId, counts);
+    } else {
+      await insertFileUpload({ filename, source: progress?.source || 'upload', ...counts });
+    }
+  } catch (dbError) {
+    console.error('Error recording failed upload:', dbError);
+  }
+}
+
+/**
+ * Revert an upload: delete the alerts it created and rebuild what derives from them
+ * Incidents of the affected problems are rebuilt from the events that remain
+ * (other uploads may hold the other half of a problem), and the inventory rows of
+ * its hosts are recomputed. Embeddings are stored on the alert rows and go with
+ * them. Alerts are deleted page by page, so an interrupted revert can simply be
+ * run again.
+ * @param {number} id - Upload ID
+ * @returns {Promise<Object>} - The reverted upload and alertsRemoved, incidentsUpdated
+ *   and hostsUpdated counts
+ */
+export async function revertUpload(id) {
+  const upload = await getFileUpload(id);
+  if (!upload) {
+    const error = new Error(`Upload ${id} not found`);
+    error.status = 404;
+    throw error;
+  }
+
+  if (upload.status === 'reverted' || upload.status === 'processing') {
+    const error = new Error(upload.status === 'reverted'
+      ? 'Upload has already been reverted'
+      : 'Upload is still being processed');
+    error.status = 409;
+    throw error;
+  }
+
+  // Uploads recorded before alerts were linked to them cannot be told apart
+  if (upload.status !== 'reverting' && upload.records_added > 0 &&
+      await countAlertsByUpload(id) === 0) {
+    const error = new Error('Alerts of this upload were imported before uploads were tracked and cannot be identified');
+    error.status = 409;
+    throw error;
+  }
+
+  await updateFileUpload(id, { status: 'reverting' });
+
+  const problemIds = new Set();
+  const hosts = new Set();
+  let alertsRemoved = 0;
+
+  while (true) {
+    const alerts = await getAlertsByUpload(id);
+    if (alerts.length === 0) break;
+
+    alerts.forEach((alert) => {
+      if (alert.problem_id) problemIds.add(alert.problem_id);
+      if (alert.host) hosts.add(alert.host);
+    });
+
+    await deleteAlertsByIds(alerts.map(alert => alert.id));
+    alertsRemoved += alerts.length;
+  }
+
+  // Rebuild incidents from the remaining events; problems with none left disappear
+  let incidentsUpdated = 0;
+  const ids = [...problemIds];
+  for (let i = 0; i < ids.length; i += 200) {
+    const chunk = ids.slice(i, i + 200);
+    await deleteIncidentsByProblemIds(chunk);
+    incidentsUpdated += await syncIncidents(await getAlertsByProblemIds(chunk));
+  }
+
+  const hostsUpdated = await refreshHosts([...hosts]);
+
+  const reverted = await updateFileUpload(id, {
+    status: 'reverted',
+    reverted_at: new Date().toISOString(),
+  });
+
+  console.log(`Upload ${id} (${upload.filename}) reverted: ${alertsRemoved} alerts removed`);
+  ingestionEvents.emit('changed', { removed: alertsRemoved });
+
+  return { upload: reverted, alertsRemoved, incidentsUpdated, hostsUpdated };
+}
+
+/**
+ * Listen to changes of the stored alerts
+ * @param {Function} listener - Called with { added }, { removed } or { updated }
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToChanges(listener) {
+  ingestionEvents.on('changed', listener);
+  return () => ingestionEvents.off('changed', listener);
+}
+
+export default {
+  alertKey,
+  batchAlerts,
+  countDuplicates,
+  ingestAlerts,
+  getDateRange,
+  previewAlerts,
+  skipAlerts,
+  ingestUpload,
+  findPreviousImports,
+  describePreviousImports,
+  recordFailedUpload,
+  failOrphanedUploads,
+  revertUpload,
+  ingestionEvents,
+  subscribeToChanges,
+};
@@ -0,0 +1,386 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { openFile } from '../utils/formats/index.js';
+import { createDiagnostics } from '../utils/diagnostics.js';
+import { extractExportZip, discoverExportPages } from '../utils/telegramExport.js';
+import { fingerprintFile, fingerprintExport } from '../utils/fingerprint.js';
+import {
+  ingestUpload,
+  findPreviousImports,
+  recordFailedUpload,
+  failOrphanedUploads,
+} from './ingestion.js';
+import { scheduleBackfill } from './embeddings.js';
+import {
+  insertIngestionJob,
+  updateIngestionJob,
+  getIngestionJob,
+  getUnfinishedIngestionJobs,
+} from './storage/index.js';
+
+/**
+ * Emits "update" with the public view of a job whenever it changes
+ * Listeners filter by job id (see subscribeToJob).
+ */
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+// Files in these states are not processed again when a job resumes
+const FINISHED_FILE_STATUSES = ['completed', 'failed', 'skipped'];
+
+// Jobs run one at a time, in the order they were queued
+const queue = [];
+let working = false;
+
+/**
+ * Create an ingestion job and queue it
+ * The job owns the uploaded files and deletes them once they are processed.
+ * @param {string} kind - 'files' (individual uploads) or 'export' (a whole Telegram export)
+ * @param {Array} sources - filename plus path (uploaded file or ZIP) or directory (export on disk);
+ *   force: true imports a file even when the same content was already imported;
+ *   source: recorded in file_uploads ('upload' by default); processedDir and failedDir:
+ *   where to move the file when it is done instead of deleting it
+ * @returns {Promise<Object>} - Public view of the created job
+ */
+export async function createJob(kind, sources) {
+  const job = await insertIngestionJob({
+    kind,
+    status: 'queued',
+    files: sources.map(source => ({
+      filename: source.filename,
+      path: source.path || null,
+      directory: source.directory || null,
+      force: Boolean(source.force),
+      source: source.source || 'upload',
+      processedDir: source.processedDir || null,
+      failedDir: source.failedDir || null,
+      status: 'queued',
+      totalAlerts: 0,
+      added: 0,
+      skipped: 0,
+      resumed: 0,
+      progress: 0,
+    })),
+  });
+
+  enqueue(job.id);
+  return toPublicJob(job);
+}
+
+/**
+ * Queue every job that was queued or running when the server stopped
+ * Files that finished are not processed again, and an interrupted file
+ * resumes after the alerts it had already stored. Other uploads the server
+ * left 'processing' are marked failed.
+ * @returns {Promise<number>} - Number of jobs queued
+ */
+export async function resumeJobs() {
+  const jobs = await getUnfinishedIngestionJobs();
+  const resumableIds = jobs.flatMap(job => job.files
+    .filter(file => file.uploadId && !FINISHED_FILE_STATUSES.includes(file.status))
+    .map(file => file.uploadId));
+
+  await failOrphanedUploads(resumableIds);
+  jobs.forEach(job => enqueue(job.id));
+
+  if (jobs.length > 0) {
+    console.log(`Resuming ${jobs.length} ingestion job(s)`);
+  }
+
+  return jobs.length;
+}
+
+/**
+ * Listen to updates of one job
+ * @param {number} id - Job ID
+ * @param {Function} listener - Called with the public view of the job
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToJob(id, listener) {
+  const handler = (job) => {
+    if (job.id === id) listener(job);
+  };
+
+  jobEvents.on('update', handler);
+  return () => jobEvents.off('update', handler);
+}
+
+/**
+ * Strip server paths from a job and add the summary shown to clients
+ * @param {Object} job - Job row
+ * @returns {Object} - Job with summary and files without paths
+ */
+export function toPublicJob(job) {
+  const files = (job.files || []).map(({ path, directory, processedDir, failedDir, ...file }) => file);
+  const finished = files.filter(file => FINISHED_FILE_STATUSES.includes(file.status));
+
+  return {
+    ...job,
+    files,
+    progress: files.length > 0
+      ? files.reduce((sum, file) => sum + (file.progress || 0), 0) / files.length
+      : 0,
+    summary: {
+      filesProcessed: finished.length,
+      totalAlerts: files.reduce((sum, file) => sum + file.totalAlerts, 0),
+      recordsAdded: files.reduce((sum, file) => sum + file.added, 0),
+      recordsSkipped: files.reduce((sum, file) => sum + file.skipped, 0),
+      recordsResumed: files.reduce((sum, file) => sum + (file.resumed || 0), 0),
+      messagesSkipped: files.reduce(
+        (sum, file) => sum + (file.diagnostics?.skippedMessages || 0),
+        0
+      ),
+    },
+  };
+}
+
+/**
+ * Add a job to the queue and start the worker if it is idle
+ */
+function enqueue(id) {
+  if (!queue.includes(id)) queue.push(id);
+  if (!working) runQueue();
+}
+
+/**
+ * Process queued jobs until the queue is empty
+ */
+async function runQueue() {
+  working = true;
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    try {
+      await processJob(id);
+    } catch (error) {
+      console.error(`Error processing ingestion job ${id}:`, error);
+      try {
+        await saveJob(id, { status: 'failed', error: error.message, finished_at: new Date().toISOString() });
+      } catch (saveError) {
+        console.error('Error recording failed job:', saveError);
+      }
+    }
+  }
+
+  working = false;
+}
+
+/**
+ * Run every unfinished file of a job and record the totals
+ */
+async function processJob(id) {
+  const job = await getIngestionJob(id);
+  if (!job || job.status === 'completed' || job.status === 'failed') return;
+
+  const files = job.files;
+  await saveJob(id, {
+    status: 'running',
+    started_at: job.started_at || new Date().toISOString(),
+    files,
+  });
+
+  for (const file of files) {
+    if (FINISHED_FILE_STATUSES.includes(file.status)) continue;
+
+    file.status = 'running';
+    await saveJob(id, { files });
+
+    // Persist counts after every batch so an interrupted run can resume
+    const onProgress = async (progress) => {
+      Object.assign(file, progress);
+      await saveJob(id, { files });
+    };
+
+    try {
+      console.log(`Processing file: ${file.filename} (job ${id})`);
+
+      if (job.kind === 'export') {
+        await ingestExport(file, onProgress);
+      } else {
+        await ingestFile(file, onProgress);
+      }
+
+      // A file whose content was already imported is skipped without creating an upload
+      file.status = file.duplicateOf ? 'skipped' : 'completed';
+      file.progress = 1;
+    } catch (error) {
+      console.error(`Error processing file ${file.filename}:`, error);
+      file.status = 'failed';
+      file.error = error.message;
+      await recordFailedUpload(file.filename, file);
+    }
+
+    await cleanupFile(file);
+    await saveJob(id, { files });
+  }
+
+  const failed = files.every(file => file.status === 'failed');
+  const added = files.reduce((sum, file) => sum + file.added, 0);
+  await saveJob(id, {
+    status: failed ? 'failed' : 'completed',
+    files,
+    total_alerts: files.reduce((sum, file) => sum + file.totalAlerts, 0),
+    records_added: added,
+    records_skipped: files.reduce((sum, file) => sum + file.skipped, 0),
+    finished_at: new Date().toISOString(),
+  });
+
+  // New alerts are stored without embeddings; generate them in the background
+  if (added > 0) {
+    scheduleBackfill();
+  }
+}
+
+/**
+ * Ingest one uploaded file, resuming after the alerts a previous run stored
+ */
+async function ingestFile(file, onProgress) {
+  const diagnostics = createDiagnostics();
+  const { format, alerts, size, bytesRead } = await openFile(file.path, file.filename, diagnostics);
+  file.format = format;
+
+  const fingerprint = await fingerprintFile(file.path, format);
+  if (await isAlreadyImported(file, fingerprint)) return;
+
+  await ingestUpload(file.filename, alerts, {
+    resume: file,
+    fingerprint,
+    source: file.source,
+    onBatch: progress => onProgress({
+      ...progress,
+      progress: size > 0 ? Math.min(bytesRead() / size, 1) : 0,
+      diagnostics: diagnostics.summary(),
+    }),
+  });
+
+  file.diagnostics = diagnostics.summary();
+}
+
+/**
+ * Ingest every page of a Telegram export (an uploaded ZIP or a directory on disk)
+ */
+async function ingestExport(file, onProgress) {
+  let dir = file.directory;
+
+  if (file.path) {
+    // Extract again on resume; a previous run may have stopped halfway
+    dir = `${file.path}.d`;
+    await fs.rm(dir, { recursive: true, force: true });
+    await extractExportZip(file.path, dir);
+  }
+
+  const { pages, missingPages } = await discoverExportPages(dir);
+  if (pages.length === 0) {
+    throw new Error('No messages*.html pages found in the export');
+  }
+
+  if (missingPages.length > 0) {
+    console.warn(`Export ${file.filename} is missing pages: ${missingPages.join(', ')}`);
+  }
+
+  file.format = 'telegram-html';
+  file.pagesFound = pages.length;
+  file.missingPages = missingPages;
+
+  const fingerprint = await fingerprintExport(pages);
+  if (await isAlreadyImported(file, fingerprint)) return;
+
+  const diagnostics = createDiagnostics();
+  const pageResults = [];
+
+  await ingestUpload(file.filename, streamExportPages(pages, pageResults, diagnostics), {
+    resume: file,
+    fingerprint,
+    source: file.source,
+    onBatch: progress => onProgress({
+      ...progress,
+      progress: pageResults.length / pages.length,
+      diagnostics: diagnostics.summary(),
+    }),
+  });
+
+  file.pages = pageResults;
+  file.diagnostics = diagnostics.summary();
+}
+
+/**
+ * Mark a file as a duplicate of a completed upload with the same content
+ * Not checked for forced files or for a resumed run, whose own upload is already recorded.
+ */
+async function isAlreadyImported(file, fingerprint) {
+  if (file.force || file.uploadId) return false;
+
+  const { alreadyImported } = await findPreviousImports(fingerprint);
+  if (!alreadyImported) return false;
+
+  console.log(`Skipping ${file.filename}: already imported as upload #${alreadyImported.id}`);
+  file.duplicateOf = alreadyImported.id;
+  return true;
+}
+
+/**
+ * Stream the alerts of export pages in order
+ * @param {Array} pages - Pages from discoverExportPages
+ * @param {Array} pageResults - Filled with per-page alert counts as pages finish
+ * @param {Object} diagnostics - Collector shared by all pages
+ * @returns {AsyncGenerator<Object>} - Alerts of all pages
+ */
+export async function* streamExportPages(pages, pageResults, diagnostics) {
+  for (const page of pages) {
+    const { alerts } = await openFile(page.file, page.name, diagnostics);
+    let count = 0;
+
+    for await (const alert of alerts) {
+      count++;
+      yield alert;
+    }
+
+    pageResults.push({
+      name: page.name,
+      firstMessageId: page.firstMessageId,
+      lastMessageId: page.lastMessageId,
+      alerts: count,
+    });
+  }
+}
+
+/**
+ * Delete the uploaded file (and extracted export) once it is processed
+ * Files with a processedDir/failedDir (watched drop folder) are moved there instead.
+ * Directories that were on disk before the upload are left alone.
+ */
+async function cleanupFile(file) {
+  if (!file.path) return;
+
+  try {
+    await fs.rm(`${file.path}.d`, { recursive: true, force: true });
+
+    const destination = file.status === 'failed' ? file.failedDir : file.processedDir;
+    if (destination) {
+      await fs.rename(file.path, path.join(destination, path.basename(file.path)));
+    } else {
+      await fs.rm(file.path, { force: true });
+    }
+  } catch (error) {
+    console.error('Error deleting file:', error);
+  }
+}
+
+/**
+ * Persist job changes and notify subscribers
+ */
+async function saveJob(id, updates) {
+  const job = await updateIngestionJob(id, updates);
+  jobEvents.emit('update', toPublicJob(job));
+  return job;
+}
+
+export default {
+  jobEvents,
+  createJob,
+  resumeJobs,
+  subscribeToJob,
+  toPublicJob,
+  streamExportPages,
+};
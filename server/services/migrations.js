@@ -0,0 +1,133 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getStorageInfo, getAppliedMigrations, runMigration } from './storage/index.js';
+
+// Migrations of each SQL dialect: NNNN_name.up.sql and NNNN_name.down.sql
+const MIGRATIONS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../migrations');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+/**
+ * Read the migrations shipped with the code for the selected backend
+ * @returns {Promise<Array>} - version, name, up and down SQL of each migration, by version
+ */
+export async function getMigrations() {
+  const dir = path.join(MIGRATIONS_DIR, getStorageInfo().dialect);
+  const byVersion = new Map();
+
+  for (const file of (await fs.readdir(dir)).sort()) {
+    const match = file.match(MIGRATION_FILE);
+    if (!match) continue;
+
+    const version = parseInt(match[1], 10);
+    const migration = byVersion.get(version) || { version, name: match[2], up: null, down: null };
+    if (migration.name !== match[2]) {
+      throw new Error(`Migration ${version} has two names: ${migration.name} and ${match[2]}`);
+    }
+
+    migration[match[3]] = await fs.readFile(path.join(dir, file), 'utf-8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (!migration.up || !migration.down) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an up and a down file`);
+    }
+  }
+
+  return migrations;
+}
+
+/**
+ * Compare the applied migrations with the ones shipped with the code
+ * @returns {Promise<Object>} - current and expected versions, applied rows and pending migrations
+ */
+export async function getMigrationStatus() {
+  const [migrations, applied] = await Promise.all([getMigrations(), getAppliedMigrations()]);
+  const appliedVersions = new Set(applied.map(row => row.version));
+
+  return {
+    backend: getStorageInfo().backend,
+    current: applied.length > 0 ? applied[applied.length - 1].version : 0,
+    expected: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+    applied,
+    pending: migrations.filter(migration => !appliedVersions.has(migration.version)),
+  };
+}
+
+/**
+ * Migrate the database to a version: pending migrations are applied in order,
+ * or applied ones above the target are reverted, newest first
+ * @param {Object} options - to: target version (the latest by default);
+ *   onStep(step) is called before each migration runs
+ * @returns {Promise<Array>} - version, name and direction of each migration run
+ */
+export async function migrate({ to = null, onStep = null } = {}) {
+  const migrations = await getMigrations();
+  const applied = new Set((await getAppliedMigrations()).map(row => row.version));
+  const target = to ?? (migrations.length > 0 ? migrations[migrations.length - 1].version : 0);
+
+  if (to !== null && to !== 0 && !migrations.some(migration => migration.version === to)) {
+    const error = new Error(`There is no migration ${to}`);
+    error.status = 400;
+    throw error;
+  }
+
+  const steps = [
+    ...migrations
+      .filter(migration => migration.version <= target && !applied.has(migration.version))
+      .map(migration => ({ migration, direction: 'up' })),
+    ...migrations
+      .filter(migration => migration.version > target && applied.has(migration.version))
+      .reverse()
+      .map(migration => ({ migration, direction: 'down' })),
+  ];
+
+  const done = [];
+  for (const { migration, direction } of steps) {
+    const step = { version: migration.version, name: migration.name, direction };
+    if (onStep) onStep(step);
+
+    await runMigration(
+      { version: migration.version, name: migration.name, sql: migration[direction] },
+      direction
+    );
+    done.push(step);
+  }
+
+  return done;
+}
+
+/**
+ * Check that the database schema is the version the code expects
+ * Throws (status 409) when migrations are pending or the database is newer than the code.
+ * @returns {Promise<Object>} - Migration status
+ */
+export async function checkSchemaVersion() {
+  const status = await getMigrationStatus();
+
+  let message = null;
+  if (status.current > status.expected) {
+    message = `Database schema is at version ${status.current}, newer than this code (${status.expected})`;
+  } else if (status.pending.length > 0) {
+    message = `Database schema is at version ${status.current}, this code needs ${status.expected} ` +
+      `(pending: ${status.pending.map(m => `${m.version}_${m.name}`).join(', ')}): run npm run migrate`;
+  }
+
+  if (message) {
+    const error = new Error(message);
+    error.status = 409;
+    throw error;
+  }
+
+  return status;
+}
+
+export default {
+  getMigrations,
+  getMigrationStatus,
+  migrate,
+  checkSchemaVersion,
+};
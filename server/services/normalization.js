@@ -0,0 +1,209 @@
+import {
+  getNormalizationRules,
+  getAlertsForNormalization,
+  updateAlertFields,
+  getAlertsByProblemIds,
+  refreshHosts,
+} from './storage/index.js';
+import { syncIncidents } from './incidents.js';
+import { ingestionEvents } from './ingestion.js';
+import { mapSeverity } from '../utils/parser.js';
+
+// Rule types stored in normalization_rules.rule_type
+export const RULE_TYPES = ['severity', 'host_alias', 'alert_type'];
+
+// Severities a severity rule may map to
+export const SEVERITIES = ['CRITICAL', 'HIGH', 'WARNING', 'LOW', 'INFO'];
+
+// Rules are cached per process; changes through the admin API clear the cache
+const CACHE_TTL = 60 * 1000;
+let cachedRules = null;
+let cachedAt = 0;
+
+/**
+ * Compile rule rows into lookups
+ * Severity and host alias patterns match whole values case-insensitively;
+ * alert type patterns are regular expressions tried by priority.
+ * @param {Array} rows - Rows from normalization_rules
+ * @returns {Object} - severity and hostAliases maps, alertTypes list
+ */
+export function compileRules(rows) {
+  const rules = { severity: new Map(), hostAliases: new Map(), alertTypes: [] };
+
+  for (const row of rows) {
+    if (row.enabled === false) continue;
+
+    const key = row.pattern.trim().toLowerCase();
+    if (row.rule_type === 'severity' && !rules.severity.has(key)) {
+      rules.severity.set(key, row.replacement);
+    } else if (row.rule_type === 'host_alias' && !rules.hostAliases.has(key)) {
+      rules.hostAliases.set(key, row.replacement);
+    } else if (row.rule_type === 'alert_type') {
+      try {
+        rules.alertTypes.push({
+          regex: new RegExp(row.pattern, 'i'),
+          replacement: row.replacement,
+          priority: row.priority || 0,
+        });
+      } catch (error) {
+        console.error(`Invalid alert type pattern in rule ${row.id}:`, error.message);
+      }
+    }
+  }
+
+  rules.alertTypes.sort((a, b) => b.priority - a.priority);
+  return rules;
+}
+
+/**
+ * Load the enabled rules, compiled
+ * @returns {Promise<Object>} - Compiled rules
+ */
+export async function loadRules() {
+  if (cachedRules && Date.now() - cachedAt < CACHE_TTL) return cachedRules;
+
+  cachedRules = compileRules(await getNormalizationRules());
+  cachedAt = Date.now();
+  return cachedRules;
+}
+
+/**
+ * Forget cached rules so the next ingest reads them again
+ */
+export function clearRulesCache() {
+  cachedRules = null;
+}
+
+/**
+ * Apply normalization rules to an alert
+ * Rules work on the raw_* values as parsed, so re-applying after a rule
+ * change (or removal) always starts from the original data.
+ * @param {Object} alert - Alert with host/severity/alert_type and optionally raw_* fields
+ * @param {Object} rules - Compiled rules from compileRules()
+ * @returns {Object} - Alert with raw_* filled in and normalized host, severity and alert_type
+ */
+export function normalizeAlert(alert, rules) {
+  // Rows stored before raw values were kept fall back to their current values
+  const rawHost = alert.raw_host ?? alert.host;
+  const rawSeverity = alert.raw_severity ?? alert.severity;
+  const rawAlertType = alert.raw_alert_type ?? alert.alert_type;
+
+  const host = rawHost
+    ? rules.hostAliases.get(rawHost.trim().toLowerCase()) || rawHost
+    : 'UNKNOWN';
+
+  const severity = rules.severity.get(String(rawSeverity ?? '').trim().toLowerCase()) ||
+    mapSeverity(rawSeverity);
+
+  let alertType = rawAlertType || 'General Alert';
+  for (const rule of rules.alertTypes) {
+    const match = alertType.match(rule.regex);
+    if (match) {
+      // "$1" in the replacement refers to capture groups of the pattern
+      alertType = rule.replacement.replace(/\$(\d)/g, (_, group) => match[group] ?? '');
+      break;
+    }
+  }
+
+  return {
+    ...alert,
+    raw_host: rawHost ?? null,
+    raw_severity: rawSeverity ?? null,
+    raw_alert_type: rawAlertType ?? null,
+    host,
+    severity,
+    alert_type: alertType,
+  };
+}
+
+/**
+ * Apply normalization rules to a batch of parsed alerts
+ * @param {Array} alerts - Parsed alerts
+ * @returns {Promise<Array>} - Normalized alerts
+ */
+export async function normalizeAlerts(alerts) {
+  const rules = await loadRules();
+  return alerts.map(alert => normalizeAlert(alert, rules));
+}
+
+/**
+ * Re-apply the current rules to every stored alert
+ * Alerts are rewritten page by page; incidents of changed problems are rebuilt
+ * from their events so their host, type and severity follow, and the inventory
+ * rows of the hosts involved are recomputed.
+ * @returns {Promise<Object>} - alertsScanned, alertsUpdated, incidentsUpdated and
+ *   hostsUpdated counts
+ */
+export async function reapplyRules() {
+  clearRulesCache();
+  const rules = await loadRules();
+
+  const pageSize = 1000;
+  let afterId = 0;
+  let alertsScanned = 0;
+  let alertsUpdated = 0;
+  let incidentsUpdated = 0;
+  const hosts = new Set();
+
+  while (true) {
+    const page = await getAlertsForNormalization(afterId, pageSize);
+    if (page.length === 0) break;
+
+    alertsScanned += page.length;
+    afterId = page[page.length - 1].id;
+
+    const changed = page
+      .map(alert => ({ before: alert, after: normalizeAlert(alert, rules) }))
+      .filter(({ before, after }) =>
+        ['host', 'severity', 'alert_type', 'raw_host', 'raw_severity', 'raw_alert_type']
+          .some(field => before[field] !== after[field])
+      )
+      .map(({ before, after }) => {
+        // Both hosts' inventory rows change when an alias rule moves an alert
+        hosts.add(before.host);
+        hosts.add(after.host);
+        return after;
+      });
+
+    if (changed.length > 0) {
+      await updateAlertFields(changed.map(alert => ({
+        id: alert.id,
+        host: alert.host,
+        severity: alert.severity,
+        alert_type: alert.alert_type,
+        raw_host: alert.raw_host,
+        raw_severity: alert.raw_severity,
+        raw_alert_type: alert.raw_alert_type,
+      })));
+      alertsUpdated += changed.length;
+
+      const problemIds = [...new Set(changed.map(a => a.problem_id).filter(Boolean))];
+      for (let i = 0; i < problemIds.length; i += 200) {
+        const events = await getAlertsByProblemIds(problemIds.slice(i, i + 200));
+        incidentsUpdated += await syncIncidents(events);
+      }
+    }
+
+    if (page.length < pageSize) break;
+  }
+
+  const hostsUpdated = await refreshHosts([...hosts]);
+  if (alertsUpdated > 0) {
+    ingestionEvents.emit('changed', { updated: alertsUpdated });
+  }
+
+  console.log(`Normalization re-applied: ${alertsUpdated}/${alertsScanned} alerts updated`);
+
+  return { alertsScanned, alertsUpdated, incidentsUpdated, hostsUpdated };
+}
+
+export default {
+  RULE_TYPES,
+  SEVERITIES,
+  compileRules,
+  loadRules,
+  clearRulesCache,
+  normalizeAlert,
+  normalizeAlerts,
+  reapplyRules,
+};
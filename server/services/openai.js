@@ -7,16 +7,55 @@ const openai = new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
 });
 
+// Embedding model; EMBEDDING_DIMENSIONS shortens text-embedding-3 vectors
+export const EMBEDDING_MODEL = process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+const EMBEDDING_DIMENSIONS = parseInt(process.env.EMBEDDING_DIMENSIONS) || null;
+
+// Stored with every vector; vectors with different ids are never compared
+export const EMBEDDING_MODEL_ID = EMBEDDING_DIMENSIONS
+  ? `${EMBEDDING_MODEL}@${EMBEDDING_DIMENSIONS}`
+  : EMBEDDING_MODEL;
+
+// Retries for rate limits (429) and server errors, with exponential backoff
+const MAX_RETRIES = parseInt(process.env.EMBEDDING_MAX_RETRIES) || 5;
+const BASE_DELAY_MS = 1000;
+
 /**
- * Generate embeddings for text using OpenAI's text-embedding-3-small model
+ * Run an OpenAI request, retrying rate limits and server errors with backoff
+ * Honors the Retry-After header when the API sends one.
+ * @param {Function} request - Function returning the request promise
+ * @returns {Promise<*>} - Result of the request
+ */
+async function withRetry(request) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request();
+    } catch (error) {
+      const retryable = error.status === 429 || error.status >= 500;
+      if (!retryable || attempt >= MAX_RETRIES) throw error;
+
+      const retryAfter = parseFloat(error.headers?.['retry-after']);
+      const delay = retryAfter > 0
+        ? retryAfter * 1000
+        : BASE_DELAY_MS * 2 ** attempt + Math.random() * BASE_DELAY_MS;
+
+      console.warn(`OpenAI request failed (${error.status}), retrying in ${Math.round(delay)}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Generate embeddings for text using the configured embedding model (EMBEDDING_MODEL)
  * @param {string} text - Text to generate embeddings for
  * @returns {Promise<number[]>} - Array of embedding values
  */
 export async function generateEmbedding(text) {
   try {
     const response = await openai.embeddings.create({
-      model: 'text-embedding-3-small',
+      model: EMBEDDING_MODEL,
       input: text,
+      ...(EMBEDDING_DIMENSIONS && { dimensions: EMBEDDING_DIMENSIONS }),
     });
 
     return response.data[0].embedding;
@@ -26,6 +65,32 @@ export async function generateEmbedding(text) {
   }
 }
 
+/**
+ * Generate embeddings for several texts in one request
+ * Rate limits and server errors are retried with backoff.
+ * @param {Array<string>} texts - Texts to generate embeddings for
+ * @returns {Promise<Array<number[]>>} - Embeddings in the order of texts
+ */
+export async function generateEmbeddings(texts) {
+  if (texts.length === 0) return [];
+
+  const response = await withRetry(() =>
+    openai.embeddings.create({
+      model: EMBEDDING_MODEL,
+      input: texts,
+      ...(EMBEDDING_DIMENSIONS && { dimensions: EMBEDDING_DIMENSIONS }),
+    }, { maxRetries: 0 }) // withRetry owns the retry policy
+  );
+
+  // The API reports an index per input; do not rely on response order
+  const embeddings = new Array(texts.length);
+  response.data.forEach((item) => {
+    embeddings[item.index] = item.embedding;
+  });
+
+  return embeddings;
+}
+
 /**
  * Generate chat completion using GPT-4o-mini
  * @param {Array} messages - Array of message objects with role and content
@@ -92,7 +157,10 @@ Return ONLY valid JSON, no markdown formatting.`;
 }
 
 export default {
+  EMBEDDING_MODEL,
+  EMBEDDING_MODEL_ID,
   generateEmbedding,
+  generateEmbeddings,
   generateChatCompletion,
   analyzeDataStructure,
 };
@@ -1,5 +1,11 @@
-import { generateEmbedding, generateChatCompletion } from './openai.js';
-import { searchAlertsByEmbedding } from './supabase.js';
+import crypto from 'crypto';
+import { generateEmbedding, generateChatCompletion, EMBEDDING_MODEL_ID } from './openai.js';
+import { embedTexts } from './embeddingCache.js';
+import { searchAlertsByEmbedding } from './storage/index.js';
+import { getSyslogAround } from './syslogReceiver.js';
+
+// Syslog lines shown per alert in the RAG context
+const SYSLOG_LINES_PER_ALERT = 5;
 
 /**
  * Determine if a question should be handled by RAG
@@ -42,10 +48,13 @@ export async function processRAGQuestion(question, history = []) {
 
     // Search for relevant alerts
     console.log('Searching for relevant alerts...');
+    // Only vectors from the current model and text template are comparable with the question
     const relevantAlerts = await searchAlertsByEmbedding(
       questionEmbedding,
       0.7, // similarity threshold
-      10   // number of results
+      10,  // number of results
+      EMBEDDING_MODEL_ID,
+      ALERT_EMBEDDING_VERSION
     );
 
     console.log(`Found ${relevantAlerts?.length || 0} relevant alerts`);
@@ -61,8 +70,9 @@ export async function processRAGQuestion(question, history = []) {
       };
     }
 
-    // Format context from relevant alerts
-    const context = formatAlertsContext(relevantAlerts);
+    // Format context from relevant alerts and the device syslog around them
+    const syslog = await getSyslogContext(relevantAlerts);
+    const context = formatAlertsContext(relevantAlerts, syslog);
 
     // Generate answer using GPT-4o-mini with conversation history
     const answer = await generateRAGAnswer(question, context, relevantAlerts, history);
@@ -87,12 +97,30 @@ export async function processRAGQuestion(question, history = []) {
   }
 }
 
+/**
+ * Get the syslog messages each alert's host sent around the alert
+ * Context is optional: without a receiver or syslog table the alerts are used alone.
+ * @param {Array} alerts - Relevant alerts
+ * @returns {Promise<Array>} - Messages per alert, in the same order
+ */
+async function getSyslogContext(alerts) {
+  try {
+    return await Promise.all(alerts.map(alert => getSyslogAround(alert.host, alert.timestamp, {
+      limit: SYSLOG_LINES_PER_ALERT,
+    })));
+  } catch (error) {
+    console.error('Error getting syslog context:', error.message);
+    return alerts.map(() => []);
+  }
+}
+
 /**
  * Format alerts into context for RAG
  * @param {Array} alerts - Relevant alerts
+ * @param {Array} syslog - Syslog messages per alert, from getSyslogContext()
  * @returns {string} - Formatted context
  */
-function formatAlertsContext(alerts) {
+function formatAlertsContext(alerts, syslog = []) {
   let context = 'Relevant Network Monitoring Alerts:\n\n';
 
   alerts.forEach((alert, index) => {
@@ -102,10 +130,18 @@ function formatAlertsContext(alerts) {
     context += `- Status: ${alert.status}\n`;
     context += `- Timestamp: ${new Date(alert.timestamp).toLocaleString()}\n`;
     context += `- Description: ${alert.description}\n`;
+    if (alert.alert_category) context += `- Category: ${alert.alert_category}\n`;
+    if (alert.provider) context += `- Provider: ${alert.provider}\n`;
     if (alert.interface) context += `- Interface: ${alert.interface}\n`;
     if (alert.severity) context += `- Severity: ${alert.severity}\n`;
     if (alert.duration_seconds) context += `- Duration: ${Math.floor(alert.duration_seconds / 60)} minutes\n`;
     context += `- Similarity: ${(alert.similarity * 100).toFixed(1)}%\n`;
+    if (syslog[index]?.length > 0) {
+      context += '- Syslog from this host around the alert:\n';
+      syslog[index].forEach((line) => {
+        context += `    ${new Date(line.timestamp).toLocaleString()} ${line.message}\n`;
+      });
+    }
     context += '\n';
   });
 
@@ -139,6 +175,7 @@ Guidelines:
 - Use technical terms appropriately
 - Provide specific examples from the alerts
 - If you see patterns, mention them
+- Syslog lines from the same host around an alert often explain its cause; use them
 - Give practical recommendations
 - Remember previous questions and build upon them
 - If the question cannot be fully answered from the context, say so`,
@@ -184,27 +221,48 @@ Please analyze the alerts above and provide a detailed answer.`,
 
 /**
  * Generate embeddings for alert descriptions
+ * Served from the embedding cache when the same text was embedded before.
  * @param {Object} alert - Alert object
  * @returns {Promise<Array>} - Embedding vector
  */
 export async function generateAlertEmbedding(alert) {
+  const [embedding] = await embedTexts([buildAlertEmbeddingText(alert)]);
+  return embedding;
+}
+
+/**
+ * Build the text embedded for an alert
+ * Only the fields that describe the problem are used: the raw description also holds
+ * the problem ID, event date, time and duration, which would make nearly every text
+ * unique and defeat the embedding cache.
+ * @param {Object} alert - Alert object
+ * @returns {string} - Relevant fields joined for semantic search
+ */
+export function buildAlertEmbeddingText(alert) {
   // Combine relevant fields for better semantic search
-  const textToEmbed = [
+  return [
     alert.host,
     alert.alert_type,
-    alert.description,
     alert.interface,
     alert.status,
     alert.severity,
   ]
     .filter(Boolean)
     .join(' | ');
-
-  return await generateEmbedding(textToEmbed);
 }
 
+// Version of the text built by buildAlertEmbeddingText, derived from its source so any
+// edit re-embeds stored alerts through the backfill (texts that did not change are
+// served from the embedding cache); fits the INT embedding_version column
+export const ALERT_EMBEDDING_VERSION = parseInt(
+  crypto.createHash('sha256').update(buildAlertEmbeddingText.toString()).digest('hex').slice(0, 7),
+  16
+);
+
 export default {
   shouldUseRAG,
   processRAGQuestion,
   generateAlertEmbedding,
+  buildAlertEmbeddingText,
+  ALERT_EMBEDDING_VERSION,
 };
@@ -0,0 +1,54 @@
+import { EventEmitter } from 'events';
+import { batchAlerts, ingestAlerts } from './ingestion.js';
+import { scheduleBackfill } from './embeddings.js';
+
+/**
+ * Emits "alerts" with { source, added, skipped, at } whenever real-time
+ * ingestion stores new alerts, so open dashboards can refresh right away
+ */
+export const alertEvents = new EventEmitter();
+alertEvents.setMaxListeners(0);
+
+/**
+ * Store alerts that arrive one by one (webhooks, connectors) instead of in an upload
+ * Goes through the same normalization rules, dedupe and incident pairing as
+ * uploads, without a file_uploads row. Embeddings are generated in the background.
+ * @param {Array} alerts - Alerts in the shape buildAlert() produces
+ * @param {string} source - Where the alerts came from, e.g. 'webhook'
+ * @returns {Promise<Object>} - added and skipped (duplicate) counts
+ */
+export async function ingestRealtimeAlerts(alerts, source) {
+  const seen = new Set();
+  let added = 0;
+  let skipped = 0;
+
+  for await (const batch of batchAlerts(alerts)) {
+    const result = await ingestAlerts(batch, seen);
+    added += result.added;
+    skipped += result.skipped;
+  }
+
+  if (added > 0) {
+    console.log(`${added} new alerts received from ${source} (${skipped} skipped)`);
+    scheduleBackfill();
+    alertEvents.emit('alerts', { source, added, skipped, at: new Date().toISOString() });
+  }
+
+  return { added, skipped };
+}
+
+/**
+ * Listen to alerts stored by real-time ingestion
+ * @param {Function} listener - Called with { source, added, skipped, at }
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToAlerts(listener) {
+  alertEvents.on('alerts', listener);
+  return () => alertEvents.off('alerts', listener);
+}
+
+export default {
+  alertEvents,
+  ingestRealtimeAlerts,
+  subscribeToAlerts,
+};
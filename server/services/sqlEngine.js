@@ -1,5 +1,18 @@
 import { generateChatCompletion } from './openai.js';
-import { supabase } from './supabase.js';
+import { executeQuery, getStorageInfo } from './storage/index.js';
+
+// How queries are written for each storage backend's SQL dialect
+const DIALECTS = {
+  postgresql: {
+    name: 'PostgreSQL',
+    timeRule: 'For time-based queries, use NOW() and INTERVAL',
+  },
+  sqlite: {
+    name: 'SQLite',
+    timeRule: 'Timestamps are ISO 8601 text in UTC; for time-based queries compare them with ' +
+      "strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-1 day'), and use json_each() for tags",
+  },
+};
 
 /**
  * Determine if a question should be handled by SQL
@@ -37,43 +50,103 @@ export function shouldUseSQL(question) {
  * @returns {Promise<string>} - Generated SQL query
  */
 export async function generateSQLQuery(question) {
+  const dialect = DIALECTS[getStorageInfo().dialect] || DIALECTS.postgresql;
   const schema = `
 Database Schema:
 - Table: alerts
   Columns:
   - id (SERIAL PRIMARY KEY)
+  One row per event: a problem has a 'PROBLEM' row and, once resolved, an 'OK' row
+  - problem_id (VARCHAR(20)) - Unique together with status
+  - timestamp (TIMESTAMPTZ) - When the event happened (falls back to sent_at)
+  - status (VARCHAR(20)) - Values: 'PROBLEM', 'OK'
+  - alert_type (VARCHAR(100)) - Problem name after normalization rules
+  - alert_category (VARCHAR(30)) - Values: 'link_down', 'bandwidth_drop', 'high_bandwidth',
+    'interface_errors', 'interface_speed', 'icmp_unreachable', 'icmp_latency', 'icmp_loss',
+    'cpu', 'memory', 'temperature', 'reboot', 'disk_space', 'hardware', 'monitoring', 'other'
+  - host (VARCHAR(100))
+  - device (VARCHAR(100)) - Device named in the problem (usually the host)
+  - interface (VARCHAR(100)) - Same as port
+  - port (VARCHAR(100)) - e.g. 'xxvgei-1/1/1/15', 'Twe1/0/1'
+  - interface_description (VARCHAR(255)) - e.g. 'MSA-CA'
+  - threshold (NUMERIC) - Trigger threshold, e.g. 90 for 'over 90%'
+  - severity (VARCHAR(20)) - Values: 'CRITICAL', 'HIGH', 'WARNING', 'LOW', 'INFO'
+  - provider (VARCHAR(50)) - Canonical name, e.g. 'Rogers', 'Cogeco', 'Bell'
+  - duration_seconds (INT) - Reported duration on 'OK' events; NULL when flagged
+  - duration_flag (VARCHAR(20)) - NULL, 'negative' or 'invalid'
+  - event_time (TIMESTAMPTZ) - Time stated in the message body; NULL when flagged
+  - event_time_flag (VARCHAR(20)) - NULL or 'after_sent' (body time in another time zone)
+  - sent_at (TIMESTAMPTZ) - Time the message was sent
+  - utc_offset (VARCHAR(6)) - Offset of the sender, e.g. '-05:00'
+  - raw_host, raw_severity, raw_alert_type - Values as parsed, before normalization rules
+    (host aliases are mapped to a canonical host in host)
+  - description (TEXT)
+  - upload_id (INT) - file_uploads row of the upload that created the event
+  - source_event_id (VARCHAR(20)) - Zabbix event ID of this event (API and webhook events only)
+  - acknowledged (BOOLEAN) - Whether the problem is acknowledged in Zabbix; NULL when unknown
+  - tags (JSONB) - Zabbix tags, e.g. [{"tag": "scope", "value": "availability"}]
+  - created_at (TIMESTAMPTZ)
+
+- Table: incidents
+  One row per problem, pairing its PROBLEM and OK events
+  Columns:
   - problem_id (VARCHAR(20) UNIQUE)
-  - timestamp (TIMESTAMPTZ)
-  - status (VARCHAR(20)) - Values: 'PROBLEM', 'OK', 'RESOLVED'
-  - alert_type (VARCHAR(100))
   - host (VARCHAR(100))
-  - interface (VARCHAR(100))
-  - severity (VARCHAR(20)) - Values: 'CRITICAL', 'HIGH', 'WARNING', 'LOW'
+  - alert_type (VARCHAR(100))
+  - alert_category (VARCHAR(30))
   - provider (VARCHAR(50))
+  - interface (VARCHAR(100))
+  - severity (VARCHAR(20))
+  - status (VARCHAR(20)) - Values: 'open', 'resolved'
+  - opened_at (TIMESTAMPTZ)
+  - resolved_at (TIMESTAMPTZ)
   - duration_seconds (INT)
-  - description (TEXT)
-  - created_at (TIMESTAMPTZ)
+
+- Table: hosts
+  Inventory of the hosts seen in alerts, one row per host (matches alerts.host)
+  Columns:
+  - host_name (VARCHAR(100) UNIQUE)
+  - first_seen, last_seen (TIMESTAMPTZ) - Earliest and latest alert event
+  - total_alerts (INT) - Number of alert events
+  - total_incidents (INT) - Number of problems (incidents)
+  - active_problems (INT) - Problems still open
+  - interfaces (JSONB) - Interfaces named in its alerts, e.g. ["Twe1/0/1"]
+
+- Table: syslog_messages
+  Syslog sent by network devices; host matches alerts.host
+  Columns:
+  - timestamp (TIMESTAMPTZ) - Time stated by the device (falls back to receipt time)
+  - host (VARCHAR(100)) - Host after alias rules (by hostname or sender IP)
+  - raw_host (VARCHAR(255)) - Hostname as sent
+  - source_ip (VARCHAR(45)) - Address the message came from
+  - facility (SMALLINT), severity (SMALLINT) - Syslog codes; severity 0 (emerg) to 7 (debug)
+  - app_name (VARCHAR(100)) - Tag or mnemonic, e.g. 'LINK-3-UPDOWN'
+  - message (TEXT)
 
 Common Queries:
 - Count total alerts: SELECT COUNT(*) FROM alerts;
 - Count by status: SELECT status, COUNT(*) FROM alerts GROUP BY status;
-- Count by host: SELECT host, COUNT(*) FROM alerts GROUP BY host ORDER BY COUNT(*) DESC;
+- Hosts with the most problems: SELECT host_name, total_incidents, active_problems FROM hosts ORDER BY total_incidents DESC LIMIT 10;
+- Problems by provider: SELECT provider, COUNT(*) FROM alerts WHERE status = 'PROBLEM' AND provider IS NOT NULL GROUP BY provider;
+- Problems by category: SELECT alert_category, COUNT(*) FROM alerts WHERE status = 'PROBLEM' GROUP BY alert_category;
 - Recent alerts: SELECT * FROM alerts ORDER BY timestamp DESC LIMIT 10;
-- Active problems: SELECT * FROM alerts WHERE status = 'PROBLEM';
+- Active problems: SELECT * FROM incidents WHERE status = 'open' ORDER BY opened_at DESC;
+- Average time to resolve: SELECT AVG(duration_seconds) FROM incidents WHERE status = 'resolved';
+- Syslog around an alert: SELECT timestamp, message FROM syslog_messages WHERE host = 'TRT-NG-SW' AND timestamp BETWEEN '2024-01-15 13:40' AND '2024-01-15 13:50' ORDER BY timestamp;
 `;
 
   const messages = [
     {
       role: 'system',
-      content: `You are a SQL query generator. Generate PostgreSQL queries based on user questions.
+      content: `You are a SQL query generator. Generate ${dialect.name} queries based on user questions.
 
 ${schema}
 
 Rules:
 1. Generate ONLY the SQL query, no explanations
-2. Use proper PostgreSQL syntax
+2. Use proper ${dialect.name} syntax
 3. Always use single quotes for strings
-4. For time-based queries, use NOW() and INTERVAL
+4. ${dialect.timeRule}
 5. Limit results to 100 max
 6. Order results meaningfully`,
     },
@@ -117,22 +190,7 @@ export async function executeSQLQuery(query) {
       throw new Error('Only SELECT queries are allowed');
     }
 
-    const { data, error } = await supabase.rpc('execute_sql', {
-      sql_query: query,
-    });
-
-    if (error) {
-      // If the RPC doesn't exist, try direct query execution
-      const { data: directData, error: directError } = await supabase
-        .from('alerts')
-        .select('*')
-        .limit(100);
-
-      if (directError) throw directError;
-      return directData;
-    }
-
-    return data;
+    return await executeQuery(query);
   } catch (error) {
     console.error('Error executing SQL query:', error);
     throw error;
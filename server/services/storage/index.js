@@ -0,0 +1,204 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Storage adapter: every read and write of the server goes through the
+ * operations exported here, which run on the backend selected by STORAGE_BACKEND.
+ *
+ * A backend module's default export implements all operations below with the
+ * same arguments and results; supabase.js documents each one. postgres.js and
+ * sqlite.js share their statements through sql.js.
+ */
+
+// Where data is stored: "supabase" (default), "postgres" (DATABASE_URL) or "sqlite" (SQLITE_PATH)
+const BACKEND = (process.env.STORAGE_BACKEND || 'supabase').trim().toLowerCase();
+
+// Backends are imported on first use, so only the selected one's driver has to be installed
+const BACKENDS = {
+  supabase: { dialect: 'postgresql', load: () => import('./supabase.js') },
+  postgres: { dialect: 'postgresql', package: 'pg', load: () => import('./postgres.js') },
+  sqlite: { dialect: 'sqlite', package: 'better-sqlite3', load: () => import('./sqlite.js') },
+};
+
+let loading = null;
+
+/**
+ * Import the selected backend once
+ * @returns {Promise<Object>} - The backend's operations
+ */
+function loadBackend() {
+  if (!loading) {
+    const backend = BACKENDS[BACKEND];
+
+    loading = backend
+      ? backend.load()
+        .then(module => module.default)
+        .catch((error) => {
+          if (error.code === 'ERR_MODULE_NOT_FOUND' && backend.package) {
+            error.message = `STORAGE_BACKEND=${BACKEND} needs the ${backend.package} package ` +
+              `(npm install ${backend.package}): ${error.message}`;
+          }
+          throw error;
+        })
+      : Promise.reject(new Error(
+        `Unknown STORAGE_BACKEND "${BACKEND}" (expected ${Object.keys(BACKENDS).join(', ')})`
+      ));
+  }
+
+  return loading;
+}
+
+function operation(name) {
+  return async (...args) => (await loadBackend())[name](...args);
+}
+
+/**
+ * Describe the selected backend
+ * @returns {Object} - backend name and the SQL dialect executeQuery() accepts
+ *   ('postgresql' or 'sqlite')
+ */
+export function getStorageInfo() {
+  return {
+    backend: BACKEND,
+    dialect: BACKENDS[BACKEND]?.dialect || null,
+  };
+}
+
+// Alerts
+export const insertAlert = operation('insertAlert');
+export const insertAlerts = operation('insertAlerts');
+export const insertNewAlerts = operation('insertNewAlerts');
+export const getExistingAlertKeys = operation('getExistingAlertKeys');
+export const alertExists = operation('alertExists');
+export const getTotalAlerts = operation('getTotalAlerts');
+export const getAlertCountsSince = operation('getAlertCountsSince');
+export const getRecentAlerts = operation('getRecentAlerts');
+export const getAlertsByUpload = operation('getAlertsByUpload');
+export const countAlertsByUpload = operation('countAlertsByUpload');
+export const deleteAlertsByIds = operation('deleteAlertsByIds');
+export const getAlertsForNormalization = operation('getAlertsForNormalization');
+export const updateAlertFields = operation('updateAlertFields');
+export const getAlertsByProblemIds = operation('getAlertsByProblemIds');
+export const updateAlertsAcknowledged = operation('updateAlertsAcknowledged');
+
+// Incidents and statistics
+export const getActiveAlerts = operation('getActiveAlerts');
+export const getIncidentsByProblemIds = operation('getIncidentsByProblemIds');
+export const upsertIncidents = operation('upsertIncidents');
+export const deleteIncidentsByProblemIds = operation('deleteIncidentsByProblemIds');
+export const getIncidentCounts = operation('getIncidentCounts');
+
+// Hosts inventory
+export const refreshHosts = operation('refreshHosts');
+export const getHosts = operation('getHosts');
+export const getHost = operation('getHost');
+export const getHostIncidents = operation('getHostIncidents');
+export const getHostAlerts = operation('getHostAlerts');
+
+// Vector search, embeddings and the embedding cache
+export const searchAlertsByEmbedding = operation('searchAlertsByEmbedding');
+export const ensureEmbeddingIndex = operation('ensureEmbeddingIndex');
+export const getAlertsToEmbed = operation('getAlertsToEmbed');
+export const countAlertsMissingEmbeddings = operation('countAlertsMissingEmbeddings');
+export const countAlertsOutdatedEmbeddings = operation('countAlertsOutdatedEmbeddings');
+export const getCachedEmbeddings = operation('getCachedEmbeddings');
+export const insertCachedEmbeddings = operation('insertCachedEmbeddings');
+export const countCachedEmbeddings = operation('countCachedEmbeddings');
+
+// Read-only SQL from the chat (in the dialect of getStorageInfo())
+export const executeQuery = operation('executeQuery');
+
+// Uploads and ingestion jobs
+export const insertFileUpload = operation('insertFileUpload');
+export const updateFileUpload = operation('updateFileUpload');
+export const getFileUpload = operation('getFileUpload');
+export const getUploadHistory = operation('getUploadHistory');
+export const getUploadsByContentHash = operation('getUploadsByContentHash');
+export const getUploadsByStatus = operation('getUploadsByStatus');
+export const getUploadsOverlappingRange = operation('getUploadsOverlappingRange');
+export const insertIngestionJob = operation('insertIngestionJob');
+export const updateIngestionJob = operation('updateIngestionJob');
+export const getIngestionJob = operation('getIngestionJob');
+export const getIngestionJobs = operation('getIngestionJobs');
+export const getUnfinishedIngestionJobs = operation('getUnfinishedIngestionJobs');
+
+// Normalization rules
+export const getNormalizationRules = operation('getNormalizationRules');
+export const insertNormalizationRule = operation('insertNormalizationRule');
+export const updateNormalizationRule = operation('updateNormalizationRule');
+export const deleteNormalizationRule = operation('deleteNormalizationRule');
+
+// Connector state
+export const getConnectorState = operation('getConnectorState');
+export const saveConnectorState = operation('saveConnectorState');
+
+// Syslog
+export const insertSyslogMessages = operation('insertSyslogMessages');
+export const getSyslogMessages = operation('getSyslogMessages');
+export const deleteSyslogMessagesBefore = operation('deleteSyslogMessagesBefore');
+
+// Schema migrations (see services/migrations.js)
+export const getAppliedMigrations = operation('getAppliedMigrations');
+export const runMigration = operation('runMigration');
+
+export default {
+  getStorageInfo,
+  insertAlert,
+  insertAlerts,
+  insertNewAlerts,
+  getExistingAlertKeys,
+  alertExists,
+  getTotalAlerts,
+  getAlertCountsSince,
+  getRecentAlerts,
+  getAlertsByUpload,
+  countAlertsByUpload,
+  deleteAlertsByIds,
+  getAlertsForNormalization,
+  updateAlertFields,
+  getAlertsByProblemIds,
+  updateAlertsAcknowledged,
+  getActiveAlerts,
+  getIncidentsByProblemIds,
+  upsertIncidents,
+  deleteIncidentsByProblemIds,
+  getIncidentCounts,
+  refreshHosts,
+  getHosts,
+  getHost,
+  getHostIncidents,
+  getHostAlerts,
+  searchAlertsByEmbedding,
+  ensureEmbeddingIndex,
+  getAlertsToEmbed,
+  countAlertsMissingEmbeddings,
+  countAlertsOutdatedEmbeddings,
+  getCachedEmbeddings,
+  insertCachedEmbeddings,
+  countCachedEmbeddings,
+  executeQuery,
+  insertFileUpload,
+  updateFileUpload,
+  getFileUpload,
+  getUploadHistory,
+  getUploadsByContentHash,
+  getUploadsByStatus,
+  getUploadsOverlappingRange,
+  insertIngestionJob,
+  updateIngestionJob,
+  getIngestionJob,
+  getIngestionJobs,
+  getUnfinishedIngestionJobs,
+  getNormalizationRules,
+  insertNormalizationRule,
+  updateNormalizationRule,
+  deleteNormalizationRule,
+  getConnectorState,
+  saveConnectorState,
+  insertSyslogMessages,
+  getSyslogMessages,
+  deleteSyslogMessagesBefore,
+  getAppliedMigrations,
+  runMigration,
+};
@@ -0,0 +1,505 @@
+/**
+ * Storage operations written in SQL, shared by the PostgreSQL and SQLite backends
+ * The statements stay within what both databases accept (ON CONFLICT, RETURNING,
+ * "?" placeholders); a backend supplies the connection and value conversion.
+ */
+
+// IDs per IN (...) list, and bound values per statement (SQLite allows 32766)
+const CHUNK_SIZE = 500;
+const MAX_PARAMS = 30000;
+
+// Columns of the alerts listed on a host's page (everything but the embedding)
+const HOST_ALERT_COLUMNS = 'id, problem_id, timestamp, status, alert_type, alert_category, ' +
+  'interface, severity, provider, description, acknowledged';
+
+/**
+ * Build the storage operations on top of a database connection
+ * @param {Object} driver - query(sql, params) resolving to the result rows,
+ *   encodeValue(column, value) converting a value for a column, and the
+ *   searchAlertsByEmbedding, ensureEmbeddingIndex, executeQuery, getAppliedMigrations
+ *   and runMigration operations, which depend on the database
+ * @returns {Object} - Storage operations, as exported by storage/index.js
+ */
+export function createSqlStorage(driver) {
+  const { query, encodeValue } = driver;
+
+  const quote = column => `"${column}"`;
+  const placeholders = count => new Array(count).fill('?').join(', ');
+
+  async function count(sql, params = []) {
+    const [row] = await query(`SELECT COUNT(*) AS count FROM ${sql}`, params);
+    return Number(row.count);
+  }
+
+  /**
+   * INSERT rows, in as many statements as the bound value limit needs
+   * onConflict is the unique key; matching rows are kept (ignoreDuplicates) or updated.
+   */
+  async function insertRows(table, rows, { onConflict = null, ignoreDuplicates = false, returning = '*' } = {}) {
+    if (rows.length === 0) return [];
+
+    const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+    const rowsPerStatement = Math.max(1, Math.floor(MAX_PARAMS / columns.length));
+    const conflictColumns = onConflict ? onConflict.split(',').map(c => c.trim()) : [];
+    const updated = columns.filter(column => !conflictColumns.includes(column));
+
+    let conflict = '';
+    if (onConflict) {
+      conflict = ignoreDuplicates || updated.length === 0
+        ? ` ON CONFLICT (${conflictColumns.map(quote).join(', ')}) DO NOTHING`
+        : ` ON CONFLICT (${conflictColumns.map(quote).join(', ')}) DO UPDATE SET ` +
+          updated.map(column => `${quote(column)} = excluded.${quote(column)}`).join(', ');
+    }
+
+    const inserted = [];
+    for (let i = 0; i < rows.length; i += rowsPerStatement) {
+      const batch = rows.slice(i, i + rowsPerStatement);
+      const params = batch.flatMap(row => columns.map(column => encodeValue(column, row[column] ?? null)));
+      const values = batch.map(() => `(${placeholders(columns.length)})`).join(', ');
+
+      inserted.push(...await query(
+        `INSERT INTO ${table} (${columns.map(quote).join(', ')}) VALUES ${values}${conflict}` +
+          (returning ? ` RETURNING ${returning}` : ''),
+        params
+      ));
+    }
+
+    return inserted;
+  }
+
+  /**
+   * UPDATE the rows matching a WHERE clause and return them
+   */
+  async function updateRows(table, updates, where, whereParams) {
+    const columns = Object.keys(updates);
+    return query(
+      `UPDATE ${table} SET ${columns.map(column => `${quote(column)} = ?`).join(', ')} WHERE ${where} RETURNING *`,
+      [...columns.map(column => encodeValue(column, updates[column] ?? null)), ...whereParams]
+    );
+  }
+
+  /**
+   * Run a statement once per chunk of values for its IN (...) list, marked "IN (:list)"
+   */
+  async function inChunks(sql, values, params = []) {
+    const rows = [];
+    for (let i = 0; i < values.length; i += CHUNK_SIZE) {
+      const chunk = values.slice(i, i + CHUNK_SIZE);
+      rows.push(...await query(sql.replace(':list', placeholders(chunk.length)), [...params, ...chunk]));
+    }
+    return rows;
+  }
+
+  function notFound(what, id) {
+    const error = new Error(`${what} ${id} not found`);
+    error.status = 404;
+    return error;
+  }
+
+  return {
+    async insertAlert(alert) {
+      const [row] = await insertRows('alerts', [alert]);
+      return row;
+    },
+
+    insertAlerts(alerts) {
+      return insertRows('alerts', alerts);
+    },
+
+    insertNewAlerts(alerts) {
+      return insertRows('alerts', alerts, {
+        onConflict: 'problem_id,status',
+        ignoreDuplicates: true,
+        returning: 'problem_id, status',
+      });
+    },
+
+    getExistingAlertKeys(problemIds) {
+      return inChunks(
+        'SELECT problem_id, status FROM alerts WHERE problem_id IN (:list)',
+        [...new Set(problemIds.filter(Boolean))]
+      );
+    },
+
+    async alertExists(problemId, status) {
+      const rows = await query('SELECT id FROM alerts WHERE problem_id = ? AND status = ? LIMIT 1', [problemId, status]);
+      return rows.length > 0;
+    },
+
+    getTotalAlerts() {
+      return count('alerts');
+    },
+
+    async getAlertCountsSince(since) {
+      // Same statement as the alert_counts_since() function of migrations/postgresql
+      const rows = await query(
+        `WITH recent AS (
+           SELECT status, severity, alert_type, alert_category, provider FROM alerts WHERE timestamp >= ?
+         )
+         SELECT 'status' AS dimension, status AS value, COUNT(*) AS count FROM recent GROUP BY status
+         UNION ALL SELECT 'severity', severity, COUNT(*) FROM recent GROUP BY severity
+         UNION ALL SELECT 'alert_type', alert_type, COUNT(*) FROM recent GROUP BY alert_type
+         UNION ALL SELECT 'alert_category', alert_category, COUNT(*) FROM recent GROUP BY alert_category
+         UNION ALL SELECT 'provider', provider, COUNT(*) FROM recent GROUP BY provider`,
+        [new Date(since).toISOString()]
+      );
+
+      return rows.map(row => ({ ...row, count: Number(row.count) }));
+    },
+
+    async getActiveAlerts(limit = 100) {
+      const rows = await query("SELECT * FROM incidents WHERE status = 'open' ORDER BY opened_at DESC LIMIT ?", [limit]);
+      return rows.map(incident => ({
+        ...incident,
+        status: 'PROBLEM',
+        timestamp: incident.opened_at,
+      }));
+    },
+
+    getIncidentsByProblemIds(problemIds) {
+      return inChunks('SELECT * FROM incidents WHERE problem_id IN (:list)', problemIds);
+    },
+
+    upsertIncidents(incidents) {
+      return insertRows('incidents', incidents, { onConflict: 'problem_id' });
+    },
+
+    async deleteIncidentsByProblemIds(problemIds) {
+      await inChunks('DELETE FROM incidents WHERE problem_id IN (:list)', problemIds);
+    },
+
+    async getIncidentCounts() {
+      const rows = await query('SELECT status, COUNT(*) AS count FROM incidents GROUP BY status');
+      const counts = { open: 0, resolved: 0 };
+      for (const row of rows) {
+        if (row.status in counts) counts[row.status] = Number(row.count);
+      }
+      return counts;
+    },
+
+    getRecentAlerts(limit = 50, since = null) {
+      return since
+        ? query('SELECT * FROM alerts WHERE timestamp >= ? ORDER BY timestamp DESC LIMIT ?', [new Date(since).toISOString(), limit])
+        : query('SELECT * FROM alerts ORDER BY timestamp DESC LIMIT ?', [limit]);
+    },
+
+    searchAlertsByEmbedding: driver.searchAlertsByEmbedding,
+
+    ensureEmbeddingIndex: driver.ensureEmbeddingIndex,
+
+    executeQuery: driver.executeQuery,
+
+    async insertFileUpload(uploadInfo) {
+      const [row] = await insertRows('file_uploads', [uploadInfo]);
+      return row;
+    },
+
+    async updateFileUpload(id, updates) {
+      const [row] = await updateRows('file_uploads', updates, 'id = ?', [id]);
+      if (!row) throw notFound('File upload', id);
+      return row;
+    },
+
+    async getFileUpload(id) {
+      const [row] = await query('SELECT * FROM file_uploads WHERE id = ?', [id]);
+      return row || null;
+    },
+
+    getAlertsByUpload(uploadId, limit = 500) {
+      return query('SELECT id, problem_id, host FROM alerts WHERE upload_id = ? ORDER BY id LIMIT ?', [uploadId, limit]);
+    },
+
+    countAlertsByUpload(uploadId) {
+      return count('alerts WHERE upload_id = ?', [uploadId]);
+    },
+
+    async deleteAlertsByIds(ids) {
+      await inChunks('DELETE FROM alerts WHERE id IN (:list)', ids);
+    },
+
+    async refreshHosts(hostNames) {
+      const names = [...new Set(hostNames.filter(Boolean))];
+      let refreshed = 0;
+
+      for (let i = 0; i < names.length; i += CHUNK_SIZE) {
+        const chunk = names.slice(i, i + CHUNK_SIZE);
+        const list = placeholders(chunk.length);
+
+        const [counters, incidents, interfaces] = await Promise.all([
+          query(
+            `SELECT host, MIN(timestamp) AS first_seen, MAX(timestamp) AS last_seen, COUNT(*) AS total_alerts
+             FROM alerts WHERE host IN (${list}) GROUP BY host`,
+            chunk
+          ),
+          query(
+            `SELECT host, COUNT(*) AS total_incidents,
+               SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) AS active_problems
+             FROM incidents WHERE host IN (${list}) GROUP BY host`,
+            chunk
+          ),
+          query(
+            `SELECT DISTINCT host, interface FROM alerts
+             WHERE host IN (${list}) AND interface IS NOT NULL ORDER BY interface`,
+            chunk
+          ),
+        ]);
+
+        const incidentsByHost = new Map(incidents.map(row => [row.host, row]));
+        const updatedAt = new Date().toISOString();
+        const rows = counters.map(row => ({
+          host_name: row.host,
+          first_seen: row.first_seen,
+          last_seen: row.last_seen,
+          total_alerts: Number(row.total_alerts),
+          total_incidents: Number(incidentsByHost.get(row.host)?.total_incidents || 0),
+          active_problems: Number(incidentsByHost.get(row.host)?.active_problems || 0),
+          interfaces: interfaces.filter(r => r.host === row.host).map(r => r.interface),
+          updated_at: updatedAt,
+        }));
+
+        // Hosts left without alerts (after a revert or a host alias rule) are removed
+        const stored = new Set(rows.map(row => row.host_name));
+        const removed = await inChunks(
+          'DELETE FROM hosts WHERE host_name IN (:list) RETURNING host_name',
+          chunk.filter(name => !stored.has(name))
+        );
+
+        await insertRows('hosts', rows, { onConflict: 'host_name', returning: null });
+        refreshed += rows.length + removed.length;
+      }
+
+      return refreshed;
+    },
+
+    async getHosts({ search = null, sort = 'last_seen', order = 'desc', limit = 50, offset = 0 } = {}) {
+      const where = search ? "WHERE LOWER(host_name) LIKE ? ESCAPE '\\'" : '';
+      const params = search ? [`%${search.toLowerCase().replace(/[\\%_]/g, '\\$&')}%`] : [];
+
+      const [total, hosts] = await Promise.all([
+        count(`hosts ${where}`, params),
+        query(
+          `SELECT * FROM hosts ${where}
+           ORDER BY ${quote(sort)} ${order === 'asc' ? 'ASC' : 'DESC'} NULLS LAST, host_name
+           LIMIT ? OFFSET ?`,
+          [...params, limit, offset]
+        ),
+      ]);
+
+      return { hosts, total };
+    },
+
+    async getHost(hostName) {
+      const [row] = await query('SELECT * FROM hosts WHERE host_name = ?', [hostName]);
+      return row || null;
+    },
+
+    getHostIncidents(hostName, { status = null, limit = 50 } = {}) {
+      return query(
+        `SELECT * FROM incidents WHERE host = ?${status ? ' AND status = ?' : ''}
+         ORDER BY opened_at DESC NULLS LAST LIMIT ?`,
+        status ? [hostName, status, limit] : [hostName, limit]
+      );
+    },
+
+    getHostAlerts(hostName, limit = 20) {
+      return query(
+        `SELECT ${HOST_ALERT_COLUMNS} FROM alerts WHERE host = ?
+         ORDER BY timestamp DESC NULLS LAST LIMIT ?`,
+        [hostName, limit]
+      );
+    },
+
+    getUploadHistory(limit = 10) {
+      return query('SELECT * FROM file_uploads ORDER BY upload_date DESC LIMIT ?', [limit]);
+    },
+
+    getUploadsByContentHash(contentHash) {
+      return query(
+        "SELECT * FROM file_uploads WHERE content_hash = ? AND status = 'completed' ORDER BY upload_date",
+        [contentHash]
+      );
+    },
+
+    getUploadsByStatus(status) {
+      return query('SELECT * FROM file_uploads WHERE status = ? ORDER BY upload_date', [status]);
+    },
+
+    getUploadsOverlappingRange(firstMessageId, lastMessageId) {
+      return query(
+        `SELECT * FROM file_uploads
+         WHERE status = 'completed' AND first_message_id <= ? AND last_message_id >= ?
+         ORDER BY upload_date DESC`,
+        [lastMessageId, firstMessageId]
+      );
+    },
+
+    getNormalizationRules() {
+      return query('SELECT * FROM normalization_rules ORDER BY rule_type, priority DESC, id');
+    },
+
+    async insertNormalizationRule(rule) {
+      const [row] = await insertRows('normalization_rules', [rule]);
+      return row;
+    },
+
+    async updateNormalizationRule(id, updates) {
+      const [row] = await updateRows(
+        'normalization_rules',
+        { ...updates, updated_at: new Date().toISOString() },
+        'id = ?',
+        [id]
+      );
+      return row || null;
+    },
+
+    async deleteNormalizationRule(id) {
+      const rows = await query('DELETE FROM normalization_rules WHERE id = ? RETURNING id', [id]);
+      return rows.length > 0;
+    },
+
+    getAlertsForNormalization(afterId = 0, limit = 1000) {
+      return query(
+        `SELECT id, problem_id, host, severity, alert_type, raw_host, raw_severity, raw_alert_type
+         FROM alerts WHERE id > ? ORDER BY id LIMIT ?`,
+        [afterId, limit]
+      );
+    },
+
+    async updateAlertFields(alerts) {
+      await insertRows('alerts', alerts, { onConflict: 'id', returning: null });
+    },
+
+    getAlertsByProblemIds(problemIds) {
+      return inChunks(
+        `SELECT problem_id, status, timestamp, host, alert_type, alert_category, provider, interface,
+           severity, duration_seconds
+         FROM alerts WHERE problem_id IN (:list)`,
+        problemIds
+      );
+    },
+
+    getAlertsToEmbed(model, version, afterId = 0, limit = 100) {
+      return query(
+        `SELECT id, host, alert_type, description, interface, status, severity
+         FROM alerts
+         WHERE (embedding IS NULL OR embedding_model IS NULL OR embedding_model <> ?
+           OR embedding_version IS NULL OR embedding_version <> ?)
+           AND id > ?
+         ORDER BY id LIMIT ?`,
+        [model, version, afterId, limit]
+      );
+    },
+
+    countAlertsMissingEmbeddings(model) {
+      return count(
+        'alerts WHERE embedding IS NULL OR embedding_model IS NULL OR embedding_model <> ?',
+        [model]
+      );
+    },
+
+    countAlertsOutdatedEmbeddings(model, version) {
+      return count(
+        `alerts WHERE embedding IS NOT NULL AND embedding_model = ?
+           AND (embedding_version IS NULL OR embedding_version <> ?)`,
+        [model, version]
+      );
+    },
+
+    getCachedEmbeddings(model, hashes) {
+      return inChunks(
+        'SELECT text_hash, embedding FROM embedding_cache WHERE model = ? AND text_hash IN (:list)',
+        [...new Set(hashes)],
+        [model]
+      );
+    },
+
+    async insertCachedEmbeddings(entries) {
+      await insertRows('embedding_cache', entries, {
+        onConflict: 'model,text_hash',
+        ignoreDuplicates: true,
+        returning: null,
+      });
+    },
+
+    countCachedEmbeddings(model) {
+      return count('embedding_cache WHERE model = ?', [model]);
+    },
+
+    async insertIngestionJob(job) {
+      const [row] = await insertRows('ingestion_jobs', [job]);
+      return row;
+    },
+
+    async updateIngestionJob(id, updates) {
+      const [row] = await updateRows(
+        'ingestion_jobs',
+        { ...updates, updated_at: new Date().toISOString() },
+        'id = ?',
+        [id]
+      );
+      if (!row) throw notFound('Ingestion job', id);
+      return row;
+    },
+
+    async getIngestionJob(id) {
+      const [row] = await query('SELECT * FROM ingestion_jobs WHERE id = ?', [id]);
+      return row || null;
+    },
+
+    getIngestionJobs(limit = 10) {
+      return query('SELECT * FROM ingestion_jobs ORDER BY created_at DESC LIMIT ?', [limit]);
+    },
+
+    getUnfinishedIngestionJobs() {
+      return query("SELECT * FROM ingestion_jobs WHERE status IN ('queued', 'running') ORDER BY id");
+    },
+
+    async getConnectorState(name) {
+      const [row] = await query('SELECT * FROM connector_state WHERE name = ?', [name]);
+      return row || null;
+    },
+
+    async saveConnectorState(name, updates) {
+      const [row] = await insertRows(
+        'connector_state',
+        [{ name, ...updates, updated_at: new Date().toISOString() }],
+        { onConflict: 'name' }
+      );
+      return row;
+    },
+
+    async updateAlertsAcknowledged(problemIds, acknowledged) {
+      await inChunks(
+        'UPDATE alerts SET acknowledged = ? WHERE problem_id IN (:list)',
+        problemIds,
+        [encodeValue('acknowledged', acknowledged)]
+      );
+    },
+
+    async insertSyslogMessages(messages) {
+      await insertRows('syslog_messages', messages, { returning: null });
+    },
+
+    getSyslogMessages(host, from, to, limit = 50) {
+      return query(
+        `SELECT timestamp, host, raw_host, source_ip, facility, severity, app_name, message
+         FROM syslog_messages
+         WHERE host = ? AND timestamp >= ? AND timestamp <= ?
+         ORDER BY timestamp LIMIT ?`,
+        [host, from, to, limit]
+      );
+    },
+
+    async deleteSyslogMessagesBefore(cutoff) {
+      await query('DELETE FROM syslog_messages WHERE timestamp < ?', [cutoff]);
+    },
+
+    getAppliedMigrations: driver.getAppliedMigrations,
+
+    runMigration: driver.runMigration,
+  };
+}
+
+export default {
+  createSqlStorage,
+};
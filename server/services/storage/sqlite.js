@@ -0,0 +1,229 @@
+import fs from 'fs';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { createSqlStorage } from './sql.js';
+
+/**
+ * SQLite storage backend: the whole database in one local file, for running the
+ * dashboard on a laptop or an air-gapped box. Tables are created by the migrations
+ * in migrations/sqlite; vector search compares the query with every stored vector
+ * of its model.
+ */
+
+// Database file, created when missing
+const SQLITE_PATH = process.env.SQLITE_PATH || './data/alerts.db';
+
+// Columns stored in other types than the ones callers use
+const BOOLEAN_COLUMNS = new Set(['acknowledged', 'opened_estimated', 'enabled']);
+const JSON_COLUMNS = new Set(['tags', 'files', 'cursor', 'interfaces']);
+const TIMESTAMP_COLUMNS = new Set([
+  'timestamp', 'event_time', 'sent_at', 'created_at', 'upload_date', 'date_range_start',
+  'date_range_end', 'reverted_at', 'opened_at', 'resolved_at', 'updated_at', 'started_at',
+  'finished_at', 'last_run_at', 'first_seen', 'last_seen', 'received_at',
+]);
+
+// Applied migrations, one row per version (see services/migrations.js)
+const MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+  )
+`;
+
+let db = null;
+
+function getDatabase() {
+  if (!db) {
+    fs.mkdirSync(path.dirname(path.resolve(SQLITE_PATH)), { recursive: true });
+
+    db = new Database(SQLITE_PATH);
+    db.pragma('journal_mode = WAL');
+    db.pragma('busy_timeout = 5000');
+  }
+
+  return db;
+}
+
+/**
+ * Run a statement with "?" placeholders
+ * @param {string} sql - Statement
+ * @param {Array} params - Values of the placeholders
+ * @returns {Promise<Array>} - Result rows
+ */
+async function query(sql, params = []) {
+  const statement = getDatabase().prepare(sql);
+  const values = params.map(value => encodeValue(null, value));
+
+  if (!statement.reader) {
+    statement.run(values);
+    return [];
+  }
+  return statement.all(values).map(decodeRow);
+}
+
+/**
+ * Convert a value for a column: vectors to float32 blobs, booleans to 0/1,
+ * JSON to text and timestamps to ISO 8601 in UTC
+ */
+function encodeValue(column, value) {
+  if (value === null || value === undefined) return null;
+  if (column === 'embedding' && Array.isArray(value)) {
+    return Buffer.from(Float32Array.from(value).buffer);
+  }
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object' && !Buffer.isBuffer(value)) return JSON.stringify(value);
+
+  if (TIMESTAMP_COLUMNS.has(column) && typeof value === 'string') {
+    const date = new Date(value);
+    return isNaN(date) ? value : date.toISOString();
+  }
+  return value;
+}
+
+function decodeRow(row) {
+  for (const [column, value] of Object.entries(row)) {
+    if (value === null) continue;
+
+    if (column === 'embedding' && Buffer.isBuffer(value)) {
+      row[column] = Array.from(toVector(value));
+    } else if (BOOLEAN_COLUMNS.has(column)) {
+      row[column] = Boolean(value);
+    } else if (JSON_COLUMNS.has(column) && typeof value === 'string') {
+      try {
+        row[column] = JSON.parse(value);
+      } catch {
+        // Leave text that is not JSON as it is
+      }
+    }
+  }
+  return row;
+}
+
+/**
+ * View a float32 blob as a vector (copied when the blob is not 4-byte aligned)
+ */
+function toVector(buffer) {
+  if (buffer.byteOffset % 4 === 0) {
+    return new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+  }
+  return new Float32Array(Uint8Array.from(buffer).buffer);
+}
+
+/**
+ * Perform vector similarity search by comparing the query with each stored vector
+ * @param {Array} embedding - Query embedding vector
+ * @param {number} matchThreshold - Similarity threshold (0-1)
+ * @param {number} matchCount - Number of results to return
+ * @param {string} model - Embedding model id of the query; other vectors are ignored
+ * @param {number} version - Alert text template version; vectors of other versions are ignored
+ * @returns {Promise<Array>} - Matching alerts with similarity scores
+ */
+async function searchAlertsByEmbedding(
+  embedding,
+  matchThreshold = 0.7,
+  matchCount = 10,
+  model = 'text-embedding-3-small',
+  version = null
+) {
+  const target = Float32Array.from(embedding);
+  const targetNorm = Math.sqrt(target.reduce((sum, value) => sum + value * value, 0));
+  const matches = [];
+
+  const rows = getDatabase()
+    .prepare(
+      `SELECT id, problem_id, host, description, timestamp, status, embedding
+       FROM alerts WHERE embedding_model = ? AND embedding_version = ? AND embedding IS NOT NULL`
+    )
+    .iterate(model, version);
+
+  for (const { embedding: blob, ...alert } of rows) {
+    // Only vectors of the query's dimensions are comparable
+    const vector = toVector(blob);
+    if (vector.length !== target.length) continue;
+
+    let dot = 0;
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) {
+      dot += vector[i] * target[i];
+      norm += vector[i] * vector[i];
+    }
+
+    const similarity = norm > 0 && targetNorm > 0 ? dot / (Math.sqrt(norm) * targetNorm) : 0;
+    if (similarity > matchThreshold) {
+      matches.push({ ...alert, similarity });
+    }
+  }
+
+  return matches
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, matchCount);
+}
+
+/**
+ * Vector search compares the query with every stored vector: there is no index to create
+ * @returns {Promise<boolean>} - Always true (nothing is missing)
+ */
+async function ensureEmbeddingIndex() {
+  return true;
+}
+
+/**
+ * Execute a single read-only SQL statement
+ * @param {string} sql - SELECT query to execute
+ * @returns {Promise<Array>} - Query results
+ */
+async function executeQuery(sql) {
+  const statement = getDatabase().prepare(sql);
+
+  if (!statement.readonly || !statement.reader) {
+    const error = new Error('Only read-only queries are allowed');
+    error.status = 400;
+    throw error;
+  }
+  return statement.all().map(decodeRow);
+}
+
+/**
+ * Get the migrations applied to the database
+ * @returns {Promise<Array>} - version, name and applied_at, oldest first (empty before the first migration)
+ */
+async function getAppliedMigrations() {
+  const database = getDatabase();
+  const tracked = database
+    .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'")
+    .get();
+  if (!tracked) return [];
+
+  return database.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+/**
+ * Apply or revert a migration and record it, in one transaction
+ * @param {Object} migration - version, name and sql of the up or down file
+ * @param {string} direction - 'up' or 'down'
+ */
+async function runMigration({ version, name, sql }, direction = 'up') {
+  const database = getDatabase();
+
+  database.transaction(() => {
+    database.exec(MIGRATIONS_TABLE);
+    database.exec(sql);
+    if (direction === 'up') {
+      database.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(version, name);
+    } else {
+      database.prepare('DELETE FROM schema_migrations WHERE version = ?').run(version);
+    }
+  })();
+}
+
+export default createSqlStorage({
+  query,
+  encodeValue,
+  searchAlertsByEmbedding,
+  ensureEmbeddingIndex,
+  executeQuery,
+  getAppliedMigrations,
+  runMigration,
+});
@@ -0,0 +1,1116 @@
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * Supabase storage backend: tables through PostgREST, vector search through the
+ * match_alerts function (see migrations/postgresql). Migrations run over the
+ * project's direct PostgreSQL connection (DATABASE_URL), since PostgREST cannot
+ * change the schema.
+ */
+
+let client = null;
+
+/**
+ * Get the Supabase client, created on first use so the server starts without credentials
+ * @returns {Object} - Supabase client
+ */
+export function getClient() {
+  if (!client) {
+    const supabaseUrl = process.env.SUPABASE_URL;
+    const supabaseKey = process.env.SUPABASE_KEY;
+
+    if (!supabaseUrl || !supabaseKey) {
+      const error = new Error('Missing Supabase credentials in environment variables (SUPABASE_URL, SUPABASE_KEY)');
+      error.status = 503;
+      throw error;
+    }
+
+    client = createClient(supabaseUrl, supabaseKey);
+  }
+
+  return client;
+}
+
+/**
+ * Insert a single alert into the database
+ * @param {Object} alert - Alert object to insert
+ * @returns {Promise<Object>} - Inserted alert
+ */
+export async function insertAlert(alert) {
+  const { data, error } = await getClient()
+    .from('alerts')
+    .insert([alert])
+    .select()
+    .single();
+
+  if (error) {
+    console.error('Error inserting alert:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Insert multiple alerts into the database
+ * @param {Array} alerts - Array of alert objects
+ * @returns {Promise<Array>} - Inserted alerts
+ */
+export async function insertAlerts(alerts) {
+  const { data, error } = await getClient()
+    .from('alerts')
+    .insert(alerts)
+    .select();
+
+  if (error) {
+    console.error('Error inserting alerts:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Insert alert events, skipping any whose (problem_id, status) is already stored
+ * Uses ON CONFLICT DO NOTHING, so concurrent uploads of the same events are safe.
+ * @param {Array} alerts - Array of alert objects
+ * @returns {Promise<Array>} - problem_id and status of the rows actually inserted
+ */
+export async function insertNewAlerts(alerts) {
+  if (alerts.length === 0) return [];
+
+  const { data, error } = await getClient()
+    .from('alerts')
+    .upsert(alerts, { onConflict: 'problem_id,status', ignoreDuplicates: true })
+    .select('problem_id, status');
+
+  if (error) {
+    console.error('Error inserting alerts:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Get the stored events of a set of problems
+ * IDs are looked up in chunks to keep request URLs short.
+ * @param {Array<string>} problemIds - Problem IDs to look up
+ * @returns {Promise<Array>} - problem_id and status of every stored event
+ */
+export async function getExistingAlertKeys(problemIds) {
+  const ids = [...new Set(problemIds.filter(Boolean))];
+  const chunkSize = 200;
+  const rows = [];
+
+  for (let i = 0; i < ids.length; i += chunkSize) {
+    const { data, error } = await getClient()
+      .from('alerts')
+      .select('problem_id, status')
+      .in('problem_id', ids.slice(i, i + chunkSize));
+
+    if (error) throw error;
+    rows.push(...data);
+  }
+
+  return rows;
+}
+
+/**
+ * Check if an alert event exists by problem_id and status
+ * A problem produces two events (PROBLEM and OK), so both keys are needed
+ * @param {string} problemId - Problem ID to check
+ * @param {string} status - Event status ('PROBLEM' or 'OK')
+ * @returns {Promise<boolean>} - True if exists
+ */
+export async function alertExists(problemId, status) {
+  const { data, error } = await getClient()
+    .from('alerts')
+    .select('id')
+    .eq('problem_id', problemId)
+    .eq('status', status)
+    .maybeSingle();
+
+  return data !== null;
+}
+
+/**
+ * Get total alert count
+ * @returns {Promise<number>} - Total count
+ */
+export async function getTotalAlerts() {
+  const { count, error } = await getClient()
+    .from('alerts')
+    .select('*', { count: 'exact', head: true });
+
+  if (error) throw error;
+  return count;
+}
+
+/**
+ * Count alert events since a point in time, in the database (alert_counts_since)
+ * @param {Date|string} since - Start of the period
+ * @returns {Promise<Array>} - dimension ('status', 'severity', 'alert_type',
+ *   'alert_category' or 'provider'), value (null when unset) and count rows
+ */
+export async function getAlertCountsSince(since) {
+  const { data, error } = await getClient()
+    .rpc('alert_counts_since', { since: new Date(since).toISOString() });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get active (unresolved) alerts
+ * An alert is active while its incident has no resolution event
+ * @param {number} limit - Number of incidents to return, latest first
+ * @returns {Promise<Array>} - Open incidents shaped like alerts
+ */
+export async function getActiveAlerts(limit = 100) {
+  const { data, error } = await getClient()
+    .from('incidents')
+    .select('*')
+    .eq('status', 'open')
+    .order('opened_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+
+  return data.map(incident => ({
+    ...incident,
+    status: 'PROBLEM',
+    timestamp: incident.opened_at,
+  }));
+}
+
+/**
+ * Get incidents for a set of problem IDs
+ * @param {Array<string>} problemIds - Problem IDs to look up
+ * @returns {Promise<Array>} - Matching incidents
+ */
+export async function getIncidentsByProblemIds(problemIds) {
+  if (problemIds.length === 0) return [];
+
+  const { data, error } = await getClient()
+    .from('incidents')
+    .select('*')
+    .in('problem_id', problemIds);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Insert or update incidents keyed by problem_id
+ * @param {Array} incidents - Incident rows
+ * @returns {Promise<Array>} - Stored incidents
+ */
+export async function upsertIncidents(incidents) {
+  const { data, error } = await getClient()
+    .from('incidents')
+    .upsert(incidents, { onConflict: 'problem_id' })
+    .select();
+
+  if (error) {
+    console.error('Error upserting incidents:', error);
+    throw error;
+  }
+
+  return data;
+}
+
+/**
+ * Delete the incidents of a set of problems
+ * @param {Array<string>} problemIds - Problem IDs whose incidents are removed
+ */
+export async function deleteIncidentsByProblemIds(problemIds) {
+  if (problemIds.length === 0) return;
+
+  const { error } = await getClient()
+    .from('incidents')
+    .delete()
+    .in('problem_id', problemIds);
+
+  if (error) throw error;
+}
+
+/**
+ * Get incident counts by state
+ * @returns {Promise<Object>} - Open and resolved incident counts
+ */
+export async function getIncidentCounts() {
+  const [open, resolved] = await Promise.all(
+    ['open', 'resolved'].map(status =>
+      getClient()
+        .from('incidents')
+        .select('*', { count: 'exact', head: true })
+        .eq('status', status)
+    )
+  );
+
+  if (open.error) throw open.error;
+  if (resolved.error) throw resolved.error;
+
+  return { open: open.count, resolved: resolved.count };
+}
+
+/**
+ * Get recent alerts (last 50)
+ * @param {number} limit - Number of alerts to return
+ * @param {Date|string} since - Only alerts from this point in time on (all by default)
+ * @returns {Promise<Array>} - Recent alerts
+ */
+export async function getRecentAlerts(limit = 50, since = null) {
+  let request = getClient()
+    .from('alerts')
+    .select('*');
+
+  if (since) request = request.gte('timestamp', new Date(since).toISOString());
+
+  const { data, error } = await request
+    .order('timestamp', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Perform vector similarity search
+ * @param {Array} embedding - Query embedding vector
+ * @param {number} matchThreshold - Similarity threshold (0-1)
+ * @param {number} matchCount - Number of results to return
+ * @param {string} model - Embedding model id of the query; other vectors are ignored
+ * @param {number} version - Alert text template version; vectors of other versions are ignored
+ * @returns {Promise<Array>} - Matching alerts with similarity scores
+ */
+export async function searchAlertsByEmbedding(
+  embedding,
+  matchThreshold = 0.7,
+  matchCount = 10,
+  model = 'text-embedding-3-small',
+  version = null
+) {
+  const { data, error } = await getClient().rpc('match_alerts', {
+    query_embedding: embedding,
+    match_threshold: matchThreshold,
+    match_count: matchCount,
+    match_model: model,
+    match_version: version,
+  });
+
+  if (error) {
+    console.error('Error searching alerts:', error);
+    throw error;
+  }
+
+  // Rename alert_timestamp back to timestamp for consistency
+  return data?.map(item => ({
+    ...item,
+    timestamp: item.alert_timestamp
+  })) || [];
+}
+
+/**
+ * Create the vector index of an embedding model unless it exists (ensure_embedding_index)
+ * @param {string} model - Embedding model id
+ * @param {number} dimensions - Dimensions of the model's vectors
+ * @returns {Promise<boolean>} - False when the vectors are too large to index
+ */
+export async function ensureEmbeddingIndex(model, dimensions) {
+  const { data, error } = await getClient()
+    .rpc('ensure_embedding_index', { index_model: model, index_dims: dimensions });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Execute a read-only SQL query
+ * Needs an execute_sql(sql_query) function in the database; without it the
+ * latest 100 alerts are returned instead.
+ * @param {string} query - SELECT query to execute
+ * @returns {Promise<Array>} - Query results
+ */
+export async function executeQuery(query) {
+  const { data, error } = await getClient().rpc('execute_sql', {
+    sql_query: query,
+  });
+
+  if (error) {
+    // If the RPC doesn't exist, try direct query execution
+    const { data: directData, error: directError } = await getClient()
+      .from('alerts')
+      .select('*')
+      .limit(100);
+
+    if (directError) throw directError;
+    return directData;
+  }
+
+  return data;
+}
+
+/**
+ * Insert file upload record
+ * @param {Object} uploadInfo - Upload information
+ * @returns {Promise<Object>} - Inserted record
+ */
+export async function insertFileUpload(uploadInfo) {
+  const { data, error } = await getClient()
+    .from('file_uploads')
+    .insert([uploadInfo])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a file upload record
+ * @param {number} id - Upload ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} - Updated record
+ */
+export async function updateFileUpload(id, updates) {
+  const { data, error } = await getClient()
+    .from('file_uploads')
+    .update(updates)
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get a file upload record
+ * @param {number} id - Upload ID
+ * @returns {Promise<Object|null>} - Upload, or null when it does not exist
+ */
+export async function getFileUpload(id) {
+  const { data, error } = await getClient()
+    .from('file_uploads')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get the first alerts created by an upload
+ * Used to delete an upload's alerts page by page.
+ * @param {number} uploadId - Upload ID
+ * @param {number} limit - Page size
+ * @returns {Promise<Array>} - id, problem_id and host of the alerts
+ */
+export async function getAlertsByUpload(uploadId, limit = 500) {
+  const { data, error } = await getClient()
+    .from('alerts')
+    .select('id, problem_id, host')
+    .eq('upload_id', uploadId)
+    .order('id')
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Count the alerts created by an upload
+ * @param {number} uploadId - Upload ID
+ * @returns {Promise<number>} - Alerts linked to the upload
+ */
+export async function countAlertsByUpload(uploadId) {
+  const { count, error } = await getClient()
+    .from('alerts')
+    .select('*', { count: 'exact', head: true })
+    .eq('upload_id', uploadId);
+
+  if (error) throw error;
+  return count;
+}
+
+/**
+ * Delete alerts by ID
+ * @param {Array<number>} ids - Alert IDs
+ */
+export async function deleteAlertsByIds(ids) {
+  const chunkSize = 200;
+
+  for (let i = 0; i < ids.length; i += chunkSize) {
+    const { error } = await getClient()
+      .from('alerts')
+      .delete()
+      .in('id', ids.slice(i, i + chunkSize));
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Recompute the inventory rows of some hosts from their alerts and incidents
+ * Hosts left without alerts are removed. Runs in the database (refresh_hosts).
+ * @param {Array<string>} hostNames - Hosts whose alerts or incidents changed
+ * @returns {Promise<number>} - Number of hosts rows updated or removed
+ */
+export async function refreshHosts(hostNames) {
+  const names = [...new Set(hostNames.filter(Boolean))];
+  let refreshed = 0;
+
+  for (let i = 0; i < names.length; i += 200) {
+    const { data, error } = await getClient()
+      .rpc('refresh_hosts', { host_names: names.slice(i, i + 200) });
+
+    if (error) throw error;
+    refreshed += data;
+  }
+
+  return refreshed;
+}
+
+/**
+ * Get a page of the hosts inventory
+ * @param {Object} options - search (part of the host name), sort (column), order
+ *   ('asc' or 'desc'), limit and offset
+ * @returns {Promise<Object>} - hosts rows and the total number matching the search
+ */
+export async function getHosts({ search = null, sort = 'last_seen', order = 'desc', limit = 50, offset = 0 } = {}) {
+  let request = getClient()
+    .from('hosts')
+    .select('*', { count: 'exact' });
+
+  if (search) {
+    request = request.ilike('host_name', `%${search.replace(/[\\%_]/g, '\\$&')}%`);
+  }
+
+  const { data, error, count } = await request
+    .order(sort, { ascending: order === 'asc', nullsFirst: false })
+    .order('host_name')
+    .range(offset, offset + limit - 1);
+
+  if (error) throw error;
+  return { hosts: data, total: count };
+}
+
+/**
+ * Get the inventory row of a host
+ * @param {string} hostName - Host name
+ * @returns {Promise<Object|null>} - hosts row, or null when the host is unknown
+ */
+export async function getHost(hostName) {
+  const { data, error } = await getClient()
+    .from('hosts')
+    .select('*')
+    .eq('host_name', hostName)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get the incidents of a host, latest first
+ * @param {string} hostName - Host name
+ * @param {Object} options - status ('open' or 'resolved', all by default) and limit
+ * @returns {Promise<Array>} - Incident rows
+ */
+export async function getHostIncidents(hostName, { status = null, limit = 50 } = {}) {
+  let request = getClient()
+    .from('incidents')
+    .select('*')
+    .eq('host', hostName);
+
+  if (status) request = request.eq('status', status);
+
+  const { data, error } = await request
+    .order('opened_at', { ascending: false, nullsFirst: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get the latest alert events of a host (without embeddings)
+ * @param {string} hostName - Host name
+ * @param {number} limit - Number of events to return
+ * @returns {Promise<Array>} - Alert rows
+ */
+export async function getHostAlerts(hostName, limit = 20) {
+  const { data, error } = await getClient()
+    .from('alerts')
+    .select('id, problem_id, timestamp, status, alert_type, alert_category, interface, severity, provider, description, acknowledged')
+    .eq('host', hostName)
+    .order('timestamp', { ascending: false, nullsFirst: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get upload history
+ * @param {number} limit - Number of records to return
+ * @returns {Promise<Array>} - Upload history
+ */
+export async function getUploadHistory(limit = 10) {
+  const { data, error } = await getClient()
+    .from('file_uploads')
+    .select('*')
+    .order('upload_date', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get completed uploads with the same content hash, oldest first
+ * @param {string} contentHash - SHA-256 of the uploaded content
+ * @returns {Promise<Array>} - Matching uploads
+ */
+export async function getUploadsByContentHash(contentHash) {
+  const { data, error } = await getClient()
+    .from('file_uploads')
+    .select('*')
+    .eq('content_hash', contentHash)
+    .eq('status', 'completed')
+    .order('upload_date', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get uploads in a status, oldest first
+ * @param {string} status - e.g. 'processing'
+ * @returns {Promise<Array>} - Matching uploads
+ */
+export async function getUploadsByStatus(status) {
+  const { data, error } = await getClient()
+    .from('file_uploads')
+    .select('*')
+    .eq('status', status)
+    .order('upload_date', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get completed uploads whose Telegram message ID range intersects a range
+ * @param {number} firstMessageId - First message ID of the range
+ * @param {number} lastMessageId - Last message ID of the range
+ * @returns {Promise<Array>} - Overlapping uploads, newest first
+ */
+export async function getUploadsOverlappingRange(firstMessageId, lastMessageId) {
+  const { data, error } = await getClient()
+    .from('file_uploads')
+    .select('*')
+    .eq('status', 'completed')
+    .lte('first_message_id', lastMessageId)
+    .gte('last_message_id', firstMessageId)
+    .order('upload_date', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get all normalization rules
+ * @returns {Promise<Array>} - Rules ordered by type, then priority (highest first)
+ */
+export async function getNormalizationRules() {
+  const { data, error } = await getClient()
+    .from('normalization_rules')
+    .select('*')
+    .order('rule_type')
+    .order('priority', { ascending: false })
+    .order('id');
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Insert a normalization rule
+ * @param {Object} rule - rule_type, pattern, replacement, priority, enabled
+ * @returns {Promise<Object>} - Inserted rule
+ */
+export async function insertNormalizationRule(rule) {
+  const { data, error } = await getClient()
+    .from('normalization_rules')
+    .insert([rule])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a normalization rule
+ * @param {number} id - Rule ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object|null>} - Updated rule, or null if it does not exist
+ */
+export async function updateNormalizationRule(id, updates) {
+  const { data, error } = await getClient()
+    .from('normalization_rules')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete a normalization rule
+ * @param {number} id - Rule ID
+ * @returns {Promise<boolean>} - True if a rule was deleted
+ */
+export async function deleteNormalizationRule(id) {
+  const { data, error } = await getClient()
+    .from('normalization_rules')
+    .delete()
+    .eq('id', id)
+    .select('id');
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+/**
+ * Get a page of alerts with the fields normalization rules rewrite
+ * @param {number} afterId - Return alerts with a larger id (keyset pagination)
+ * @param {number} limit - Page size
+ * @returns {Promise<Array>} - Alerts ordered by id
+ */
+export async function getAlertsForNormalization(afterId = 0, limit = 1000) {
+  const { data, error } = await getClient()
+    .from('alerts')
+    .select('id, problem_id, host, severity, alert_type, raw_host, raw_severity, raw_alert_type')
+    .gt('id', afterId)
+    .order('id')
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Write normalized fields back to existing alerts
+ * @param {Array} alerts - Rows with id and the columns to change
+ */
+export async function updateAlertFields(alerts) {
+  const { error } = await getClient()
+    .from('alerts')
+    .upsert(alerts, { onConflict: 'id' });
+
+  if (error) {
+    console.error('Error updating alerts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get all events of a set of problems
+ * @param {Array<string>} problemIds - Problem IDs to look up
+ * @returns {Promise<Array>} - PROBLEM and OK events (without embeddings)
+ */
+export async function getAlertsByProblemIds(problemIds) {
+  if (problemIds.length === 0) return [];
+
+  const { data, error } = await getClient()
+    .from('alerts')
+    .select(
+      'problem_id, status, timestamp, host, alert_type, alert_category, provider, interface, severity, duration_seconds'
+    )
+    .in('problem_id', problemIds);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get a page of alerts to embed: no embedding, or one from another model or template version
+ * @param {string} model - Current embedding model id
+ * @param {number} version - Current template version
+ * @param {number} afterId - Return alerts with a larger id (keyset pagination)
+ * @param {number} limit - Page size
+ * @returns {Promise<Array>} - Alerts with the fields that are embedded
+ */
+export async function getAlertsToEmbed(model, version, afterId = 0, limit = 100) {
+  const { data, error } = await getClient()
+    .from('alerts')
+    .select('id, host, alert_type, description, interface, status, severity')
+    .or(`embedding.is.null,embedding_model.is.null,embedding_model.neq."${model}",` +
+      `embedding_version.is.null,embedding_version.neq.${version}`)
+    .gt('id', afterId)
+    .order('id')
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Count alerts without an embedding from the current model
+ * @param {string} model - Current embedding model id
+ * @returns {Promise<number>} - Alerts RAG cannot find yet
+ */
+export async function countAlertsMissingEmbeddings(model) {
+  const { count, error } = await getClient()
+    .from('alerts')
+    .select('*', { count: 'exact', head: true })
+    .or(`embedding.is.null,embedding_model.is.null,embedding_model.neq."${model}"`);
+
+  if (error) throw error;
+  return count;
+}
+
+/**
+ * Count alerts embedded by the current model from an older text template
+ * @param {string} model - Current embedding model id
+ * @param {number} version - Current template version
+ * @returns {Promise<number>} - Alerts searchable but waiting to be re-embedded
+ */
+export async function countAlertsOutdatedEmbeddings(model, version) {
+  const { count, error } = await getClient()
+    .from('alerts')
+    .select('*', { count: 'exact', head: true })
+    .not('embedding', 'is', null)
+    .eq('embedding_model', model)
+    .or(`embedding_version.is.null,embedding_version.neq.${version}`);
+
+  if (error) throw error;
+  return count;
+}
+
+/**
+ * Look up cached embeddings by text hash
+ * Hashes are 64 characters, so they are sent 100 at a time to keep URLs short.
+ * @param {string} model - Embedding model id the vectors were made with
+ * @param {Array<string>} hashes - SHA-256 hashes of embedded texts
+ * @returns {Promise<Array>} - text_hash and embedding of the cached entries
+ */
+export async function getCachedEmbeddings(model, hashes) {
+  const unique = [...new Set(hashes)];
+  const chunkSize = 100;
+  const rows = [];
+
+  for (let i = 0; i < unique.length; i += chunkSize) {
+    const { data, error } = await getClient()
+      .from('embedding_cache')
+      .select('text_hash, embedding')
+      .eq('model', model)
+      .in('text_hash', unique.slice(i, i + chunkSize));
+
+    if (error) throw error;
+    rows.push(...data);
+  }
+
+  return rows;
+}
+
+/**
+ * Store embeddings in the cache, keeping entries that already exist
+ * @param {Array} entries - model, text_hash and embedding of each vector
+ */
+export async function insertCachedEmbeddings(entries) {
+  if (entries.length === 0) return;
+
+  const { error } = await getClient()
+    .from('embedding_cache')
+    .upsert(entries, { onConflict: 'model,text_hash', ignoreDuplicates: true });
+
+  if (error) {
+    console.error('Error caching embeddings:', error);
+    throw error;
+  }
+}
+
+/**
+ * Count cached embeddings of a model
+ * @param {string} model - Embedding model id
+ * @returns {Promise<number>} - Distinct alert texts embedded so far
+ */
+export async function countCachedEmbeddings(model) {
+  const { count, error } = await getClient()
+    .from('embedding_cache')
+    .select('*', { count: 'exact', head: true })
+    .eq('model', model);
+
+  if (error) throw error;
+  return count;
+}
+
+/**
+ * Insert an ingestion job
+ * @param {Object} job - kind, status and files
+ * @returns {Promise<Object>} - Inserted job
+ */
+export async function insertIngestionJob(job) {
+  const { data, error } = await getClient()
+    .from('ingestion_jobs')
+    .insert([job])
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update an ingestion job
+ * @param {number} id - Job ID
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} - Updated job
+ */
+export async function updateIngestionJob(id, updates) {
+  const { data, error } = await getClient()
+    .from('ingestion_jobs')
+    .update({ ...updates, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get an ingestion job
+ * @param {number} id - Job ID
+ * @returns {Promise<Object|null>} - Job, or null if it does not exist
+ */
+export async function getIngestionJob(id) {
+  const { data, error } = await getClient()
+    .from('ingestion_jobs')
+    .select('*')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get recent ingestion jobs
+ * @param {number} limit - Number of jobs to return
+ * @returns {Promise<Array>} - Jobs, newest first
+ */
+export async function getIngestionJobs(limit = 10) {
+  const { data, error } = await getClient()
+    .from('ingestion_jobs')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get jobs that are queued or were interrupted while running
+ * @returns {Promise<Array>} - Jobs, oldest first
+ */
+export async function getUnfinishedIngestionJobs() {
+  const { data, error } = await getClient()
+    .from('ingestion_jobs')
+    .select('*')
+    .in('status', ['queued', 'running'])
+    .order('id');
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Get the persisted state (cursor, last run) of a pull connector
+ * @param {string} name - Connector name, e.g. 'zabbix'
+ * @returns {Promise<Object|null>} - State row, or null before the first run
+ */
+export async function getConnectorState(name) {
+  const { data, error } = await getClient()
+    .from('connector_state')
+    .select('*')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Create or update the persisted state of a pull connector
+ * @param {string} name - Connector name
+ * @param {Object} updates - cursor, last_run_at and/or last_error
+ * @returns {Promise<Object>} - Saved state
+ */
+export async function saveConnectorState(name, updates) {
+  const { data, error } = await getClient()
+    .from('connector_state')
+    .upsert({ name, ...updates, updated_at: new Date().toISOString() }, { onConflict: 'name' })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Set the acknowledgement state of every stored event of some problems
+ * @param {Array<string>} problemIds - Problem (Zabbix event) IDs
+ * @param {boolean} acknowledged - Acknowledgement state
+ */
+export async function updateAlertsAcknowledged(problemIds, acknowledged) {
+  for (let i = 0; i < problemIds.length; i += 200) {
+    const { error } = await getClient()
+      .from('alerts')
+      .update({ acknowledged })
+      .in('problem_id', problemIds.slice(i, i + 200));
+
+    if (error) throw error;
+  }
+}
+
+/**
+ * Store received syslog messages
+ * @param {Array} messages - Rows for syslog_messages
+ */
+export async function insertSyslogMessages(messages) {
+  const { error } = await getClient()
+    .from('syslog_messages')
+    .insert(messages);
+
+  if (error) throw error;
+}
+
+/**
+ * Get the syslog messages of a host in a time window
+ * @param {string} host - Host name as alerts name it
+ * @param {string} from - Window start (ISO timestamp)
+ * @param {string} to - Window end (ISO timestamp)
+ * @param {number} limit - Number of messages to return
+ * @returns {Promise<Array>} - Messages, oldest first
+ */
+export async function getSyslogMessages(host, from, to, limit = 50) {
+  const { data, error } = await getClient()
+    .from('syslog_messages')
+    .select('timestamp, host, raw_host, source_ip, facility, severity, app_name, message')
+    .eq('host', host)
+    .gte('timestamp', from)
+    .lte('timestamp', to)
+    .order('timestamp', { ascending: true })
+    .limit(limit);
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete syslog messages older than a cutoff
+ * @param {string} cutoff - ISO timestamp; older messages are removed
+ */
+export async function deleteSyslogMessagesBefore(cutoff) {
+  const { error } = await getClient()
+    .from('syslog_messages')
+    .delete()
+    .lt('timestamp', cutoff);
+
+  if (error) throw error;
+}
+
+/**
+ * Get the migrations applied to the database
+ * @returns {Promise<Array>} - version, name and applied_at, oldest first (empty before the first migration)
+ */
+export async function getAppliedMigrations() {
+  const { data, error } = await getClient()
+    .from('schema_migrations')
+    .select('version, name, applied_at')
+    .order('version');
+
+  // The tracking table is created by the first migration
+  if (error?.code === '42P01' || error?.code === 'PGRST205') return [];
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Apply or revert a migration and record it, in one transaction
+ * @param {Object} migration - version, name and sql of the up or down file
+ * @param {string} direction - 'up' or 'down'
+ */
+export async function runMigration(migration, direction = 'up') {
+  const { default: postgres } = await import('./postgres.js');
+  return postgres.runMigration(migration, direction);
+}
+
+export default {
+  insertAlert,
+  insertAlerts,
+  insertNewAlerts,
+  getExistingAlertKeys,
+  alertExists,
+  getTotalAlerts,
+  getAlertCountsSince,
+  getActiveAlerts,
+  getIncidentsByProblemIds,
+  upsertIncidents,
+  deleteIncidentsByProblemIds,
+  getIncidentCounts,
+  getRecentAlerts,
+  searchAlertsByEmbedding,
+  ensureEmbeddingIndex,
+  executeQuery,
+  insertFileUpload,
+  updateFileUpload,
+  getFileUpload,
+  getAlertsByUpload,
+  countAlertsByUpload,
+  deleteAlertsByIds,
+  refreshHosts,
+  getHosts,
+  getHost,
+  getHostIncidents,
+  getHostAlerts,
+  getUploadHistory,
+  getUploadsByContentHash,
+  getUploadsByStatus,
+  getUploadsOverlappingRange,
+  getNormalizationRules,
+  insertNormalizationRule,
+  updateNormalizationRule,
+  deleteNormalizationRule,
+  getAlertsForNormalization,
+  updateAlertFields,
+  getAlertsByProblemIds,
+  getAlertsToEmbed,
+  countAlertsMissingEmbeddings,
+  countAlertsOutdatedEmbeddings,
+  getCachedEmbeddings,
+  insertCachedEmbeddings,
+  countCachedEmbeddings,
+  insertIngestionJob,
+  updateIngestionJob,
+  getIngestionJob,
+  getIngestionJobs,
+  getUnfinishedIngestionJobs,
+  getConnectorState,
+  saveConnectorState,
+  updateAlertsAcknowledged,
+  insertSyslogMessages,
+  getSyslogMessages,
+  deleteSyslogMessagesBefore,
+  getAppliedMigrations,
+  runMigration,
+};
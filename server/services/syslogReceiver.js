@@ -0,0 +1,216 @@
+import dgram from 'dgram';
+import net from 'net';
+import { loadRules } from './normalization.js';
+import { insertSyslogMessages, getSyslogMessages, deleteSyslogMessagesBefore } from './storage/index.js';
+import { parseSyslogMessage, createSyslogFramer, resolveSyslogHost } from '../utils/syslog.js';
+
+// Port for both UDP and TCP (514 needs root; forward it or point devices here)
+const PORT = parseInt(process.env.SYSLOG_PORT) || 5514;
+
+// Address to listen on
+const BIND_ADDRESS = process.env.SYSLOG_BIND || '0.0.0.0';
+
+// Transports to listen on: "udp", "tcp" or both
+const PROTOCOLS = (process.env.SYSLOG_PROTOCOLS || 'udp,tcp').split(',').map(p => p.trim().toLowerCase());
+
+// Offset of RFC 3164 timestamps, which carry no zone, e.g. "-05:00" (UTC when empty)
+const UTC_OFFSET = process.env.SYSLOG_UTC_OFFSET || null;
+
+// Messages are written in batches, at most this often or when this many are waiting
+const FLUSH_INTERVAL = 1000;
+const FLUSH_SIZE = 500;
+
+// Messages kept in memory while the database is unreachable; the oldest are dropped beyond it
+const MAX_PENDING = 10000;
+
+// Days of messages kept; older ones are deleted hourly (0 keeps everything)
+const RETENTION_DAYS = parseInt(process.env.SYSLOG_RETENTION_DAYS || '30');
+
+// Seconds on each side of an alert searched for related messages
+export const SYSLOG_CONTEXT_WINDOW = parseInt(process.env.SYSLOG_CONTEXT_WINDOW) || 300;
+
+// State of the receiver in this process, reported by getSyslogReceiverStatus()
+const state = {
+  listening: [],
+  received: 0,
+  stored: 0,
+  dropped: 0,
+  lastError: null,
+};
+let pending = [];
+let flushing = false;
+let udpSocket = null;
+let tcpServer = null;
+let flushTimer = null;
+let retentionTimer = null;
+
+/**
+ * Listen for syslog on SYSLOG_PORT over UDP and/or TCP
+ * Messages are parsed, linked to a host by hostname or IP alias rule and stored
+ * in syslog_messages in batches.
+ * @returns {Promise<void>}
+ */
+export async function startSyslogReceiver() {
+  if (state.listening.length > 0) return;
+
+  if (PROTOCOLS.includes('udp')) {
+    udpSocket = dgram.createSocket('udp4');
+    udpSocket.on('message', (data, remote) => {
+      receive(data.toString('utf8'), remote.address, 'udp');
+    });
+    udpSocket.on('error', (error) => {
+      console.error('Syslog UDP error:', error.message);
+    });
+    await new Promise((resolve, reject) => {
+      udpSocket.once('error', reject);
+      udpSocket.bind(PORT, BIND_ADDRESS, resolve);
+    });
+    state.listening.push('udp');
+  }
+
+  if (PROTOCOLS.includes('tcp')) {
+    tcpServer = net.createServer((socket) => {
+      const sourceIp = socket.remoteAddress?.replace(/^::ffff:/, '') || null;
+      const push = createSyslogFramer(text => receive(text, sourceIp, 'tcp'));
+
+      socket.on('data', (chunk) => {
+        try {
+          push(chunk);
+        } catch (error) {
+          console.error(`Closing syslog connection from ${sourceIp}:`, error.message);
+          socket.destroy();
+        }
+      });
+      socket.on('error', () => socket.destroy());
+    });
+    await new Promise((resolve, reject) => {
+      tcpServer.once('error', reject);
+      tcpServer.listen(PORT, BIND_ADDRESS, resolve);
+    });
+    state.listening.push('tcp');
+  }
+
+  flushTimer = setInterval(() => flush(), FLUSH_INTERVAL);
+  if (RETENTION_DAYS > 0) {
+    retentionTimer = setInterval(() => purgeOldMessages(), 60 * 60 * 1000);
+    purgeOldMessages();
+  }
+
+  console.log(`Receiving syslog on ${state.listening.join('/').toUpperCase()} port ${PORT}`);
+}
+
+/**
+ * Stop listening and write the messages still waiting
+ * @returns {Promise<void>}
+ */
+export async function stopSyslogReceiver() {
+  udpSocket?.close();
+  tcpServer?.close();
+  clearInterval(flushTimer);
+  clearInterval(retentionTimer);
+  udpSocket = null;
+  tcpServer = null;
+  state.listening = [];
+  await flush();
+}
+
+/**
+ * Report what the receiver listens on and how many messages it handled
+ * @returns {Object} - enabled, port, protocols, received, stored, dropped, pending and lastError
+ */
+export function getSyslogReceiverStatus() {
+  return {
+    enabled: state.listening.length > 0,
+    port: PORT,
+    protocols: state.listening,
+    received: state.received,
+    stored: state.stored,
+    dropped: state.dropped,
+    pending: pending.length,
+    lastError: state.lastError,
+  };
+}
+
+/**
+ * Get the syslog messages of a host around a point in time, e.g. an alert's timestamp
+ * @param {string} host - Host name as alerts name it
+ * @param {string} timestamp - Center of the window (ISO timestamp)
+ * @param {Object} options - window (seconds on each side) and limit
+ * @returns {Promise<Array>} - Messages, oldest first
+ */
+export async function getSyslogAround(host, timestamp, { window = SYSLOG_CONTEXT_WINDOW, limit = 50 } = {}) {
+  const center = new Date(timestamp).getTime();
+  if (!host || isNaN(center)) return [];
+
+  return getSyslogMessages(
+    host,
+    new Date(center - window * 1000).toISOString(),
+    new Date(center + window * 1000).toISOString(),
+    limit
+  );
+}
+
+function receive(text, sourceIp, protocol) {
+  const message = parseSyslogMessage(text, { receivedAt: new Date(), sourceIp, utcOffset: UTC_OFFSET });
+  if (!message) return;
+
+  state.received++;
+  pending.push({ ...message, protocol });
+
+  if (pending.length > MAX_PENDING) {
+    state.dropped += pending.length - MAX_PENDING;
+    pending = pending.slice(-MAX_PENDING);
+  }
+  if (pending.length >= FLUSH_SIZE) flush();
+}
+
+/**
+ * Write waiting messages, linking each to its host with the current alias rules
+ * A failed batch stays queued and is retried on the next flush.
+ */
+async function flush() {
+  if (flushing || pending.length === 0) return;
+  flushing = true;
+
+  try {
+    const { hostAliases } = await loadRules();
+
+    while (pending.length > 0) {
+      const batch = pending.splice(0, FLUSH_SIZE);
+      try {
+        await insertSyslogMessages(batch.map(message => ({
+          ...message,
+          host: resolveSyslogHost(message, hostAliases),
+        })));
+      } catch (error) {
+        pending = batch.concat(pending);
+        throw error;
+      }
+
+      state.stored += batch.length;
+      state.lastError = null;
+    }
+  } catch (error) {
+    if (state.lastError !== error.message) {
+      console.error('Error storing syslog messages:', error.message);
+    }
+    state.lastError = error.message;
+  } finally {
+    flushing = false;
+  }
+}
+
+async function purgeOldMessages() {
+  try {
+    await deleteSyslogMessagesBefore(new Date(Date.now() - RETENTION_DAYS * 86400 * 1000).toISOString());
+  } catch (error) {
+    console.error('Error deleting old syslog messages:', error.message);
+  }
+}
+
+export default {
+  startSyslogReceiver,
+  stopSyslogReceiver,
+  getSyslogReceiverStatus,
+  getSyslogAround,
+};
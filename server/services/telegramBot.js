@@ -0,0 +1,185 @@
+import { setTimeout as sleep } from 'timers/promises';
+import { callTelegram, isTelegramBotConfigured } from './telegramBotApi.js';
+import { ingestRealtimeAlerts } from './realtimeIngestion.js';
+import { getConnectorState, saveConnectorState } from './storage/index.js';
+import { createDiagnostics } from '../utils/diagnostics.js';
+import { ALLOWED_UPDATES, normalizeTelegramUpdate } from '../utils/telegramBotUpdates.js';
+
+const CONNECTOR = 'telegram';
+
+// Only posts from this chat (ID, @username or title) are ingested; any chat when empty
+const CHAT = process.env.TELEGRAM_CHAT || null;
+
+// Offset of the times written in the alert text, e.g. "-05:00" (UTC when empty)
+const UTC_OFFSET = process.env.TELEGRAM_UTC_OFFSET || null;
+
+// Seconds a getUpdates request waits for new updates
+const POLL_TIMEOUT = parseInt(process.env.TELEGRAM_POLL_TIMEOUT) || 30;
+
+// Public URL of POST /api/ingest/telegram; when set, updates are pushed instead of polled
+const WEBHOOK_URL = process.env.TELEGRAM_WEBHOOK_URL || null;
+
+// Delay after a failed poll, doubling up to the maximum (milliseconds)
+const RETRY_DELAY = 5000;
+const MAX_RETRY_DELAY = 5 * 60 * 1000;
+
+// State of the bot in this process, reported by getTelegramBotStatus()
+const state = {
+  mode: null,
+  offset: null,
+  lastBatch: null,
+  lastError: null,
+};
+let controller = null;
+let queue = Promise.resolve();
+
+/**
+ * Start receiving channel posts from the bot
+ * Registers the webhook when TELEGRAM_WEBHOOK_URL is set, and otherwise removes
+ * any webhook (getUpdates is refused while one is set) and long-polls getUpdates.
+ * Does nothing unless TELEGRAM_BOT_TOKEN is set.
+ */
+export async function startTelegramBot() {
+  if (state.mode || !isTelegramBotConfigured()) return;
+
+  if (WEBHOOK_URL) {
+    if (!process.env.TELEGRAM_WEBHOOK_SECRET) {
+      throw new Error('TELEGRAM_WEBHOOK_SECRET is required with TELEGRAM_WEBHOOK_URL');
+    }
+
+    await callTelegram('setWebhook', {
+      url: WEBHOOK_URL,
+      secret_token: process.env.TELEGRAM_WEBHOOK_SECRET,
+      allowed_updates: ALLOWED_UPDATES,
+    });
+    state.mode = 'webhook';
+    console.log(`Telegram bot updates are pushed to ${WEBHOOK_URL}`);
+    return;
+  }
+
+  await callTelegram('deleteWebhook', {});
+  state.mode = 'polling';
+  controller = new AbortController();
+  console.log('Polling the Telegram Bot API for channel posts');
+
+  pollUpdates().catch((error) => {
+    console.error('Telegram polling stopped:', error);
+  });
+}
+
+/**
+ * Stop polling; a registered webhook stays registered
+ */
+export function stopTelegramBot() {
+  controller?.abort();
+  controller = null;
+  state.mode = null;
+}
+
+/**
+ * Ingest a batch of updates and persist the offset after them
+ * Batches are handled one at a time. The offset is only saved once the alerts
+ * are stored, so getUpdates hands out anything not yet stored again after a
+ * restart; re-delivered alerts are dropped by the usual dedupe.
+ * @param {Array} updates - Telegram Update objects
+ * @returns {Promise<Object>} - received, accepted, added and skipped (duplicate)
+ *   counts, the next offset and parser diagnostics
+ */
+export function handleTelegramUpdates(updates) {
+  const run = queue.then(() => ingestUpdates(updates));
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Report the bot's mode, offset and last batch
+ * @returns {Promise<Object>} - configured, mode, chat, offset, lastRunAt, lastError and lastBatch
+ */
+export async function getTelegramBotStatus() {
+  const saved = isTelegramBotConfigured() ? await getConnectorState(CONNECTOR) : null;
+
+  return {
+    configured: isTelegramBotConfigured(),
+    mode: state.mode,
+    chat: CHAT,
+    offset: saved?.cursor?.offset || null,
+    lastRunAt: saved?.last_run_at || null,
+    lastError: state.lastError || saved?.last_error || null,
+    lastBatch: state.lastBatch,
+  };
+}
+
+async function ingestUpdates(updates) {
+  const diagnostics = createDiagnostics();
+  const alerts = updates
+    .map(update => normalizeTelegramUpdate(update, { chat: CHAT, utcOffset: UTC_OFFSET }, diagnostics))
+    .filter(Boolean);
+
+  const result = alerts.length > 0
+    ? await ingestRealtimeAlerts(alerts, CONNECTOR)
+    : { added: 0, skipped: 0 };
+
+  const offset = Math.max(...updates.map(update => update.update_id)) + 1;
+  await saveConnectorState(CONNECTOR, {
+    cursor: { offset },
+    last_run_at: new Date().toISOString(),
+    last_error: null,
+  });
+  state.offset = offset;
+  state.lastError = null;
+
+  state.lastBatch = {
+    at: new Date().toISOString(),
+    received: updates.length,
+    accepted: alerts.length,
+    added: result.added,
+    skipped: result.skipped,
+  };
+
+  return { ...state.lastBatch, offset, diagnostics: diagnostics.summary() };
+}
+
+/**
+ * Long-poll getUpdates from the persisted offset until stopped
+ * Failures are retried with a growing delay (or the delay Telegram asks for).
+ */
+async function pollUpdates() {
+  const { signal } = controller;
+  let delay = RETRY_DELAY;
+
+  while (!signal.aborted) {
+    try {
+      if (state.offset === null) {
+        const saved = await getConnectorState(CONNECTOR);
+        state.offset = saved?.cursor?.offset || 0;
+      }
+
+      const updates = await callTelegram(
+        'getUpdates',
+        { offset: state.offset, timeout: POLL_TIMEOUT, allowed_updates: ALLOWED_UPDATES },
+        { signal, pollTimeout: POLL_TIMEOUT }
+      );
+
+      if (updates.length > 0) {
+        await handleTelegramUpdates(updates);
+      }
+      delay = RETRY_DELAY;
+    } catch (error) {
+      if (signal.aborted) break;
+
+      console.error('Error polling Telegram:', error.message);
+      state.lastError = error.message;
+      await saveConnectorState(CONNECTOR, { last_error: error.message }).catch(() => {});
+
+      await sleep(error.retryAfter ? error.retryAfter * 1000 : delay, null, { signal }).catch(() => {});
+      delay = Math.min(delay * 2, MAX_RETRY_DELAY);
+    }
+  }
+}
+
+export default {
+  startTelegramBot,
+  stopTelegramBot,
+  handleTelegramUpdates,
+  getTelegramBotStatus,
+};
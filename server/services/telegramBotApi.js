@@ -0,0 +1,56 @@
+// Bot API server; point it at a local Bot API server or a mock for testing
+const API_URL = (process.env.TELEGRAM_API_URL || 'https://api.telegram.org').replace(/\/+$/, '');
+
+// Token from @BotFather
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+
+// Milliseconds before a request is abandoned (added to a long poll's own timeout)
+const REQUEST_TIMEOUT = parseInt(process.env.TELEGRAM_REQUEST_TIMEOUT) || 30000;
+
+/**
+ * Whether a Telegram bot is configured
+ * @returns {boolean} - True when TELEGRAM_BOT_TOKEN is set
+ */
+export function isTelegramBotConfigured() {
+  return Boolean(BOT_TOKEN);
+}
+
+/**
+ * Call a Bot API method
+ * @param {string} method - API method, e.g. 'getUpdates'
+ * @param {Object} params - Method parameters
+ * @param {Object} options - signal to abort the request, and pollTimeout (seconds)
+ *   the server may hold a getUpdates request open
+ * @returns {Promise<any>} - The method's result
+ */
+export async function callTelegram(method, params = {}, { signal = null, pollTimeout = 0 } = {}) {
+  if (!BOT_TOKEN) {
+    const error = new Error('TELEGRAM_BOT_TOKEN is not configured');
+    error.status = 503;
+    throw error;
+  }
+
+  const timeout = AbortSignal.timeout(REQUEST_TIMEOUT + pollTimeout * 1000);
+  const response = await fetch(`${API_URL}/bot${BOT_TOKEN}/${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(params),
+    signal: signal ? AbortSignal.any([signal, timeout]) : timeout,
+  });
+
+  // Errors come back as { ok: false, error_code, description } with a matching HTTP status
+  const body = await response.json().catch(() => null);
+  if (!response.ok || !body?.ok) {
+    const error = new Error(`Telegram ${method} failed: ${body?.description || `HTTP ${response.status}`}`);
+    error.status = 502;
+    error.retryAfter = body?.parameters?.retry_after || null;
+    throw error;
+  }
+
+  return body.result;
+}
+
+export default {
+  isTelegramBotConfigured,
+  callTelegram,
+};
@@ -0,0 +1,138 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { getSupportedExtensions } from '../utils/formats/index.js';
+import { createJob } from './ingestionJobs.js';
+
+const UPLOAD_DIR = path.resolve(process.env.UPLOAD_DIR || 'uploads');
+
+// Exports dropped here are ingested; multer's own uploads stay in UPLOAD_DIR
+export const WATCH_DIR = path.join(UPLOAD_DIR, 'incoming');
+const PROCESSING_DIR = path.join(WATCH_DIR, 'processing');
+const PROCESSED_DIR = path.join(WATCH_DIR, 'processed');
+const FAILED_DIR = path.join(WATCH_DIR, 'failed');
+
+// Milliseconds between scans; a file must look the same on two scans in a row
+const WATCH_INTERVAL = parseInt(process.env.WATCH_INTERVAL) || 10000;
+
+// Size and modification time of files seen at the previous scan, by name
+const seen = new Map();
+let timer = null;
+let scanning = false;
+
+/**
+ * Start polling the watch directory for new exports
+ * Polling (rather than fs.watch) also works on network shares, and lets a file
+ * that is still being copied settle before it is picked up.
+ * @returns {Promise<void>}
+ */
+export async function startUploadWatcher() {
+  if (timer) return;
+
+  for (const dir of [WATCH_DIR, PROCESSING_DIR, PROCESSED_DIR, FAILED_DIR]) {
+    await fs.mkdir(dir, { recursive: true });
+  }
+
+  timer = setInterval(() => {
+    scanWatchDir().catch((error) => {
+      console.error('Error scanning watch directory:', error);
+    });
+  }, WATCH_INTERVAL);
+
+  console.log(`Watching ${WATCH_DIR} for exports (every ${WATCH_INTERVAL / 1000}s)`);
+  await scanWatchDir();
+}
+
+/**
+ * Stop polling the watch directory
+ */
+export function stopUploadWatcher() {
+  clearInterval(timer);
+  timer = null;
+  seen.clear();
+}
+
+/**
+ * Queue every file of the watch directory that has stopped changing
+ * A file is complete once its size and modification time are unchanged since
+ * the previous scan. It is moved to processing/ and ingested by a background job
+ * exactly like an upload, then moved to processed/ or failed/.
+ * @returns {Promise<Array>} - Jobs queued by this scan
+ */
+export async function scanWatchDir() {
+  if (scanning) return [];
+  scanning = true;
+
+  try {
+    const entries = await fs.readdir(WATCH_DIR, { withFileTypes: true });
+    const extensions = [...getSupportedExtensions(), '.zip'];
+    const present = new Set();
+    const jobs = [];
+
+    for (const entry of entries) {
+      // Hidden files are usually partial copies (rsync, scp and the like)
+      const extension = path.extname(entry.name).toLowerCase();
+      if (!entry.isFile() || entry.name.startsWith('.') || !extensions.includes(extension)) continue;
+      present.add(entry.name);
+
+      const stat = await fs.stat(path.join(WATCH_DIR, entry.name)).catch(() => null);
+      if (!stat) continue;
+
+      const previous = seen.get(entry.name);
+      if (stat.size === 0 || previous?.size !== stat.size || previous?.mtimeMs !== stat.mtimeMs) {
+        seen.set(entry.name, { size: stat.size, mtimeMs: stat.mtimeMs });
+        continue;
+      }
+
+      seen.delete(entry.name);
+
+      try {
+        jobs.push(await queueWatchedFile(entry.name, extension === '.zip'));
+      } catch (error) {
+        console.error(`Error queueing ${entry.name} from the watch directory:`, error);
+      }
+    }
+
+    // Forget files that were removed before they settled
+    for (const name of seen.keys()) {
+      if (!present.has(name)) seen.delete(name);
+    }
+
+    return jobs;
+  } finally {
+    scanning = false;
+  }
+}
+
+/**
+ * Move a settled file to processing/ and queue its ingestion job
+ * The job moves it on to processed/ or failed/ when it finishes, including
+ * after a restart. If the job cannot be created the file is put back.
+ */
+async function queueWatchedFile(name, isArchive) {
+  const source = path.join(WATCH_DIR, name);
+  const target = path.join(PROCESSING_DIR, `${Date.now()}-${name}`);
+  await fs.rename(source, target);
+
+  try {
+    const job = await createJob(isArchive ? 'export' : 'files', [{
+      filename: name,
+      path: target,
+      source: 'watcher',
+      processedDir: PROCESSED_DIR,
+      failedDir: FAILED_DIR,
+    }]);
+
+    console.log(`Queued ${name} from the watch directory (job ${job.id})`);
+    return job;
+  } catch (error) {
+    await fs.rename(target, source);
+    throw error;
+  }
+}
+
+export default {
+  WATCH_DIR,
+  startUploadWatcher,
+  stopUploadWatcher,
+  scanWatchDir,
+};
@@ -0,0 +1,62 @@
+// Zabbix frontend API endpoint, e.g. https://zabbix.example.com/api_jsonrpc.php
+const API_URL = process.env.ZABBIX_API_URL;
+
+// API token (Administration → API tokens), sent as a bearer token (Zabbix 6.4+)
+const API_TOKEN = process.env.ZABBIX_API_TOKEN;
+
+// Milliseconds before a request is abandoned
+const REQUEST_TIMEOUT = parseInt(process.env.ZABBIX_REQUEST_TIMEOUT) || 30000;
+
+let requestId = 0;
+
+/**
+ * Whether a Zabbix API is configured
+ * @returns {boolean} - True when ZABBIX_API_URL is set
+ */
+export function isZabbixConfigured() {
+  return Boolean(API_URL);
+}
+
+/**
+ * Call a Zabbix JSON-RPC method
+ * @param {string} method - API method, e.g. 'event.get'
+ * @param {Object} params - Method parameters
+ * @returns {Promise<any>} - The method's result
+ */
+export async function callZabbix(method, params = {}) {
+  if (!API_URL) {
+    const error = new Error('ZABBIX_API_URL is not configured');
+    error.status = 503;
+    throw error;
+  }
+
+  const response = await fetch(API_URL, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json-rpc',
+      ...(API_TOKEN && { Authorization: `Bearer ${API_TOKEN}` }),
+    },
+    body: JSON.stringify({ jsonrpc: '2.0', method, params, id: ++requestId }),
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+  });
+
+  if (!response.ok) {
+    const error = new Error(`Zabbix API ${method} failed with HTTP ${response.status}`);
+    error.status = 502;
+    throw error;
+  }
+
+  const body = await response.json();
+  if (body.error) {
+    const error = new Error(`Zabbix API ${method}: ${body.error.message} ${body.error.data || ''}`.trim());
+    error.status = 502;
+    throw error;
+  }
+
+  return body.result;
+}
+
+export default {
+  isZabbixConfigured,
+  callZabbix,
+};
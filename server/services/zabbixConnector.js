@@ -0,0 +1,309 @@
+import { callZabbix, isZabbixConfigured } from './zabbixApi.js';
+import { ingestUpload, recordFailedUpload, ingestionEvents } from './ingestion.js';
+import { scheduleBackfill } from './embeddings.js';
+import { alertEvents } from './realtimeIngestion.js';
+import { getConnectorState, saveConnectorState, updateAlertsAcknowledged } from './storage/index.js';
+import { normalizeZabbixEvent } from '../utils/formats/zabbixEvents.js';
+
+const CONNECTOR = 'zabbix';
+
+// Seconds between scheduled syncs
+const POLL_INTERVAL = parseInt(process.env.ZABBIX_POLL_INTERVAL) || 300;
+
+// Events requested per event.get call
+const PAGE_SIZE = parseInt(process.env.ZABBIX_PAGE_SIZE) || 500;
+
+// How far back the first sync reaches, in days
+const INITIAL_DAYS = parseInt(process.env.ZABBIX_INITIAL_DAYS) || 7;
+
+const EVENT_PARAMS = {
+  output: ['eventid', 'objectid', 'clock', 'value', 'acknowledged', 'name', 'severity', 'r_eventid', 'opdata'],
+  selectHosts: ['host', 'name'],
+  selectTags: 'extend',
+};
+
+// State of the connector in this process, reported by getZabbixStatus()
+const state = {
+  running: false,
+  lastRun: null,
+};
+let timer = null;
+
+/**
+ * Sync from the Zabbix API now and then every ZABBIX_POLL_INTERVAL seconds
+ * Does nothing unless ZABBIX_API_URL is set.
+ */
+export function startZabbixConnector() {
+  if (timer || !isZabbixConfigured()) return;
+
+  const run = () => syncZabbix().catch((error) => {
+    if (error.status !== 409) console.error('Error syncing from Zabbix:', error.message);
+  });
+
+  timer = setInterval(run, POLL_INTERVAL * 1000);
+  console.log(`Polling the Zabbix API every ${POLL_INTERVAL}s`);
+  run();
+}
+
+/**
+ * Stop the scheduled syncs
+ */
+export function stopZabbixConnector() {
+  clearInterval(timer);
+  timer = null;
+}
+
+/**
+ * Pull new problem events and the resolution of known open problems from Zabbix
+ * Events are paged by event ID from the persisted cursor and ingested through the
+ * normal pipeline (normalization, dedupe, incidents). A run that brings in events
+ * is recorded in file_uploads with source 'zabbix', so it shows in upload history
+ * and can be reverted. The cursor only advances when the run succeeds; a failed
+ * run is recorded once until the connector recovers.
+ * @returns {Promise<Object>} - uploadId (null when nothing was new), events, added and skipped
+ */
+export async function syncZabbix() {
+  if (state.running) {
+    const error = new Error('A Zabbix sync is already running');
+    error.status = 409;
+    throw error;
+  }
+
+  state.running = true;
+  const startedAt = new Date();
+  const filename = `Zabbix API ${startedAt.toISOString().slice(0, 16).replace('T', ' ')}`;
+  let saved = null;
+  let progress = null;
+
+  try {
+    saved = await getConnectorState(CONNECTOR);
+    const cursor = {
+      lastEventId: saved?.cursor?.lastEventId || null,
+      open: saved?.cursor?.open || [],
+    };
+
+    const alerts = pullAlerts(cursor);
+    const first = await alerts.next();
+    let result = { uploadId: null, totalAlerts: 0, added: 0, skipped: 0 };
+
+    if (!first.done) {
+      result = await ingestUpload(filename, prepend(first.value, alerts), {
+        source: CONNECTOR,
+        onBatch: (update) => {
+          progress = update;
+        },
+      });
+    }
+
+    await saveConnectorState(CONNECTOR, {
+      cursor,
+      last_run_at: startedAt.toISOString(),
+      last_error: null,
+    });
+
+    if (result.added > 0) {
+      scheduleBackfill();
+      alertEvents.emit('alerts', {
+        source: CONNECTOR,
+        added: result.added,
+        skipped: result.skipped,
+        at: new Date().toISOString(),
+      });
+    }
+
+    state.lastRun = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      uploadId: result.uploadId,
+      events: result.totalAlerts,
+      added: result.added,
+      skipped: result.skipped,
+      error: null,
+    };
+
+    return { uploadId: result.uploadId, events: result.totalAlerts, added: result.added, skipped: result.skipped };
+  } catch (error) {
+    state.lastRun = {
+      startedAt: startedAt.toISOString(),
+      finishedAt: new Date().toISOString(),
+      error: error.message,
+    };
+
+    try {
+      if (progress?.uploadId || !saved?.last_error) {
+        await recordFailedUpload(filename, { ...progress, source: CONNECTOR });
+      }
+      await saveConnectorState(CONNECTOR, {
+        last_run_at: startedAt.toISOString(),
+        last_error: error.message,
+      });
+    } catch (saveError) {
+      console.error('Error recording failed Zabbix sync:', saveError);
+    }
+
+    throw error;
+  } finally {
+    state.running = false;
+  }
+}
+
+/**
+ * Report the connector's configuration, cursor and last run
+ * @returns {Promise<Object>} - configured, running, pollInterval, cursor, lastRunAt, lastError and lastRun
+ */
+export async function getZabbixStatus() {
+  const saved = isZabbixConfigured() ? await getConnectorState(CONNECTOR) : null;
+
+  return {
+    configured: isZabbixConfigured(),
+    running: state.running,
+    pollInterval: POLL_INTERVAL,
+    cursor: {
+      lastEventId: saved?.cursor?.lastEventId || null,
+      openProblems: saved?.cursor?.open?.length || 0,
+    },
+    lastRunAt: saved?.last_run_at || null,
+    lastError: saved?.last_error || null,
+    lastRun: state.lastRun,
+  };
+}
+
+/**
+ * Yield the alerts of a sync, updating the cursor as pages are consumed
+ * Open problems are checked first (resolutions and acknowledgements), then
+ * problem events after cursor.lastEventId are paged in event ID order.
+ */
+async function* pullAlerts(cursor) {
+  if (cursor.open.length > 0) {
+    yield* refreshOpenProblems(cursor);
+  }
+
+  while (true) {
+    const params = {
+      ...EVENT_PARAMS,
+      source: 0,
+      object: 0,
+      value: 1,
+      sortfield: ['eventid'],
+      sortorder: 'ASC',
+      limit: PAGE_SIZE,
+    };
+
+    if (cursor.lastEventId) {
+      params.eventid_from = String(BigInt(cursor.lastEventId) + 1n);
+    } else {
+      params.time_from = Math.floor(Date.now() / 1000) - INITIAL_DAYS * 86400;
+    }
+
+    const events = await callZabbix('event.get', params);
+    if (events.length === 0) break;
+
+    await addRecoveryClocks(events);
+
+    for (const event of events) {
+      yield* normalizeZabbixEvent(event);
+      if (!isResolved(event)) cursor.open.push(event.eventid);
+    }
+
+    cursor.lastEventId = events[events.length - 1].eventid;
+    if (events.length < PAGE_SIZE) break;
+  }
+}
+
+/**
+ * Yield OK events for open problems that have been resolved since the last sync
+ * and store their current acknowledgement state
+ * problem.get only returns unresolved (or just resolved) problems, so the events
+ * it does not return as open are fetched with event.get.
+ */
+async function* refreshOpenProblems(cursor) {
+  const stillOpen = [];
+
+  for (let i = 0; i < cursor.open.length; i += PAGE_SIZE) {
+    const ids = cursor.open.slice(i, i + PAGE_SIZE);
+    const problems = await callZabbix('problem.get', {
+      eventids: ids,
+      output: ['eventid', 'acknowledged', 'r_eventid'],
+      recent: true,
+    });
+
+    const unresolved = problems.filter(problem => !isResolved(problem));
+    await storeAcknowledgements(unresolved);
+    stillOpen.push(...unresolved.map(problem => problem.eventid));
+
+    // Events event.get no longer returns (housekeeping) are dropped from the open list
+    const unresolvedIds = new Set(unresolved.map(problem => problem.eventid));
+    const resolvedIds = ids.filter(id => !unresolvedIds.has(id));
+    if (resolvedIds.length === 0) continue;
+
+    const events = await callZabbix('event.get', { ...EVENT_PARAMS, eventids: resolvedIds });
+    await addRecoveryClocks(events);
+    await storeAcknowledgements(events);
+
+    for (const event of events) {
+      if (isResolved(event)) {
+        yield* normalizeZabbixEvent(event);
+      } else {
+        stillOpen.push(event.eventid);
+      }
+    }
+  }
+
+  cursor.open = stillOpen;
+}
+
+/**
+ * event.get has no recovery time; look up the clock of each recovery event
+ */
+async function addRecoveryClocks(events) {
+  const recoveryIds = events.filter(isResolved).map(event => event.r_eventid);
+  if (recoveryIds.length === 0) return;
+
+  const recoveries = await callZabbix('event.get', {
+    eventids: recoveryIds,
+    output: ['eventid', 'clock'],
+  });
+  const clocks = new Map(recoveries.map(recovery => [recovery.eventid, recovery.clock]));
+
+  for (const event of events) {
+    if (clocks.has(event.r_eventid)) event.r_clock = clocks.get(event.r_eventid);
+  }
+}
+
+/**
+ * Copy Zabbix's acknowledgement state to the stored events of these problems
+ */
+async function storeAcknowledgements(problems) {
+  const acknowledged = problems.filter(problem => String(problem.acknowledged) === '1');
+  const unacknowledged = problems.filter(problem => String(problem.acknowledged) !== '1');
+
+  if (acknowledged.length > 0) {
+    await updateAlertsAcknowledged(acknowledged.map(problem => problem.eventid), true);
+  }
+  if (unacknowledged.length > 0) {
+    await updateAlertsAcknowledged(unacknowledged.map(problem => problem.eventid), false);
+  }
+
+  if (problems.length > 0) {
+    ingestionEvents.emit('changed', { updated: problems.length });
+  }
+}
+
+function isResolved(event) {
+  return Boolean(event.r_eventid) && event.r_eventid !== '0';
+}
+
+/**
+ * Put back the item read to check whether a generator yields anything
+ */
+async function* prepend(first, rest) {
+  yield first;
+  yield* rest;
+}
+
+export default {
+  startZabbixConnector,
+  stopZabbixConnector,
+  syncZabbix,
+  getZabbixStatus,
+};
@@ -0,0 +1,190 @@
+/**
+ * Rule-based decomposition of Zabbix problem names
+ * Maps names like "BandWidth-DROP TRT-NG-SW xxvgei-1/2/0/3 - Rogers" or
+ * "Interface Twe1/0/1(** MSA-CA **): Link down" to a normalized category
+ * plus provider, device, port, interface description and threshold.
+ */
+
+// Canonical provider names, matched case-insensitively inside names and descriptions
+const KNOWN_PROVIDERS = [
+  'Rogers',
+  'Cogeco',
+  'Bell',
+  'Telus',
+  'Eastlink',
+  'Cogent',
+  'Telia',
+  'Videotron',
+  'Shaw',
+];
+
+// Conditions reported after "Interface <port>(<description>):"
+const INTERFACE_CONDITIONS = [
+  { pattern: /^Link down$/i, category: 'link_down' },
+  { pattern: /^High bandwidth usage\s*\(\s*>\s*([\d.]+)\s*%\s*\)/i, category: 'high_bandwidth' },
+  { pattern: /^High error rate\s*\(\s*>\s*([\d.]+)/i, category: 'interface_errors' },
+  { pattern: /^Ethernet has changed to lower speed/i, category: 'interface_speed' },
+];
+
+// Rules for everything that is not an interface problem; first match wins
+const RULES = [
+  {
+    category: 'bandwidth_drop',
+    pattern: /^BandWidth-DROP\s+(\S+)\s+(?:-\s*)?(.+?)\s*-\s*([^-]+?)\s*$/i,
+    extract: ([, device, port, provider]) => ({
+      device,
+      port: normalizePort(port),
+      provider: normalizeProvider(provider),
+    }),
+  },
+  {
+    category: 'icmp_unreachable',
+    pattern: /^Unavailable (?:by )?ICMP ping$/i,
+  },
+  {
+    category: 'icmp_latency',
+    pattern: /^High ICMP ping response time$/i,
+  },
+  {
+    category: 'icmp_loss',
+    pattern: /^High ICMP ping loss$/i,
+  },
+  {
+    category: 'cpu',
+    pattern: /High CPU utilization\s*\(over\s*([\d.]+)\s*%/i,
+    extract: ([, threshold]) => ({ threshold: parseFloat(threshold) }),
+  },
+  {
+    category: 'cpu',
+    pattern: /Load average is too high\s*\(per CPU load over\s*([\d.]+)/i,
+    extract: ([, threshold]) => ({ threshold: parseFloat(threshold) }),
+  },
+  {
+    category: 'memory',
+    pattern: /High (?:memory utilization|swap space usage)\s*\(\s*(?:>|less than)\s*([\d.]+)\s*%/i,
+    extract: ([, threshold]) => ({ threshold: parseFloat(threshold) }),
+  },
+  {
+    category: 'high_bandwidth',
+    pattern: /^(.+?)\s+Utilization is over\s*([\d.]+)\s*%/i,
+    extract: ([, circuit, threshold]) => ({
+      provider: findProvider(circuit),
+      threshold: parseFloat(threshold),
+    }),
+  },
+  {
+    category: 'hardware',
+    pattern: /(?:Power supply|Fan|System status) is in critical state|Device has been replaced/i,
+  },
+  {
+    category: 'temperature',
+    pattern: /Temperature is (?:above|below|too high|too low)[^:]*:\s*[<>]=?\s*(-?[\d.]+)/i,
+    extract: ([, threshold]) => ({ threshold: parseFloat(threshold) }),
+  },
+  {
+    category: 'reboot',
+    pattern: /has been restarted\s*\(uptime\s*<\s*([\d.]+)\s*m\)/i,
+    extract: ([, threshold]) => ({ threshold: parseFloat(threshold) }),
+  },
+  {
+    category: 'disk_space',
+    pattern: /Disk space is (?:critically )?low\s*\(used\s*>\s*([\d.]+)\s*%\)/i,
+    extract: ([, threshold]) => ({ threshold: parseFloat(threshold) }),
+  },
+  {
+    category: 'monitoring',
+    pattern: /^(?:Zabbix agent is not available|No SNMP data collection)/i,
+  },
+];
+
+/**
+ * Classify a problem name into structured fields
+ * @param {string|null} problemName - Raw "Problem name:" value
+ * @param {string|null} host - Host the problem was reported for
+ * @returns {Object} - alert_category, provider, device, port, interface_description, threshold
+ */
+export function classifyProblem(problemName, host = null) {
+  const result = {
+    alert_category: 'other',
+    provider: null,
+    device: host,
+    port: null,
+    interface_description: null,
+    threshold: null,
+  };
+
+  if (!problemName) return result;
+
+  const interfaceMatch = problemName.match(/^Interface\s+([^\s(]+?)(?:\((.*)\)|\s+([^:]+))?:\s+(.+)$/i);
+  if (interfaceMatch) {
+    const [, port, parenDescription, spaceDescription, condition] = interfaceMatch;
+    const description = cleanDescription(parenDescription ?? spaceDescription);
+
+    result.port = port;
+    result.interface_description = description;
+    result.provider = findProvider(description);
+
+    for (const rule of INTERFACE_CONDITIONS) {
+      const conditionMatch = condition.match(rule.pattern);
+      if (conditionMatch) {
+        result.alert_category = rule.category;
+        if (conditionMatch[1]) result.threshold = parseFloat(conditionMatch[1]);
+        break;
+      }
+    }
+
+    return result;
+  }
+
+  for (const rule of RULES) {
+    const match = problemName.match(rule.pattern);
+    if (match) {
+      const extracted = rule.extract ? rule.extract(match) : {};
+      return {
+        ...result,
+        ...Object.fromEntries(Object.entries(extracted).filter(([, v]) => v != null)),
+        alert_category: rule.category,
+      };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Strip decoration such as "** MSA-CA **" from interface descriptions
+ */
+function cleanDescription(description) {
+  if (!description) return null;
+  const cleaned = description.replace(/\*+/g, '').trim();
+  return cleaned || null;
+}
+
+/**
+ * Normalize ports written with a space ("xgei 1/1/1/15" -> "xgei-1/1/1/15")
+ */
+function normalizePort(port) {
+  return port.trim().replace(/^([a-z]+)\s+(\d)/i, '$1-$2');
+}
+
+/**
+ * Find a known provider mentioned in free text
+ * Names must start a word so "RogersNB" matches but "Campbell" does not
+ */
+function findProvider(text) {
+  if (!text) return null;
+  return KNOWN_PROVIDERS.find(provider =>
+    new RegExp(`(?:^|[^a-z])${provider}`, 'i').test(text)
+  ) || null;
+}
+
+/**
+ * Map a provider suffix like "Cogeco_QC" or "RogersNB" to its canonical name
+ */
+function normalizeProvider(provider) {
+  return findProvider(provider) || provider.trim();
+}
+
+export default {
+  classifyProblem,
+};
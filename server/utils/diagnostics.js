@@ -0,0 +1,88 @@
+/**
+ * Parser diagnostics: which messages were skipped and which alert fields
+ * fell back to a default, so parsing gaps are visible before importing.
+ */
+
+// Human-readable labels for skip reasons and defaulted fields
+export const SKIP_REASONS = {
+  service_message: 'Service message (date separator, join, pin, …)',
+  no_text: 'No text (photo, sticker or other media)',
+  reply: 'Reply without an alert',
+  no_problem_id: 'No "Original problem ID" / event ID',
+  recovery_event: 'Recovery event without its problem',
+  update_event: 'Problem update (acknowledgement, comment)',
+  missing_fields: 'Required fields missing',
+  parse_error: 'Parse error',
+};
+
+export const DEFAULTED_FIELDS = {
+  host: 'Host defaulted to UNKNOWN',
+  severity: 'Severity defaulted to WARNING',
+  timestamp: 'Timestamp defaulted to import time',
+  event_time: 'Event time after the send time (other time zone); send time used',
+};
+
+// Message IDs kept per reason; enough to find examples in the export
+const MAX_SAMPLES = 10;
+
+/**
+ * Create a collector that parsers report skipped messages and defaults to
+ * @returns {Object} - Collector with skip(), defaulted() and summary()
+ */
+export function createDiagnostics() {
+  const skipped = {};
+  const defaulted = {};
+
+  const record = (target, key, messageId) => {
+    if (!target[key]) target[key] = { count: 0, sampleIds: [] };
+    target[key].count++;
+    if (messageId != null && target[key].sampleIds.length < MAX_SAMPLES) {
+      target[key].sampleIds.push(String(messageId));
+    }
+  };
+
+  return {
+    /**
+     * Record a message that produced no alert
+     * @param {string} reason - Key of SKIP_REASONS
+     * @param {string|number|null} messageId - Message ID, event ID or row number
+     */
+    skip(reason, messageId = null) {
+      record(skipped, reason, messageId);
+    },
+
+    /**
+     * Record an alert field that fell back to its default
+     * @param {string} field - Key of DEFAULTED_FIELDS
+     * @param {string|number|null} messageId - Message ID, event ID or row number
+     */
+    defaulted(field, messageId = null) {
+      record(defaulted, field, messageId);
+    },
+
+    /**
+     * Summarize everything recorded so far
+     * @returns {Object} - skippedMessages total, skipReasons and defaultedFields
+     */
+    summary() {
+      const describe = (entries, labels) => Object.fromEntries(
+        Object.entries(entries).map(([key, entry]) => [
+          key,
+          { label: labels[key] || key, count: entry.count, sampleIds: [...entry.sampleIds] },
+        ])
+      );
+
+      return {
+        skippedMessages: Object.values(skipped).reduce((sum, entry) => sum + entry.count, 0),
+        skipReasons: describe(skipped, SKIP_REASONS),
+        defaultedFields: describe(defaulted, DEFAULTED_FIELDS),
+      };
+    },
+  };
+}
+
+export default {
+  SKIP_REASONS,
+  DEFAULTED_FIELDS,
+  createDiagnostics,
+};
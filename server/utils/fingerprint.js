@@ -0,0 +1,98 @@
+import crypto from 'crypto';
+import { createReadStream } from 'fs';
+import { StringDecoder } from 'string_decoder';
+import { getFormats } from './formats/index.js';
+
+// Text kept from the end of a chunk so an ID split across chunks is still found
+const CARRY_LENGTH = 256;
+
+/**
+ * Fingerprint a file in one streaming pass: SHA-256 of its bytes plus the range
+ * of Telegram message IDs it contains
+ * The ID range comes from the messageIdPattern of the file's format; formats
+ * without one (Zabbix, CSV) only get a hash.
+ * @param {string} filePath - Path of the file on disk
+ * @param {string} formatName - Registered format name, as returned by openFile
+ * @returns {Promise<Object>} - contentHash, firstMessageId and lastMessageId (null when unknown)
+ */
+export async function fingerprintFile(filePath, formatName = null) {
+  const pattern = getFormats().find(format => format.name === formatName)?.messageIdPattern;
+  const hash = crypto.createHash('sha256');
+  const decoder = new StringDecoder('utf-8');
+  const range = { first: null, last: null };
+  let carry = '';
+
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+    if (!pattern) continue;
+
+    const text = carry + decoder.write(chunk);
+    scanMessageIds(text, pattern, range);
+    carry = text.slice(-CARRY_LENGTH);
+  }
+
+  return {
+    contentHash: hash.digest('hex'),
+    firstMessageId: range.first,
+    lastMessageId: range.last,
+  };
+}
+
+/**
+ * Fingerprint a Telegram HTML export from its ordered pages
+ * Only the message pages are hashed, so the same export matches whether it
+ * comes as a ZIP (with or without media) or as a directory.
+ * @param {Array} pages - Pages from discoverExportPages
+ * @returns {Promise<Object>} - contentHash, firstMessageId and lastMessageId (null when unknown)
+ */
+export async function fingerprintExport(pages) {
+  const hash = crypto.createHash('sha256');
+
+  for (const page of pages) {
+    for await (const chunk of createReadStream(page.file)) {
+      hash.update(chunk);
+    }
+  }
+
+  const firstIds = pages.map(page => page.firstMessageId).filter(id => id !== null);
+  const lastIds = pages.map(page => page.lastMessageId).filter(id => id !== null);
+
+  return {
+    contentHash: hash.digest('hex'),
+    firstMessageId: firstIds.length > 0 ? Math.min(...firstIds) : null,
+    lastMessageId: lastIds.length > 0 ? Math.max(...lastIds) : null,
+  };
+}
+
+/**
+ * Share of a fingerprint's message ID range that another upload already covers
+ * @param {Object} fingerprint - firstMessageId and lastMessageId of the new file
+ * @param {Object} upload - file_uploads row with first_message_id and last_message_id
+ * @returns {number} - Overlap in percent of the new file's range (0-100)
+ */
+export function getRangeOverlap(fingerprint, upload) {
+  const { firstMessageId: first, lastMessageId: last } = fingerprint;
+  if (first === null || last === null) return 0;
+
+  const overlap = Math.min(last, Number(upload.last_message_id)) -
+    Math.max(first, Number(upload.first_message_id)) + 1;
+
+  return Math.max(0, Math.round((overlap / (last - first + 1)) * 100));
+}
+
+/**
+ * Widen a range with every message ID matched in the text
+ */
+function scanMessageIds(text, pattern, range) {
+  for (const match of text.matchAll(pattern)) {
+    const id = parseInt(match[1], 10);
+    if (range.first === null || id < range.first) range.first = id;
+    if (range.last === null || id > range.last) range.last = id;
+  }
+}
+
+export default {
+  fingerprintFile,
+  fingerprintExport,
+  getRangeOverlap,
+};
@@ -0,0 +1,172 @@
+import { buildAlert, parseDuration } from '../parser.js';
+
+// Accepted header names for each alert field (compared lower-case, without spaces)
+const COLUMN_ALIASES = {
+  problemId: ['problem_id', 'problemid', 'eventid', 'event_id', 'id'],
+  status: ['status', 'state', 'value'],
+  time: ['timestamp', 'time', 'event_time', 'clock', 'date'],
+  host: ['host', 'hostname', 'host_name'],
+  problemName: ['problem', 'problem_name', 'name', 'alert_type', 'trigger'],
+  severity: ['severity', 'priority'],
+  duration: ['duration', 'duration_seconds'],
+  description: ['description', 'message', 'text'],
+};
+
+/**
+ * Generic CSV dump with one alert event per row
+ */
+export default {
+  name: 'csv',
+  label: 'CSV',
+  extensions: ['.csv'],
+
+  detect(sample, filename) {
+    const [header] = parseCSV(sample.split(/\r?\n/)[0] || '');
+    if (!header || header.length < 3) return false;
+
+    // An ID column is required unless the extension already says CSV
+    const columns = mapColumns(header);
+    if (columns.host === undefined) return false;
+    return columns.problemId !== undefined || filename.endsWith('.csv');
+  },
+
+  parse(content, diagnostics = null) {
+    const [header, ...rows] = parseCSV(content);
+    const columns = mapColumns(header);
+    const alerts = [];
+
+    rows.forEach((row, index) => {
+      const get = field => (columns[field] !== undefined ? row[columns[field]]?.trim() : undefined);
+
+      // Rows are identified by their position, counting the header as row 1
+      const rowNumber = `row ${index + 2}`;
+
+      const problemId = get('problemId');
+      if (!problemId) {
+        diagnostics?.skip('no_problem_id', rowNumber);
+        return;
+      }
+
+      const time = parseTime(get('time'));
+      const rawDuration = get('duration');
+
+      alerts.push(buildAlert({
+        problemId,
+        status: normalizeStatus(get('status')),
+        problemName: get('problemName'),
+        host: get('host'),
+        severity: get('severity'),
+        eventTime: time,
+        duration: parseDurationValue(rawDuration),
+        description: get('description') || row.join(', '),
+        sourceId: rowNumber,
+      }, diagnostics));
+    });
+
+    return alerts;
+  },
+};
+
+/**
+ * Parse CSV text into rows of fields
+ * Handles quoted fields, escaped quotes and comma, semicolon or tab delimiters.
+ * @param {string} text - CSV content
+ * @returns {Array<Array<string>>} - Rows of fields
+ */
+export function parseCSV(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter = [',', ';', '\t']
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      if (row.some(value => value !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value !== '')) rows.push(row);
+
+  // Drop a byte order mark left on the first header
+  if (rows[0]?.[0]) rows[0][0] = rows[0][0].replace(/^﻿/, '');
+
+  return rows;
+}
+
+/**
+ * Map alert fields to column indexes using COLUMN_ALIASES
+ */
+function mapColumns(header) {
+  const normalized = header.map(h => h.trim().toLowerCase().replace(/\s+/g, '_'));
+  const columns = {};
+
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    const index = normalized.findIndex(name => aliases.includes(name));
+    if (index !== -1) columns[field] = index;
+  }
+
+  return columns;
+}
+
+/**
+ * Normalize status values such as "RESOLVED", "1" or "0" to PROBLEM/OK
+ */
+function normalizeStatus(value) {
+  const status = (value || '').toUpperCase();
+  if (['OK', 'RESOLVED', '0'].includes(status)) return 'OK';
+  if (['PROBLEM', '1'].includes(status)) return 'PROBLEM';
+  return 'UNKNOWN';
+}
+
+/**
+ * Parse ISO dates or unix seconds; dates without a zone are read as UTC
+ */
+function parseTime(value) {
+  if (!value) return null;
+
+  const date = /^\d+$/.test(value)
+    ? new Date(parseInt(value, 10) * 1000)
+    : new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+
+  return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Accept plain seconds or Zabbix-style "1h 2m 3s" durations
+ */
+function parseDurationValue(value) {
+  if (!value) return { seconds: 0, flag: null };
+  if (/^-?\d+$/.test(value)) {
+    const seconds = parseInt(value, 10);
+    return seconds < 0 ? { seconds: null, flag: 'negative' } : { seconds, flag: null };
+  }
+  return parseDuration(`After ${value}`);
+}
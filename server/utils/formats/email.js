@@ -0,0 +1,156 @@
+import { parseAlertMessage } from '../parser.js';
+import { parseEmail } from '../mime.js';
+
+// Subjects of Zabbix's default email templates: "Problem: …", "Resolved in 1m 0s: …", "OK: …"
+const SUBJECT_PROBLEM_NAME = /^(?:problem|resolved(?: in [^:]+)?|ok|recovery)\s*:\s*(.+)$/i;
+const SUBJECT_UPDATE = /^updated problem\b/i;
+
+/**
+ * Zabbix notification emails: an mbox archive or a single .eml message
+ * The decoded subject and body go through parseAlertMessage(), like the text of
+ * a Telegram message.
+ */
+export default {
+  name: 'email',
+  label: 'Email (mbox / .eml)',
+  extensions: ['.mbox', '.mbx', '.eml'],
+
+  detect(sample) {
+    // mbox: every message starts with a "From sender date" envelope line
+    if (/^From \S+/.test(sample)) {
+      return /^(?:Subject|Date|Message-ID):/im.test(sample);
+    }
+
+    // .eml: the message headers come first
+    const [head] = sample.split(/\r?\n\r?\n/, 1);
+    return /^[A-Za-z][\w-]*:/.test(head) &&
+      /^Subject:/im.test(head) &&
+      /^(?:Date|From|Received|Message-ID):/im.test(head);
+  },
+
+  parse(content, diagnostics = null) {
+    const alerts = [];
+    let index = 0;
+
+    for (const raw of splitMbox(content)) {
+      const alert = parseEmailAlert(raw, ++index, diagnostics);
+      if (alert) alerts.push(alert);
+    }
+
+    return alerts;
+  },
+
+  async *stream(input, diagnostics = null) {
+    let buffer = '';
+    let index = 0;
+
+    for await (const chunk of input) {
+      buffer += chunk;
+
+      let end;
+      while ((end = nextMessageStart(buffer)) !== -1) {
+        const alert = parseEmailAlert(buffer.slice(0, end), ++index, diagnostics);
+        buffer = buffer.slice(end);
+        if (alert) yield alert;
+      }
+    }
+
+    if (buffer.trim()) {
+      const alert = parseEmailAlert(buffer, ++index, diagnostics);
+      if (alert) yield alert;
+    }
+  },
+};
+
+/**
+ * Split an mbox into its messages; a file without envelope lines is one message
+ */
+function* splitMbox(content) {
+  let rest = content;
+  let end;
+
+  while ((end = nextMessageStart(rest)) !== -1) {
+    yield rest.slice(0, end);
+    rest = rest.slice(end);
+  }
+
+  if (rest.trim()) yield rest;
+}
+
+/**
+ * Find where the next message starts: a "From " line after a blank line
+ * @returns {number} - Offset of the envelope line, or -1 while there is none
+ */
+function nextMessageStart(text) {
+  const match = /\r?\n\r?\n(?=From )/.exec(text);
+  return match ? match.index + match[0].length : -1;
+}
+
+/**
+ * Turn one raw message into an alert
+ * The subject is kept in front of the body: it carries the problem name, and
+ * for "Resolved in …" the duration, when the template leaves them out of the body.
+ */
+function parseEmailAlert(raw, index, diagnostics) {
+  // Drop the envelope line and undo mboxrd ">From " quoting
+  const source = raw
+    .replace(/^From [^\n]*\n/, '')
+    .replace(/^>(>*From )/gm, '$1');
+
+  let email;
+  try {
+    email = parseEmail(source);
+  } catch (error) {
+    console.error('Error parsing email:', error);
+    diagnostics?.skip('parse_error', `message ${index}`);
+    return null;
+  }
+
+  const id = email.messageId || `message ${index}`;
+
+  if (SUBJECT_UPDATE.test(email.subject)) {
+    diagnostics?.skip('update_event', id);
+    return null;
+  }
+
+  let text = [email.subject, email.text].filter(Boolean).join('\n');
+  if (!text.trim()) {
+    diagnostics?.skip('no_text', id);
+    return null;
+  }
+
+  const subjectName = email.subject.match(SUBJECT_PROBLEM_NAME)?.[1];
+  if (subjectName && !/Problem name:/i.test(email.text)) {
+    text += `\nProblem name: ${subjectName}`;
+  }
+
+  try {
+    const alert = parseAlertMessage(text, { ...getSentTime(email.date), messageId: id }, diagnostics);
+    if (!alert.problem_id) {
+      diagnostics?.skip('no_problem_id', id);
+      return null;
+    }
+    return alert;
+  } catch (error) {
+    console.error('Error parsing email:', error);
+    diagnostics?.skip('parse_error', id);
+    return null;
+  }
+}
+
+/**
+ * Derive the send time and UTC offset from the Date header ("Sat, 15 Jan 2022 16:10:09 -0500")
+ */
+function getSentTime(date) {
+  const time = date ? Date.parse(date.replace(/\s*\([^)]*\)\s*$/, '')) : NaN;
+  if (isNaN(time)) {
+    return { sentAt: null, utcOffset: null };
+  }
+
+  const zone = date.match(/([+-])(\d{2}):?(\d{2})\s*(?:\([^)]*\))?\s*$/);
+  const utcOffset = zone
+    ? `${zone[1]}${zone[2]}:${zone[3]}`
+    : /\b(?:GMT|UT|UTC|Z)\b/.test(date) ? '+00:00' : null;
+
+  return { sentAt: new Date(time).toISOString(), utcOffset };
+}
@@ -0,0 +1,170 @@
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import telegramHtml from './telegramHtml.js';
+import telegramJson from './telegramJson.js';
+import zabbixEvents from './zabbixEvents.js';
+import csv from './csv.js';
+import email from './email.js';
+import { createDiagnostics } from '../diagnostics.js';
+
+// Only the start of a file is inspected when sniffing its format
+export const SNIFF_LENGTH = 64 * 1024;
+
+const formats = [];
+
+/**
+ * Register an ingestion format
+ * Formats are tried in registration order; the first detector that matches wins.
+ * @param {Object} format - name, label, extensions, detect(sample, filename),
+ *   parse(content, diagnostics) and optionally stream(input, diagnostics) yielding
+ *   alerts from a stream of text chunks. Parsers report skipped messages and
+ *   defaulted fields to the diagnostics collector when one is given. Formats that
+ *   carry Telegram message IDs may set messageIdPattern, a global RegExp whose first
+ *   group is the ID, so uploads can be fingerprinted by ID range (see utils/fingerprint.js).
+ */
+export function registerFormat(format) {
+  if (!format?.name || typeof format.detect !== 'function' || typeof format.parse !== 'function') {
+    throw new Error('A format needs a name, a detect function and a parse function');
+  }
+
+  if (formats.some(f => f.name === format.name)) {
+    throw new Error(`Format "${format.name}" is already registered`);
+  }
+
+  formats.push(format);
+}
+
+/**
+ * Get all registered formats
+ * @returns {Array} - Registered formats
+ */
+export function getFormats() {
+  return [...formats];
+}
+
+/**
+ * Get the file extensions accepted by any registered format
+ * @returns {Array<string>} - Extensions including the leading dot
+ */
+export function getSupportedExtensions() {
+  return [...new Set(formats.flatMap(f => f.extensions || []))];
+}
+
+/**
+ * Detect the format of a file by sniffing its content
+ * @param {string} content - File content (only the first SNIFF_LENGTH characters are used)
+ * @param {string} filename - Original filename, used as a hint
+ * @returns {Object|null} - Matching format or null
+ */
+export function detectFormat(content, filename = '') {
+  const sample = content.slice(0, SNIFF_LENGTH);
+  return formats.find(format => format.detect(sample, filename.toLowerCase())) || null;
+}
+
+/**
+ * Parse a file with the format detected from its content
+ * @param {string} content - File content
+ * @param {string} filename - Original filename
+ * @param {Object} diagnostics - Collector for skipped messages and defaulted fields
+ * @returns {Object} - format name, format label, parsed alerts and diagnostics
+ */
+export function parseFile(content, filename = '', diagnostics = createDiagnostics()) {
+  const format = detectFormat(content, filename);
+
+  if (!format) {
+    const error = new Error(`Unrecognized file format: ${filename || 'unknown file'}`);
+    error.status = 415;
+    throw error;
+  }
+
+  return {
+    format: format.name,
+    formatLabel: format.label,
+    alerts: format.parse(content, diagnostics),
+    diagnostics,
+  };
+}
+
+/**
+ * Open a file on disk as a stream of alerts
+ * Only the head of the file is read for detection. Formats with a stream()
+ * parser are consumed incrementally; the others are read fully and parsed.
+ * The file is opened when the first alert is requested and closed when the
+ * iteration ends, so a caller may drop the alerts without reading them.
+ * @param {string} filePath - Path of the file on disk
+ * @param {string} filename - Original filename
+ * @param {Object} diagnostics - Collector for skipped messages and defaulted fields;
+ *   it is filled as the alerts are consumed, so pass one in to share it across files
+ * @returns {Promise<Object>} - format name, format label, an async iterable of alerts,
+ *   diagnostics, the file size and bytesRead() for progress reporting
+ */
+export async function openFile(filePath, filename = '', diagnostics = createDiagnostics()) {
+  const handle = await fs.open(filePath, 'r');
+  let sample;
+  try {
+    const buffer = Buffer.alloc(SNIFF_LENGTH);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_LENGTH, 0);
+    sample = buffer.subarray(0, bytesRead).toString('utf-8');
+  } finally {
+    await handle.close();
+  }
+
+  const format = detectFormat(sample, filename);
+
+  if (!format) {
+    const error = new Error(`Unrecognized file format: ${filename || 'unknown file'}`);
+    error.status = 415;
+    throw error;
+  }
+
+  const { size } = await fs.stat(filePath);
+  let bytesRead;
+  let alerts;
+
+  if (format.stream) {
+    let input = null;
+    bytesRead = () => (input ? input.bytesRead : 0);
+    alerts = (async function* () {
+      input = createReadStream(filePath, { encoding: 'utf-8' });
+      try {
+        yield* format.stream(input, diagnostics);
+      } finally {
+        input.destroy();
+      }
+    })();
+  } else {
+    let loaded = false;
+    bytesRead = () => (loaded ? size : 0);
+    alerts = (async function* () {
+      const content = await fs.readFile(filePath, 'utf-8');
+      loaded = true;
+      yield* format.parse(content, diagnostics);
+    })();
+  }
+
+  return {
+    format: format.name,
+    formatLabel: format.label,
+    alerts,
+    diagnostics,
+    size,
+    bytesRead,
+  };
+}
+
+// Email first: its detector only matches header lines at the very start of a file,
+// while an mbox can contain HTML that looks like a Telegram export
+registerFormat(email);
+registerFormat(telegramHtml);
+registerFormat(telegramJson);
+registerFormat(zabbixEvents);
+registerFormat(csv);
+
+export default {
+  registerFormat,
+  getFormats,
+  getSupportedExtensions,
+  detectFormat,
+  parseFile,
+  openFile,
+};
@@ -0,0 +1,26 @@
+import { parseHTMLAlerts, streamHTMLAlerts } from '../parser.js';
+
+/**
+ * Telegram Desktop HTML export (messages.html, messages2.html, …)
+ */
+export default {
+  name: 'telegram-html',
+  label: 'Telegram HTML export',
+  extensions: ['.html', '.htm'],
+
+  // Service messages (date separators) have negative IDs and do not match
+  messageIdPattern: /id="message(\d+)"/g,
+
+  detect(sample, filename) {
+    if (/class="message\b/.test(sample) && /<html/i.test(sample)) return true;
+    return /\.html?$/.test(filename) && /<html/i.test(sample);
+  },
+
+  parse(content, diagnostics) {
+    return parseHTMLAlerts(content, diagnostics);
+  },
+
+  stream(input, diagnostics) {
+    return streamHTMLAlerts(input, diagnostics);
+  },
+};
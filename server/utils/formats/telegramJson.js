@@ -0,0 +1,99 @@
+import { parseAlertMessage } from '../parser.js';
+
+/**
+ * Telegram Desktop JSON export (result.json)
+ */
+export default {
+  name: 'telegram-json',
+  label: 'Telegram JSON export',
+  extensions: ['.json'],
+
+  // Telegram writes "id" right before "type" in every message object
+  messageIdPattern: /"id":\s*(\d+),\s*"type":\s*"message"/g,
+
+  detect(sample) {
+    return sample.trimStart().startsWith('{') &&
+      /"messages"\s*:\s*\[/.test(sample) &&
+      !/"eventid"\s*:/.test(sample);
+  },
+
+  parse(content, diagnostics = null) {
+    const data = JSON.parse(content);
+    const alerts = [];
+
+    for (const message of getMessages(data)) {
+      if (message.type !== 'message') {
+        diagnostics?.skip('service_message', message.id);
+        continue;
+      }
+
+      try {
+        const text = flattenText(message.text);
+        if (!text.trim()) {
+          diagnostics?.skip('no_text', message.id);
+          continue;
+        }
+
+        const alert = parseAlertMessage(
+          text,
+          { ...getSentTime(message), messageId: message.id },
+          diagnostics
+        );
+        if (alert.problem_id) {
+          alerts.push(alert);
+        } else {
+          diagnostics?.skip(message.reply_to_message_id ? 'reply' : 'no_problem_id', message.id);
+        }
+      } catch (error) {
+        console.error('Error parsing message:', error);
+        diagnostics?.skip('parse_error', message.id);
+      }
+    }
+
+    return alerts;
+  },
+};
+
+/**
+ * Get messages from a single-chat export or a full account export
+ */
+function getMessages(data) {
+  if (Array.isArray(data.messages)) return data.messages;
+  if (Array.isArray(data.chats?.list)) {
+    return data.chats.list.flatMap(chat => chat.messages || []);
+  }
+  return [];
+}
+
+/**
+ * Telegram stores rich text as an array of strings and entity objects
+ */
+function flattenText(text) {
+  if (typeof text === 'string') return text;
+  if (!Array.isArray(text)) return '';
+  return text.map(part => (typeof part === 'string' ? part : part.text || '')).join('');
+}
+
+/**
+ * Derive the send time and UTC offset from "date" (local) and "date_unixtime"
+ */
+function getSentTime(message) {
+  if (!message.date_unixtime) {
+    return { sentAt: null, utcOffset: null };
+  }
+
+  const unixMs = parseInt(message.date_unixtime, 10) * 1000;
+  const sentAt = new Date(unixMs).toISOString();
+
+  const localAsUtc = Date.parse(`${message.date}Z`);
+  if (isNaN(localAsUtc)) {
+    return { sentAt, utcOffset: null };
+  }
+
+  const offsetMinutes = Math.round((localAsUtc - unixMs) / 60000);
+  const sign = offsetMinutes < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offsetMinutes) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offsetMinutes) % 60).padStart(2, '0');
+
+  return { sentAt, utcOffset: `${sign}${hours}:${minutes}` };
+}
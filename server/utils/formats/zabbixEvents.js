@@ -0,0 +1,167 @@
+import crypto from 'crypto';
+import { buildAlert } from '../parser.js';
+import { parseCSV } from './csv.js';
+
+// Zabbix numeric severities (trigger priority 0-5)
+export const ZABBIX_SEVERITIES = ['Not classified', 'Information', 'Warning', 'Average', 'High', 'Disaster'];
+
+/**
+ * Zabbix event exports: JSON from event.get/problem.get or the frontend's Problems CSV
+ */
+export default {
+  name: 'zabbix-events',
+  label: 'Zabbix event export',
+  extensions: ['.json', '.csv'],
+
+  detect(sample) {
+    const trimmed = sample.trimStart();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      return /"eventid"\s*:/.test(sample);
+    }
+
+    const header = (sample.split(/\r?\n/)[0] || '').toLowerCase();
+    return header.includes('recovery time') && header.includes('problem') && header.includes('host');
+  },
+
+  parse(content, diagnostics = null) {
+    const trimmed = content.trimStart();
+    if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+      const data = JSON.parse(content);
+      const events = Array.isArray(data) ? data : data.result || [];
+      return events.flatMap(event => normalizeZabbixEvent(event, diagnostics));
+    }
+
+    return parseProblemsCSV(content, diagnostics);
+  },
+};
+
+/**
+ * Normalize a Zabbix problem event into alert events
+ * A recovered problem (r_eventid/r_clock set) also yields its OK event.
+ * Recovery events (value 0) carry no link to their problem and are skipped.
+ * Event IDs, the acknowledgement state and tags (selectTags) are kept.
+ * @param {Object} event - Event as returned by event.get or problem.get
+ * @param {Object} diagnostics - Optional collector from createDiagnostics()
+ * @returns {Array} - Alerts (PROBLEM and optionally OK)
+ */
+export function normalizeZabbixEvent(event, diagnostics = null) {
+  if (!event?.eventid) {
+    diagnostics?.skip('no_problem_id', event?.objectid);
+    return [];
+  }
+
+  if (String(event.value ?? '1') !== '1') {
+    diagnostics?.skip('recovery_event', event.eventid);
+    return [];
+  }
+
+  const host = event.hosts?.[0]?.host || event.hosts?.[0]?.name || event.host || null;
+  const severity = ZABBIX_SEVERITIES[parseInt(event.severity, 10)] || event.severity;
+  const clock = parseInt(event.clock, 10);
+  const openedAt = clock ? new Date(clock * 1000).toISOString() : null;
+
+  const common = {
+    problemId: event.eventid,
+    problemName: event.name,
+    host,
+    severity,
+    description: event.opdata ? `${event.name}\n${event.opdata}` : event.name || '',
+    sourceId: event.eventid,
+    acknowledged: event.acknowledged === undefined ? null : String(event.acknowledged) === '1',
+    tags: Array.isArray(event.tags) ? event.tags : null,
+  };
+
+  const alerts = [buildAlert({
+    ...common,
+    status: 'PROBLEM',
+    eventTime: openedAt,
+    eventId: event.eventid,
+  }, diagnostics)];
+
+  const recoveryClock = parseInt(event.r_clock, 10);
+  if (event.r_eventid && event.r_eventid !== '0' && recoveryClock) {
+    const seconds = clock ? recoveryClock - clock : null;
+    alerts.push(buildAlert({
+      ...common,
+      status: 'OK',
+      eventTime: new Date(recoveryClock * 1000).toISOString(),
+      eventId: event.r_eventid,
+      duration: seconds === null || seconds >= 0
+        ? { seconds, flag: null }
+        : { seconds: null, flag: 'negative' },
+    }, diagnostics));
+  }
+
+  return alerts;
+}
+
+/**
+ * Parse the Problems view CSV export (Severity, Time, Recovery time, Status, Host, Problem, …)
+ * The export has no event IDs, so a stable ID is derived from host, problem and start time.
+ */
+function parseProblemsCSV(content, diagnostics) {
+  const [header, ...rows] = parseCSV(content);
+  const index = name => header.findIndex(h => h.trim().toLowerCase() === name);
+
+  const columns = {
+    severity: index('severity'),
+    time: index('time'),
+    recoveryTime: index('recovery time'),
+    host: index('host'),
+    problem: index('problem'),
+  };
+
+  const alerts = [];
+
+  rows.forEach((row, index) => {
+    const get = column => (columns[column] !== -1 ? row[columns[column]]?.trim() : null);
+    const rowNumber = `row ${index + 2}`;
+
+    const host = get('host');
+    const problemName = get('problem');
+    const openedAt = parseLocalTime(get('time'));
+    if (!host || !problemName || !openedAt) {
+      diagnostics?.skip('missing_fields', rowNumber);
+      return;
+    }
+
+    const problemId = 'z' + crypto
+      .createHash('sha1')
+      .update(`${host}|${problemName}|${openedAt}`)
+      .digest('hex')
+      .slice(0, 19);
+
+    const common = {
+      problemId,
+      problemName,
+      host,
+      severity: get('severity'),
+      description: row.join(', '),
+      sourceId: rowNumber,
+    };
+
+    alerts.push(buildAlert({ ...common, status: 'PROBLEM', eventTime: openedAt }, diagnostics));
+
+    const resolvedAt = parseLocalTime(get('recoveryTime'));
+    if (resolvedAt) {
+      const seconds = Math.round((new Date(resolvedAt) - new Date(openedAt)) / 1000);
+      alerts.push(buildAlert({
+        ...common,
+        status: 'OK',
+        eventTime: resolvedAt,
+        duration: seconds >= 0 ? { seconds, flag: null } : { seconds: null, flag: 'negative' },
+      }, diagnostics));
+    }
+  });
+
+  return alerts;
+}
+
+/**
+ * Zabbix frontend times are "YYYY-MM-DD HH:MM:SS" without a zone; read them as UTC
+ */
+function parseLocalTime(value) {
+  if (!value) return null;
+  const date = new Date(`${value.replace(' ', 'T')}Z`);
+  return isNaN(date) ? null : date.toISOString();
+}
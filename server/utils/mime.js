@@ -0,0 +1,223 @@
+import { Parser } from 'htmlparser2';
+
+/**
+ * Just enough MIME (RFC 2045-2047) to read notification emails: headers,
+ * encoded-word subjects, multipart bodies, base64 and quoted-printable parts,
+ * and HTML-only messages.
+ */
+
+// Nested multiparts and forwarded messages followed at most this deep
+const MAX_DEPTH = 5;
+
+/**
+ * Parse a raw RFC 5322 message
+ * @param {string} raw - Message source (headers, blank line, body)
+ * @returns {Object} - headers (Map of lower-case names), subject, from, date,
+ *   messageId and text (the plain text body; HTML bodies converted to text)
+ */
+export function parseEmail(raw) {
+  const { headers, body } = splitHeaders(raw);
+
+  return {
+    headers,
+    subject: decodeHeader(headers.get('subject') || ''),
+    from: decodeHeader(headers.get('from') || ''),
+    date: headers.get('date') || null,
+    messageId: headers.get('message-id')?.replace(/^<|>$/g, '') || null,
+    text: extractText(headers, body, 0).replace(/\r\n?/g, '\n'),
+  };
+}
+
+/**
+ * Decode RFC 2047 encoded words ("=?UTF-8?B?...?=") in a header value
+ * @param {string} value - Raw header value
+ * @returns {string} - Decoded value
+ */
+export function decodeHeader(value) {
+  return value
+    // Whitespace between two encoded words is not part of the text
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?*]+)(?:\*[^?]*)?\?([BbQq])\?([^?]*)\?=/g, (word, charset, encoding, text) => {
+      const bytes = encoding.toUpperCase() === 'B'
+        ? Buffer.from(text, 'base64')
+        : decodeQuotedPrintable(text.replace(/_/g, ' '));
+      return decodeCharset(bytes, charset);
+    })
+    .trim();
+}
+
+/**
+ * Split a message or body part into unfolded headers and its body
+ */
+function splitHeaders(raw) {
+  const separator = raw.match(/\r?\n\r?\n/);
+  const head = separator ? raw.slice(0, separator.index) : raw;
+  const body = separator ? raw.slice(separator.index + separator[0].length) : '';
+
+  const headers = new Map();
+  for (const line of head.replace(/\r?\n(?=[ \t])/g, '').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+
+    const name = line.slice(0, colon).trim().toLowerCase();
+    if (!headers.has(name)) headers.set(name, line.slice(colon + 1).trim());
+  }
+
+  return { headers, body };
+}
+
+/**
+ * Split "type/subtype; key=value; ..." into the type and its parameters
+ */
+function parseContentType(value) {
+  const [type, ...rest] = (value || 'text/plain').split(';');
+  const params = {};
+
+  for (const param of rest) {
+    const match = param.match(/^\s*([\w*-]+)\s*=\s*"?([^"]*)"?\s*$/);
+    if (match) params[match[1].toLowerCase()] = match[2];
+  }
+
+  return { type: type.trim().toLowerCase(), params };
+}
+
+/**
+ * Find the text of a part: text/plain preferred, then text/html converted to text
+ */
+function extractText(headers, body, depth) {
+  const parts = [];
+  collectTextParts(headers, body, depth, parts);
+
+  const plain = parts.find(part => part.type === 'text/plain' && part.text.trim());
+  if (plain) return plain.text;
+
+  const html = parts.find(part => part.type === 'text/html');
+  return html ? htmlToText(html.text) : '';
+}
+
+function collectTextParts(headers, body, depth, parts) {
+  const { type, params } = parseContentType(headers.get('content-type'));
+  const disposition = (headers.get('content-disposition') || '').toLowerCase();
+
+  if (type.startsWith('multipart/') && params.boundary && depth < MAX_DEPTH) {
+    for (const part of splitMultipart(body, params.boundary)) {
+      const nested = splitHeaders(part);
+      collectTextParts(nested.headers, nested.body, depth + 1, parts);
+    }
+    return;
+  }
+
+  // A forwarded alert is a message inside the message
+  if (type === 'message/rfc822' && depth < MAX_DEPTH) {
+    const nested = splitHeaders(decodeBody(headers, body, null));
+    collectTextParts(nested.headers, nested.body, depth + 1, parts);
+    return;
+  }
+
+  if ((type === 'text/plain' || type === 'text/html') && !disposition.startsWith('attachment')) {
+    parts.push({ type, text: decodeBody(headers, body, params.charset) });
+  }
+}
+
+/**
+ * Get the parts between "--boundary" lines, up to the closing "--boundary--"
+ */
+function splitMultipart(body, boundary) {
+  const delimiter = `--${boundary}`;
+  const parts = [];
+  let current = null;
+
+  for (const line of body.split(/\r?\n/)) {
+    if (line.startsWith(delimiter)) {
+      if (current) parts.push(current.join('\n'));
+      if (line.slice(delimiter.length).startsWith('--')) return parts;
+      current = [];
+    } else if (current) {
+      current.push(line);
+    }
+  }
+
+  if (current) parts.push(current.join('\n'));
+  return parts;
+}
+
+/**
+ * Undo the Content-Transfer-Encoding of a body and decode its charset
+ */
+function decodeBody(headers, body, charset) {
+  const encoding = (headers.get('content-transfer-encoding') || '').trim().toLowerCase();
+
+  if (encoding === 'base64') {
+    return decodeCharset(Buffer.from(body.replace(/\s+/g, ''), 'base64'), charset);
+  }
+  if (encoding === 'quoted-printable') {
+    return decodeCharset(decodeQuotedPrintable(body), charset);
+  }
+
+  // 7bit/8bit bodies were already read as text
+  return body;
+}
+
+function decodeQuotedPrintable(text) {
+  const source = text.replace(/=\r?\n/g, '');
+  const bytes = [];
+
+  for (let i = 0; i < source.length; i++) {
+    const hex = source[i] === '=' ? source.slice(i + 1, i + 3) : null;
+    if (hex && /^[0-9A-Fa-f]{2}$/.test(hex)) {
+      bytes.push(parseInt(hex, 16));
+      i += 2;
+    } else {
+      bytes.push(...Buffer.from(source[i], 'utf8'));
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+function decodeCharset(bytes, charset) {
+  try {
+    return new TextDecoder((charset || 'utf-8').trim().toLowerCase()).decode(bytes);
+  } catch {
+    return bytes.toString('utf8');
+  }
+}
+
+/**
+ * Convert an HTML body to text, keeping line breaks
+ */
+function htmlToText(html) {
+  const BLOCKS = new Set(['p', 'div', 'tr', 'li', 'h1', 'h2', 'h3', 'h4', 'table']);
+  let text = '';
+  let skipped = 0;
+
+  const parser = new Parser(
+    {
+      onopentag(name) {
+        if (name === 'style' || name === 'script') skipped++;
+        if (name === 'br') text += '\n';
+      },
+      ontext(chunk) {
+        if (!skipped) text += chunk;
+      },
+      onclosetag(name) {
+        if (name === 'style' || name === 'script') skipped--;
+        if (BLOCKS.has(name)) text += '\n';
+      },
+    },
+    { decodeEntities: true }
+  );
+  parser.write(html);
+  parser.end();
+
+  return text
+    .replace(/\u00A0/g, ' ')
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+export default {
+  parseEmail,
+  decodeHeader,
+};
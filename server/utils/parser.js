@@ -1,53 +1,171 @@
-import * as cheerio from 'cheerio';
+import { Parser } from 'htmlparser2';
+import { classifyProblem } from './classifier.js';
+
+// Zabbix severity names mapped to the severities stored in the database
+const SEVERITY_MAP = {
+  'high': 'HIGH',
+  'average': 'WARNING',
+  'warning': 'WARNING',
+  'low': 'LOW',
+  'information': 'INFO',
+  'disaster': 'CRITICAL',
+  'critical': 'CRITICAL'
+};
+
+// Seconds an event time may be later than the send time (clock drift between Zabbix and Telegram)
+const EVENT_TIME_TOLERANCE = 120;
 
 /**
  * Parse HTML file and extract network monitoring alerts from Telegram export format
  * @param {string} htmlContent - HTML content to parse
+ * @param {Object} diagnostics - Optional collector from createDiagnostics()
  * @returns {Array} - Array of parsed alert objects
  */
-export function parseHTMLAlerts(htmlContent) {
-  const $ = cheerio.load(htmlContent);
+export function parseHTMLAlerts(htmlContent, diagnostics = null) {
   const alerts = [];
+  const parser = createMessageParser(alert => alerts.push(alert), diagnostics);
 
-  // Find all message divs
-  $('.message.default').each((index, element) => {
-    try {
-      const $message = $(element);
+  parser.write(htmlContent);
+  parser.end();
 
-      // Get the text content
-      const textDiv = $message.find('.text');
-      if (textDiv.length === 0) return;
-
-      const textContent = textDiv.html();
-      if (!textContent) return;
+  return alerts;
+}
 
-      // Get date/time from title attribute
-      const dateElement = $message.find('.pull_right.date.details');
-      const dateTitle = dateElement.attr('title');
+/**
+ * Stream alerts out of a Telegram HTML export without loading the whole document
+ * Memory use is bounded by the chunk size, so exports of hundreds of MB are fine.
+ * @param {AsyncIterable<string>} input - HTML chunks, e.g. fs.createReadStream(path, 'utf-8')
+ * @param {Object} diagnostics - Optional collector from createDiagnostics()
+ * @returns {AsyncGenerator<Object>} - Parsed alert objects in document order
+ */
+export async function* streamHTMLAlerts(input, diagnostics = null) {
+  let queue = [];
+  const parser = createMessageParser(alert => queue.push(alert), diagnostics);
 
-      // Parse the alert text
-      const alert = parseAlertText(textContent, dateTitle);
+  for await (const chunk of input) {
+    parser.write(chunk);
 
-      if (alert && alert.problem_id) {
-        alerts.push(alert);
-      }
-    } catch (error) {
-      console.error('Error parsing message:', error);
+    if (queue.length > 0) {
+      const ready = queue;
+      queue = [];
+      yield* ready;
     }
-  });
+  }
 
-  return alerts;
+  parser.end();
+  yield* queue;
 }
 
 /**
- * Parse alert text content
+ * Create a SAX parser that calls onAlert for every ".message.default" div
+ * Tracks div depth to find each message's date title and ".text" content.
+ * Messages that yield no alert are reported to diagnostics with the reason.
  */
-function parseAlertText(htmlText, dateTitle) {
-  // Remove HTML tags and get plain text
-  const text = htmlText.replace(/<br\s*\/?>/gi, '\n').replace(/<[^>]+>/g, '');
+function createMessageParser(onAlert, diagnostics) {
+  let depth = 0;
+  let message = null;
+
+  const hasClass = (attribs, ...names) => {
+    const classes = (attribs.class || '').split(/\s+/);
+    return names.every(name => classes.includes(name));
+  };
+
+  return new Parser(
+    {
+      onopentag(name, attribs) {
+        if (name === 'br') {
+          if (message?.textDepth) message.text += '\n';
+          return;
+        }
+
+        if (name !== 'div') return;
+        depth++;
+
+        // Find all message divs
+        if (!message && hasClass(attribs, 'message')) {
+          message = {
+            depth,
+            id: attribs.id?.replace(/^message/, '') || null,
+            service: !hasClass(attribs, 'default'),
+            reply: false,
+            dateTitle: null,
+            text: null,
+            textDepth: null,
+          };
+          return;
+        }
+
+        if (!message) return;
+
+        // Get date/time from title attribute
+        if (hasClass(attribs, 'pull_right', 'date', 'details')) {
+          message.dateTitle = attribs.title;
+        } else if (hasClass(attribs, 'reply_to')) {
+          message.reply = true;
+        } else if (message.text === null && hasClass(attribs, 'text')) {
+          message.text = '';
+          message.textDepth = depth;
+        }
+      },
+
+      ontext(text) {
+        if (message?.textDepth) message.text += text;
+      },
+
+      onclosetag(name) {
+        if (name !== 'div') return;
 
-  const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+        if (message?.textDepth === depth) {
+          message.textDepth = null;
+        }
 
+        if (message?.depth === depth) {
+          const { id, service, reply, text, dateTitle } = message;
+          message = null;
+
+          try {
+            if (service) {
+              diagnostics?.skip('service_message', id);
+            } else if (!text?.trim()) {
+              diagnostics?.skip('no_text', id);
+            } else {
+              // Parse the alert text
+              const alert = parseAlertMessage(
+                text,
+                { ...parseDateTitle(dateTitle), messageId: id },
+                diagnostics
+              );
+              if (alert && alert.problem_id) {
+                onAlert(alert);
+              } else {
+                diagnostics?.skip(reply ? 'reply' : 'no_problem_id', id);
+              }
+            }
+          } catch (error) {
+            console.error('Error parsing message:', error);
+            diagnostics?.skip('parse_error', id);
+          }
+        }
+
+        depth--;
+      },
+    },
+    { decodeEntities: true }
+  );
+}
+
+/**
+ * Parse a plain-text Zabbix notification ("Problem started at …") into an alert
+ * @param {string} text - Plain message text
+ * @param {Object} message - sentAt (ISO string), utcOffset ("-05:00") and messageId of the message
+ * @param {Object} diagnostics - Optional collector from createDiagnostics()
+ * @returns {Object} - Alert object
+ */
+export function parseAlertMessage(
+  text,
+  { sentAt = null, utcOffset = null, messageId = null } = {},
+  diagnostics = null
+) {
   // Determine status from emoji
   let status = 'UNKNOWN';
   if (text.includes('✅') || text.includes('resolved')) {
@@ -62,99 +180,220 @@ function parseAlertText(htmlText, dateTitle) {
   const severity = extractField(text, /Severity:\s*(.+?)(?:\n|$)/i);
   const problemId = extractField(text, /Original problem ID:\s*(\d+)/i);
 
-  // Extract timestamp
-  let timestamp = new Date().toISOString();
-  if (dateTitle) {
-    // Parse format like "23.02.2022 10:12:45 UTC-05:00"
-    const match = dateTitle.match(/(\d{2})\.(\d{2})\.(\d{4})\s+(\d{2}):(\d{2}):(\d{2})/);
-    if (match) {
-      const [, day, month, year, hour, minute, second] = match;
-      timestamp = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}Z`).toISOString();
-    }
-  }
+  // The actual event time comes from "Problem started at … on …" in the body
+  const eventTime = parseEventTime(text, utcOffset);
 
-  // Extract duration if mentioned
-  let duration_seconds = 0;
-  const durationMatch = text.match(/after\s+(\d+)m/i) || text.match(/After\s+(\d+)m/i);
-  if (durationMatch) {
-    duration_seconds = parseInt(durationMatch[1]) * 60;
-  }
+  // Extract duration if mentioned ("After 1d 2h 3m 4s")
+  const duration = parseDuration(text);
 
-  // Determine alert type and interface
-  let alert_type = 'General Alert';
-  let interface_name = null;
+  return buildAlert({
+    problemId,
+    status,
+    problemName,
+    host,
+    severity,
+    eventTime,
+    sentAt,
+    utcOffset,
+    duration,
+    description: text,
+    sourceId: messageId,
+  }, diagnostics);
+}
 
-  if (problemName) {
-    alert_type = problemName;
+/**
+ * Build an alert in the shape stored in the alerts table
+ * Shared by every ingestion format so they all normalize the same way
+ * @param {Object} fields - Raw fields extracted from a message or record;
+ *   sourceId (message ID, event ID or row) is only used for diagnostics;
+ *   eventId, acknowledged and tags are set by sources that know Zabbix's own
+ *   event (the recovery event for OK), acknowledgement state and tags
+ * An event time later than the send time was read in the wrong time zone (🌏
+ * messages state it in the source's zone, not the sender's); the send time is
+ * used instead and event_time_flag is set to 'after_sent'.
+ * @param {Object} diagnostics - Optional collector told about defaulted fields
+ * @returns {Object} - Alert object
+ */
+export function buildAlert({
+  problemId,
+  status,
+  problemName,
+  host,
+  severity,
+  eventTime = null,
+  sentAt = null,
+  utcOffset = null,
+  duration = { seconds: 0, flag: null },
+  description = '',
+  sourceId = null,
+  eventId = null,
+  acknowledged = null,
+  tags = null,
+}, diagnostics = null) {
+  const eventTimeFlag = eventTime && sentAt &&
+    new Date(eventTime) - new Date(sentAt) > EVENT_TIME_TOLERANCE * 1000 ? 'after_sent' : null;
+  if (eventTimeFlag) eventTime = null;
 
-    // Extract interface name if present
-    const interfaceMatch = problemName.match(/Interface\s+([^:]+?):/);
-    if (interfaceMatch) {
-      interface_name = interfaceMatch[1].trim();
-    }
-  }
+  const timestamp = eventTime || sentAt || new Date().toISOString();
 
-  // Map severity
-  const severityMap = {
-    'high': 'HIGH',
-    'average': 'WARNING',
-    'warning': 'WARNING',
-    'low': 'LOW',
-    'disaster': 'CRITICAL',
-    'critical': 'CRITICAL'
-  };
+  // Alerts without a problem ID are dropped by the caller, so only report kept ones
+  if (diagnostics && problemId) {
+    if (!host) diagnostics.defaulted('host', sourceId);
+    if (!SEVERITY_MAP[severity?.toLowerCase()]) diagnostics.defaulted('severity', sourceId);
+    if (!eventTime && !sentAt) diagnostics.defaulted('timestamp', sourceId);
+    if (eventTimeFlag) diagnostics.defaulted('event_time', sourceId);
+  }
 
-  const mappedSeverity = severityMap[severity?.toLowerCase()] || 'WARNING';
+  // Determine alert type, category and structured fields from the problem name
+  const alert_type = problemName || 'General Alert';
+  const classification = classifyProblem(problemName, host);
 
   return {
-    problem_id: problemId,
+    problem_id: problemId ? String(problemId) : null,
     timestamp: timestamp,
     status: status,
     alert_type: alert_type,
     host: host || 'UNKNOWN',
-    interface: interface_name,
-    severity: mappedSeverity,
-    provider: null,
-    duration_seconds: duration_seconds,
-    description: text.substring(0, 500),
+    interface: classification.port,
+    severity: mapSeverity(severity),
+    provider: classification.provider,
+    alert_category: classification.alert_category,
+    device: classification.device,
+    port: classification.port,
+    interface_description: classification.interface_description,
+    threshold: classification.threshold,
+    duration_seconds: duration.seconds,
+    duration_flag: duration.flag,
+    event_time: eventTime,
+    event_time_flag: eventTimeFlag,
+    sent_at: sentAt,
+    utc_offset: utcOffset,
+    description: description.substring(0, 500),
+    // As parsed, before normalization rules rewrite host, severity and alert_type
+    raw_host: host || null,
+    raw_severity: severity ? String(severity) : null,
+    raw_alert_type: problemName || null,
+    source_event_id: eventId ? String(eventId) : null,
+    acknowledged,
+    tags,
   };
 }
 
 /**
- * Extract field using regex
+ * Map a Zabbix severity name to the severities stored in the database
+ * @param {string|null} severity - Severity as reported ("High", "Average", …)
+ * @returns {string} - CRITICAL, HIGH, WARNING, LOW or INFO
  */
-function extractField(text, regex) {
-  const match = text.match(regex);
-  return match ? match[1].trim() : null;
+export function mapSeverity(severity) {
+  return SEVERITY_MAP[severity?.toLowerCase()] || 'WARNING';
 }
 
 /**
- * Get preview statistics from HTML
- * @param {string} htmlContent - HTML content
- * @returns {Object} - Preview statistics
+ * Parse a Telegram date title like "23.02.2022 10:12:45 UTC-05:00"
+ * @param {string} dateTitle - Title attribute of the message date element
+ * @returns {Object} - sentAt as ISO string and utcOffset like "-05:00"
  */
-export function getPreviewStats(htmlContent) {
-  const alerts = parseHTMLAlerts(htmlContent);
+export function parseDateTitle(dateTitle) {
+  const result = { sentAt: null, utcOffset: null };
+  if (!dateTitle) return result;
+
+  const offsetMatch = dateTitle.match(/UTC([+-]\d{2}):?(\d{2})/);
+  if (offsetMatch) {
+    result.utcOffset = `${offsetMatch[1]}:${offsetMatch[2]}`;
+  }
 
-  const timestamps = alerts
-    .map(a => new Date(a.timestamp))
-    .filter(d => !isNaN(d));
+  const match = dateTitle.match(/(\d{2})\.(\d{2})\.(\d{4})\s+(\d{2}):(\d{2}):(\d{2})/);
+  if (match) {
+    const [, day, month, year, hour, minute, second] = match;
+    result.sentAt = toISOString(year, month, day, hour, minute, second, result.utcOffset);
+  }
 
-  const hosts = [...new Set(alerts.map(a => a.host))].filter(h => h !== 'UNKNOWN');
+  return result;
+}
 
-  return {
-    totalMessages: alerts.length,
-    dateRange: {
-      start: timestamps.length > 0 ? new Date(Math.min(...timestamps)) : null,
-      end: timestamps.length > 0 ? new Date(Math.max(...timestamps)) : null,
-    },
-    hostsCount: hosts.length,
-    hosts: hosts,
-    alerts: alerts,
-  };
+/**
+ * Parse the event time from the message body
+ * Handles "at 10:12:38 on 2022.02.23" and the 🌏 variant where the date
+ * follows the duration on the next line ("at 03:34:50 on  after 1m\n2022.02.24")
+ * @param {string} text - Plain alert text
+ * @param {string|null} utcOffset - Offset to interpret the local time in
+ * @returns {string|null} - Event time as ISO string
+ */
+export function parseEventTime(text, utcOffset) {
+  const match = text.match(
+    /\bat\s+(\d{1,2}):(\d{2}):(\d{2})\s+on\s+(?:after[^\n]*\n)?\s*(\d{4})\.(\d{2})\.(\d{2})/i
+  );
+  if (!match) return null;
+
+  const [, hour, minute, second, year, month, day] = match;
+  return toISOString(year, month, day, hour.padStart(2, '0'), minute, second, utcOffset);
+}
+
+/**
+ * Parse a Zabbix duration like "After 1d 2h 3m 4s" into seconds
+ * Notification emails state it as "Problem duration: …" or "Resolved in …".
+ * Negative or out-of-range values are flagged instead of stored
+ * @param {string} text - Plain alert text
+ * @returns {Object} - seconds (number or null) and flag (null, 'negative' or 'invalid')
+ */
+export function parseDuration(text) {
+  const match = text.match(/\b(?:after|problem duration:|resolved in)\s+(-?\d+\s*[dhms](?:\s+-?\d+\s*[dhms])*)\b/i);
+  if (!match) return { seconds: 0, flag: null };
+
+  const units = { d: 86400, h: 3600, m: 60, s: 1 };
+  const limits = { h: 24, m: 60, s: 60 };
+  const parts = {};
+
+  for (const [, value, unit] of match[1].matchAll(/(-?\d+)\s*([dhms])/gi)) {
+    const key = unit.toLowerCase();
+    if (parts[key] !== undefined) return { seconds: null, flag: 'invalid' };
+    parts[key] = parseInt(value, 10);
+  }
+
+  const values = Object.values(parts);
+  if (values.some(v => v < 0)) {
+    return { seconds: null, flag: 'negative' };
+  }
+
+  // A component can only exceed its range when it is the largest unit given
+  const largest = Object.keys(units).find(unit => parts[unit] !== undefined);
+  const outOfRange = Object.entries(limits).some(
+    ([unit, limit]) => unit !== largest && parts[unit] !== undefined && parts[unit] >= limit
+  );
+  if (outOfRange) {
+    return { seconds: null, flag: 'invalid' };
+  }
+
+  const seconds = Object.entries(parts).reduce(
+    (total, [unit, value]) => total + value * units[unit],
+    0
+  );
+  return { seconds, flag: null };
+}
+
+/**
+ * Build an ISO timestamp from local date parts and a UTC offset
+ */
+function toISOString(year, month, day, hour, minute, second, utcOffset) {
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${utcOffset || 'Z'}`);
+  return isNaN(date) ? null : date.toISOString();
+}
+
+/**
+ * Extract field using regex
+ */
+function extractField(text, regex) {
+  const match = text.match(regex);
+  return match ? match[1].trim() : null;
 }
 
 export default {
   parseHTMLAlerts,
-  getPreviewStats,
+  streamHTMLAlerts,
+  parseAlertMessage,
+  buildAlert,
+  mapSeverity,
+  parseDateTitle,
+  parseEventTime,
+  parseDuration,
 };
@@ -0,0 +1,176 @@
+/**
+ * Syslog messages from network devices
+ * Accepts RFC 5424 and RFC 3164 (BSD) messages, including the variants Cisco and
+ * Juniper devices send: a sequence number before the timestamp, "*" or "."
+ * before it, milliseconds, a year, a zone name, or no hostname at all.
+ */
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Severity names by syslog severity code
+export const SYSLOG_SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+// <PRI>VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID STRUCTURED-DATA [MSG]
+const RFC5424 = /^1 (\S+) (\S+) (\S+) (\S+) (\S+) (-|(?:\[(?:[^\]\\]|\\.)*\])+)(?: (.*))?$/s;
+
+// [seq: ][*|.]Mmm dd [yyyy ]hh:mm:ss[.mmm][ ZONE][:] rest
+const RFC3164 = new RegExp(
+  `^(?:\\d+:\\s*)?[*.]?(${MONTHS.join('|')})\\s+(\\d{1,2})\\s+(?:(\\d{4})\\s+)?` +
+  '(\\d{2}):(\\d{2}):(\\d{2})(?:\\.\\d+)?(?:\\s+[A-Z]{3,5})?:?\\s+(.*)$',
+  's'
+);
+
+// TAG[pid]: at the start of an RFC 3164 message ("sshd[42]:", "%LINK-3-UPDOWN:")
+const TAG = /^%?([\w./-]+)(?:\[(\w+)\])?:\s*/;
+
+/**
+ * Parse one syslog message
+ * @param {string} text - Message as received, without the transport framing
+ * @param {Object} options - receivedAt (Date), sourceIp of the sender, and
+ *   utcOffset ("-05:00") for RFC 3164 timestamps, which carry no zone
+ * @returns {Object|null} - timestamp, raw_host, source_ip, facility, severity,
+ *   app_name, proc_id, msg_id and message; null for an empty message
+ */
+export function parseSyslogMessage(text, { receivedAt = new Date(), sourceIp = null, utcOffset = null } = {}) {
+  let line = String(text).replace(/[\r\n\0]+$/, '');
+  if (!line.trim()) return null;
+
+  let facility = null;
+  let severity = null;
+  const pri = line.match(/^<(\d{1,3})>/);
+  if (pri) {
+    facility = Math.floor(parseInt(pri[1], 10) / 8);
+    severity = parseInt(pri[1], 10) % 8;
+    line = line.slice(pri[0].length);
+  }
+
+  const message = {
+    timestamp: null,
+    raw_host: null,
+    source_ip: sourceIp,
+    facility,
+    severity,
+    app_name: null,
+    proc_id: null,
+    msg_id: null,
+    message: line,
+  };
+
+  const structured = line.match(RFC5424);
+  if (structured) {
+    const [, timestamp, hostname, appName, procId, msgId, , body] = structured;
+    const date = timestamp === '-' ? null : new Date(timestamp);
+
+    Object.assign(message, {
+      timestamp: date && !isNaN(date) ? date.toISOString() : null,
+      raw_host: nil(hostname),
+      app_name: nil(appName),
+      proc_id: nil(procId),
+      msg_id: nil(msgId),
+      message: (body || '').replace(/^\uFEFF/, ''),
+    });
+  } else {
+    const bsd = line.match(RFC3164);
+    if (bsd) {
+      const [, month, day, year, hour, minute, second, rest] = bsd;
+      message.timestamp = toBsdTimestamp(month, day, year, hour, minute, second, receivedAt, utcOffset);
+
+      // The hostname is the first word, unless the device left it out and the tag comes first
+      const [first] = rest.split(/\s/, 1);
+      const content = first && !first.endsWith(':') && !first.startsWith('%')
+        ? rest.slice(first.length).trimStart()
+        : rest;
+      if (content !== rest) message.raw_host = first;
+
+      const tag = content.match(TAG);
+      if (tag) {
+        message.app_name = tag[1];
+        message.proc_id = tag[2] || null;
+      }
+      message.message = content;
+    }
+  }
+
+  message.timestamp ||= receivedAt.toISOString();
+  return message;
+}
+
+/**
+ * Split a TCP stream into messages (RFC 6587 octet counting or newline framing)
+ * @param {Function} onMessage - Called with each complete message
+ * @param {number} maxLength - Longest message accepted; longer input throws
+ * @returns {Function} - Push the next chunk (Buffer) into the framer
+ */
+export function createSyslogFramer(onMessage, maxLength = 65536) {
+  let buffer = Buffer.alloc(0);
+
+  return (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    while (buffer.length > 0) {
+      // Octet counting: "LEN SP MSG"
+      const counted = buffer.subarray(0, 8).toString('latin1').match(/^([1-9]\d{0,5}) /);
+      if (counted) {
+        const length = parseInt(counted[1], 10);
+        const start = counted[0].length;
+        if (length > maxLength) throw new Error(`Syslog message of ${length} bytes is too long`);
+        if (buffer.length < start + length) break;
+
+        onMessage(buffer.subarray(start, start + length).toString('utf8'));
+        buffer = buffer.subarray(start + length);
+        continue;
+      }
+
+      const end = buffer.indexOf(0x0a);
+      if (end === -1) {
+        if (buffer.length > maxLength) throw new Error('Syslog message without a line end is too long');
+        break;
+      }
+
+      onMessage(buffer.subarray(0, end).toString('utf8'));
+      buffer = buffer.subarray(end + 1);
+    }
+  };
+}
+
+/**
+ * Resolve the host a message belongs to, as alerts name it
+ * The hostname is looked up in the host alias rules; a device that sends no
+ * hostname is looked up by its IP address, so an alias rule from the address
+ * links it. A hostname always wins over the sender, which may be a relay.
+ * @param {Object} message - Parsed message with raw_host and source_ip
+ * @param {Map} hostAliases - Alias lookup from compileRules()
+ * @returns {string|null} - Host name
+ */
+export function resolveSyslogHost(message, hostAliases) {
+  const name = message.raw_host || message.source_ip;
+  if (!name) return null;
+  return hostAliases.get(name.trim().toLowerCase()) || name;
+}
+
+function nil(value) {
+  return value === '-' ? null : value;
+}
+
+/**
+ * RFC 3164 timestamps have no year or zone; a date that would lie in the future is from last year
+ */
+function toBsdTimestamp(month, day, year, hour, minute, second, receivedAt, utcOffset) {
+  const pad = value => String(value).padStart(2, '0');
+  const build = y => new Date(
+    `${y}-${pad(MONTHS.indexOf(month) + 1)}-${pad(day)}T${hour}:${minute}:${second}${utcOffset || 'Z'}`
+  );
+
+  let date = build(year || receivedAt.getUTCFullYear());
+  if (!year && date - receivedAt > 24 * 60 * 60 * 1000) {
+    date = build(receivedAt.getUTCFullYear() - 1);
+  }
+  return isNaN(date) ? null : date.toISOString();
+}
+
+export default {
+  SYSLOG_SEVERITIES,
+  parseSyslogMessage,
+  createSyslogFramer,
+  resolveSyslogHost,
+};
@@ -0,0 +1,87 @@
+import { parseAlertMessage } from './parser.js';
+
+/**
+ * Telegram Bot API updates (getUpdates results and webhook bodies)
+ * A bot that is an administrator of the alert channel receives every post as a
+ * channel_post; in a group it receives message. Edits are ignored: Zabbix never
+ * edits a notification once sent.
+ */
+
+// Update types requested from getUpdates and setWebhook
+export const ALLOWED_UPDATES = ['channel_post', 'message'];
+
+/**
+ * Get the message of an update, if it carries one
+ * @param {Object} update - Telegram Update object
+ * @returns {Object|null} - Message object
+ */
+export function getUpdateMessage(update) {
+  return update?.channel_post || update?.message || null;
+}
+
+/**
+ * Whether a message was posted in the configured chat
+ * @param {Object} message - Telegram Message object
+ * @param {string|null} chat - Chat ID, @username or title; any chat when empty
+ * @returns {boolean} - True when the message belongs to the chat
+ */
+export function isFromChat(message, chat) {
+  if (!chat) return true;
+
+  const wanted = chat.replace(/^@/, '').toLowerCase();
+  return [message.chat?.id, message.chat?.username, message.chat?.title]
+    .filter(value => value !== undefined && value !== null)
+    .some(value => String(value).toLowerCase() === wanted);
+}
+
+/**
+ * Normalize one update into the alert shape the parsers produce
+ * The text goes through parseAlertMessage(), exactly like a message of an export.
+ * Bot API dates are Unix times without the sender's zone, so the offset of the
+ * times written in the text has to be configured.
+ * @param {Object} update - Telegram Update object
+ * @param {Object} options - chat to accept and utcOffset ("-05:00") of the alert text
+ * @param {Object} diagnostics - Optional collector from createDiagnostics()
+ * @returns {Object|null} - Alert, or null when the update is skipped
+ */
+export function normalizeTelegramUpdate(update, { chat = null, utcOffset = null } = {}, diagnostics = null) {
+  const message = getUpdateMessage(update);
+  if (!message || !isFromChat(message, chat)) {
+    return null;
+  }
+
+  const text = message.text || message.caption || '';
+  if (!text.trim()) {
+    diagnostics?.skip('no_text', message.message_id);
+    return null;
+  }
+
+  try {
+    const alert = parseAlertMessage(
+      text,
+      {
+        sentAt: message.date ? new Date(message.date * 1000).toISOString() : null,
+        utcOffset,
+        messageId: message.message_id,
+      },
+      diagnostics
+    );
+
+    if (!alert.problem_id) {
+      diagnostics?.skip(message.reply_to_message ? 'reply' : 'no_problem_id', message.message_id);
+      return null;
+    }
+    return alert;
+  } catch (error) {
+    console.error('Error parsing Telegram update:', error);
+    diagnostics?.skip('parse_error', message.message_id);
+    return null;
+  }
+}
+
+export default {
+  ALLOWED_UPDATES,
+  getUpdateMessage,
+  isFromChat,
+  normalizeTelegramUpdate,
+};
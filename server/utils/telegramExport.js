@@ -0,0 +1,254 @@
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+
+// Telegram names export pages messages.html, messages2.html, … messagesN.html
+const PAGE_PATTERN = /^messages(\d*)\.html$/i;
+
+// Most entries an export ZIP may list (Telegram adds one per photo and file)
+const MAX_ZIP_ENTRIES = parseInt(process.env.MAX_ZIP_ENTRIES) || 100000;
+
+// Largest extracted page, the same limit as an uploaded HTML file
+const MAX_PAGE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 524288000;
+
+// Most bytes extracted from one ZIP, all pages together
+const MAX_EXTRACTED_SIZE = parseInt(process.env.MAX_EXTRACTED_SIZE) || 2147483648;
+
+/**
+ * Extract the message pages of a Telegram export ZIP into a directory
+ * Photos, stylesheets and other assets are skipped. The sizes stated in the
+ * archive are checked before a page is extracted and the bytes actually
+ * written are counted, so a crafted ZIP cannot fill the disk.
+ * @param {string} zipPath - Path to the ZIP archive
+ * @param {string} destDir - Directory to extract into
+ * @returns {Promise<number>} - Number of pages extracted
+ */
+export async function extractExportZip(zipPath, destDir) {
+  const zip = await new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (error, zipFile) => {
+      if (error) reject(error);
+      else resolve(zipFile);
+    });
+  });
+
+  const root = path.resolve(destDir);
+  let extracted = 0;
+  let totalBytes = 0;
+
+  try {
+    if (zip.entryCount > MAX_ZIP_ENTRIES) {
+      throw tooLarge(`ZIP has ${zip.entryCount} entries (max ${MAX_ZIP_ENTRIES})`);
+    }
+
+    await new Promise((resolve, reject) => {
+      zip.on('error', reject);
+      zip.on('end', resolve);
+
+      zip.on('entry', async (entry) => {
+        try {
+          const target = path.resolve(root, entry.fileName);
+
+          // Skip directories, non-page files and entries escaping the target directory
+          const isPage = !entry.fileName.endsWith('/') && PAGE_PATTERN.test(path.basename(entry.fileName));
+          if (!isPage || !target.startsWith(root + path.sep)) {
+            zip.readEntry();
+            return;
+          }
+
+          if (entry.uncompressedSize > MAX_PAGE_SIZE) {
+            throw tooLarge(`${entry.fileName} is larger than ${MAX_PAGE_SIZE} bytes`);
+          }
+          if (totalBytes + entry.uncompressedSize > MAX_EXTRACTED_SIZE) {
+            throw tooLarge(`ZIP pages are larger than ${MAX_EXTRACTED_SIZE} bytes`);
+          }
+
+          await fs.mkdir(path.dirname(target), { recursive: true });
+          const readStream = await new Promise((res, rej) => {
+            zip.openReadStream(entry, (error, stream) => (error ? rej(error) : res(stream)));
+          });
+
+          // Stop as soon as the written bytes exceed a limit, whatever the entry header claims
+          let pageBytes = 0;
+          const counter = new Transform({
+            transform(chunk, encoding, callback) {
+              pageBytes += chunk.length;
+              totalBytes += chunk.length;
+              if (pageBytes > MAX_PAGE_SIZE) {
+                callback(tooLarge(`${entry.fileName} is larger than ${MAX_PAGE_SIZE} bytes`));
+              } else if (totalBytes > MAX_EXTRACTED_SIZE) {
+                callback(tooLarge(`ZIP pages are larger than ${MAX_EXTRACTED_SIZE} bytes`));
+              } else {
+                callback(null, chunk);
+              }
+            },
+          });
+
+          try {
+            await pipeline(readStream, counter, createWriteStream(target));
+          } catch (error) {
+            await fs.rm(target, { force: true });
+            throw error;
+          }
+
+          extracted++;
+          zip.readEntry();
+        } catch (error) {
+          reject(error);
+        }
+      });
+
+      zip.readEntry();
+    });
+  } finally {
+    zip.close();
+  }
+
+  return extracted;
+}
+
+/**
+ * Error for an archive over the extraction limits
+ */
+function tooLarge(message) {
+  const error = new Error(message);
+  error.status = 413;
+  return error;
+}
+
+/**
+ * Find every page of a Telegram HTML export and order it
+ * Pages are chained by "Previous messages"/"Next messages" links; chains are
+ * ordered by their first message ID so a broken chain still sorts correctly.
+ * @param {string} dir - Export directory (searched recursively)
+ * @returns {Promise<Object>} - Ordered pages and pages that are linked but missing
+ */
+export async function discoverExportPages(dir) {
+  // Links between pages are resolved to absolute paths, so the page keys must be too
+  dir = path.resolve(dir);
+  const files = (await listFiles(dir)).filter(file => PAGE_PATTERN.test(path.basename(file)));
+  const pages = new Map();
+
+  for (const file of files) {
+    const content = await fs.readFile(file, 'utf-8');
+    pages.set(file, { file, name: path.relative(dir, file), ...readPageInfo(content, file) });
+  }
+
+  // Follow the chain forward from every page that has no known predecessor
+  const chains = [];
+  const visited = new Set();
+
+  for (const page of pages.values()) {
+    if (page.previous && pages.has(page.previous)) continue;
+
+    const chain = [];
+    let current = page;
+    while (current && !visited.has(current.file)) {
+      visited.add(current.file);
+      chain.push(current);
+      current = current.next ? pages.get(current.next) : null;
+    }
+    chains.push(chain);
+  }
+
+  // Pages left over belong to a cycle or a malformed chain; keep them anyway
+  for (const page of pages.values()) {
+    if (!visited.has(page.file)) chains.push([page]);
+  }
+
+  chains.sort((a, b) => (a[0].firstMessageId ?? Infinity) - (b[0].firstMessageId ?? Infinity));
+  const ordered = chains.flat();
+
+  return {
+    pages: ordered.map(({ file, name, firstMessageId, lastMessageId, messageCount }) => ({
+      file,
+      name,
+      firstMessageId,
+      lastMessageId,
+      messageCount,
+    })),
+    missingPages: findMissingPages(dir, ordered, pages),
+  };
+}
+
+/**
+ * Read pagination links and message ID range from a page
+ */
+function readPageInfo(content, file) {
+  const link = label => {
+    const match = content.match(
+      new RegExp(`<a class="pagination[^"]*" href="([^"]+)">\\s*${label} messages`, 'i')
+    );
+    return match ? path.resolve(path.dirname(file), match[1]) : null;
+  };
+
+  // Service messages (date separators) have negative IDs and are ignored
+  const ids = [...content.matchAll(/id="message(\d+)"/g)].map(m => parseInt(m[1], 10));
+
+  return {
+    previous: link('Previous'),
+    next: link('Next'),
+    firstMessageId: ids.length > 0 ? Math.min(...ids) : null,
+    lastMessageId: ids.length > 0 ? Math.max(...ids) : null,
+    messageCount: ids.length,
+  };
+}
+
+/**
+ * Pages that are linked from a present page, or gaps in the page numbering
+ */
+function findMissingPages(dir, ordered, pages) {
+  const missing = new Set();
+
+  for (const page of ordered) {
+    for (const linked of [page.previous, page.next]) {
+      if (linked && !pages.has(linked)) missing.add(path.relative(dir, linked));
+    }
+  }
+
+  // Numbering gaps between pages of the same folder (messages.html counts as page 1)
+  const byFolder = new Map();
+  for (const page of ordered) {
+    const folder = path.dirname(page.file);
+    const number = parseInt(path.basename(page.file).match(PAGE_PATTERN)[1] || '1', 10);
+    if (!byFolder.has(folder)) byFolder.set(folder, new Set());
+    byFolder.get(folder).add(number);
+  }
+
+  for (const [folder, numbers] of byFolder) {
+    const max = Math.max(...numbers);
+    for (let n = Math.min(...numbers) + 1; n < max; n++) {
+      if (!numbers.has(n)) {
+        missing.add(path.relative(dir, path.join(folder, n === 1 ? 'messages.html' : `messages${n}.html`)));
+      }
+    }
+  }
+
+  return [...missing].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
+
+/**
+ * List files in a directory recursively
+ */
+async function listFiles(dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true });
+  const files = [];
+
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(fullPath));
+    } else if (entry.isFile()) {
+      files.push(fullPath);
+    }
+  }
+
+  return files;
+}
+
+export default {
+  extractExportZip,
+  discoverExportPages,
+};
@@ -0,0 +1,64 @@
+import crypto from 'crypto';
+
+// Seconds a signed request stays valid; older (or future) timestamps are replays
+const MAX_SKEW = parseInt(process.env.INGEST_MAX_SKEW) || 300;
+
+/**
+ * Check that a webhook request carries the shared secret or a valid signature
+ * Accepted, in order:
+ *   - X-Timestamp: <Unix time in seconds> and X-Signature: sha256=<hex HMAC-SHA256
+ *     of "<timestamp>.<raw body>", keyed by the secret>; the timestamp must be
+ *     within MAX_SKEW of the server clock, so a captured request cannot be replayed later
+ *   - Authorization: Bearer <secret>, or X-Webhook-Secret: <secret>
+ * @param {Object} req - Express request; req.rawBody holds the body as received
+ * @param {string} secret - Shared secret
+ * @returns {boolean} - Whether the request is authentic
+ */
+export function verifyWebhookRequest(req, secret) {
+  if (!secret) return false;
+
+  const signature = req.get('x-signature');
+  if (signature) {
+    const timestamp = req.get('x-timestamp');
+    if (!/^\d+$/.test(timestamp || '') ||
+        Math.abs(Date.now() / 1000 - parseInt(timestamp, 10)) > MAX_SKEW) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(`${timestamp}.`)
+      .update(req.rawBody || '')
+      .digest('hex');
+    return safeEqual(signature.replace(/^sha256=/i, '').toLowerCase(), expected);
+  }
+
+  const token = req.get('authorization')?.replace(/^Bearer\s+/i, '') || req.get('x-webhook-secret');
+  return Boolean(token) && safeEqual(token, secret);
+}
+
+/**
+ * Check that a Telegram Bot API webhook request carries the secret_token given to setWebhook
+ * Telegram sends it in the X-Telegram-Bot-Api-Secret-Token header.
+ * @param {Object} req - Express request
+ * @param {string} secret - Secret token the webhook was registered with
+ * @returns {boolean} - Whether the request is authentic
+ */
+export function verifyTelegramRequest(req, secret) {
+  const token = req.get('x-telegram-bot-api-secret-token');
+  return Boolean(secret) && Boolean(token) && safeEqual(token, secret);
+}
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+export default {
+  verifyWebhookRequest,
+  verifyTelegramRequest,
+};
@@ -0,0 +1,134 @@
+import { buildAlert, parseDuration } from './parser.js';
+import { ZABBIX_SEVERITIES } from './formats/zabbixEvents.js';
+
+/**
+ * Zabbix webhook media type payloads
+ * The media type's parameters name the fields; the suggested parameters are:
+ *   event_id {EVENT.ID}, event_value {EVENT.VALUE}, event_name {EVENT.NAME},
+ *   host {HOST.NAME}, severity {EVENT.SEVERITY}, event_date {EVENT.DATE},
+ *   event_time {EVENT.TIME}, recovery_date {EVENT.RECOVERY.DATE},
+ *   recovery_time {EVENT.RECOVERY.TIME}, duration {EVENT.DURATION},
+ *   update_status {EVENT.UPDATE.STATUS}, recovery_event_id {EVENT.RECOVERY.ID},
+ *   tags {EVENT.TAGSJSON}, acknowledged {EVENT.ACK.STATUS} and message {ALERT.MESSAGE}
+ * Field names used by event.get (eventid, name, value, clock) are accepted too.
+ */
+
+/**
+ * Normalize one webhook event into the alert shape the parsers produce
+ * In recovery notifications {EVENT.ID} is still the problem's event ID, so both
+ * events of a problem share problem_id like the Telegram "Original problem ID".
+ * @param {Object} event - Webhook payload
+ * @param {Object} diagnostics - Optional collector from createDiagnostics()
+ * @returns {Object|null} - Alert, or null when the event is skipped
+ */
+export function normalizeWebhookEvent(event, diagnostics = null) {
+  const get = (...names) => {
+    for (const name of names) {
+      const value = event?.[name];
+      // Zabbix sends macros that do not apply to the event unexpanded ("{EVENT.RECOVERY.DATE}")
+      if (value !== undefined && value !== null && value !== '' && !/^\{[A-Z0-9_.]+\}$/.test(String(value))) {
+        return String(value).trim();
+      }
+    }
+    return null;
+  };
+
+  const problemId = get('event_id', 'eventid');
+  if (!problemId) {
+    diagnostics?.skip('no_problem_id');
+    return null;
+  }
+
+  if (get('update_status') === '1') {
+    diagnostics?.skip('update_event', problemId);
+    return null;
+  }
+
+  const status = getStatus(get('event_value', 'value', 'event_status', 'status'));
+  const utcOffset = get('utc_offset');
+  const eventTime = status === 'OK'
+    ? toISOString(get('recovery_date'), get('recovery_time'), utcOffset) || fromClock(get('r_clock'))
+    : toISOString(get('event_date'), get('event_time'), utcOffset) || fromClock(get('clock'));
+
+  const severity = get('severity');
+  const duration = get('duration');
+  const problemName = get('event_name', 'name', 'problem_name');
+  const host = get('host', 'host_name', 'hostname');
+
+  return buildAlert({
+    problemId,
+    status,
+    problemName,
+    host,
+    severity: /^[0-5]$/.test(severity || '') ? ZABBIX_SEVERITIES[severity] : severity,
+    eventTime: eventTime || fromTimestamp(get('timestamp')),
+    utcOffset,
+    duration: status === 'OK' && duration ? parseDuration(`After ${duration}`) : undefined,
+    description: get('message') || [status, problemName, host].filter(Boolean).join(' '),
+    sourceId: problemId,
+    eventId: status === 'OK' ? get('recovery_event_id') : problemId,
+    acknowledged: getAcknowledged(get('acknowledged')),
+    tags: getTags(event.tags),
+  }, diagnostics);
+}
+
+/**
+ * Map {EVENT.VALUE} (1/0) or {EVENT.STATUS} (PROBLEM/RESOLVED) to the stored status
+ */
+function getStatus(value) {
+  const normalized = (value || '').toUpperCase();
+  if (normalized === '0' || normalized === 'RESOLVED' || normalized === 'OK') return 'OK';
+  if (normalized === '1' || normalized === 'PROBLEM') return 'PROBLEM';
+  return 'UNKNOWN';
+}
+
+/**
+ * {EVENT.ACK.STATUS} is "Yes"/"No"
+ */
+function getAcknowledged(value) {
+  if (!value) return null;
+  return ['yes', '1', 'true'].includes(value.toLowerCase());
+}
+
+/**
+ * {EVENT.TAGSJSON} arrives as a JSON string of [{ tag, value }]
+ */
+function getTags(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== 'string' || !value.startsWith('[')) return null;
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Zabbix {EVENT.DATE} is "YYYY.MM.DD" and {EVENT.TIME} "HH:MM:SS", in the server's zone
+ */
+function toISOString(date, time, utcOffset) {
+  if (!date || !time) return null;
+  const parsed = new Date(`${date.replace(/\./g, '-')}T${time}${utcOffset || 'Z'}`);
+  return isNaN(parsed) ? null : parsed.toISOString();
+}
+
+/**
+ * Unix seconds (event.get "clock") to an ISO string
+ */
+function fromClock(clock) {
+  const seconds = parseInt(clock, 10);
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+/**
+ * Any timestamp Date understands (ISO 8601 expected) to an ISO string
+ */
+function fromTimestamp(value) {
+  const parsed = value ? new Date(value) : null;
+  return parsed && !isNaN(parsed) ? parsed.toISOString() : null;
+}
+
+export default {
+  normalizeWebhookEvent,
+};